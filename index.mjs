@@ -6,9 +6,27 @@
 
 /** @typedef {import('./lib/migrator.mjs').MigrationOptions} MigrationOptions */
 /** @typedef {import('./lib/migrator.mjs').MakeOptions} MakeOptions */
+/** @typedef {import('./lib/migrator.mjs').SquashOptions} SquashOptions */
+/** @typedef {import('./lib/migrator.mjs').BaselineOptions} BaselineOptions */
 /** @typedef {import('./lib/migrator.mjs').MigrateUntrackedStateOptions} MigrateUntrackedStateOptions */
+/** @typedef {import('./lib/migrator.mjs').MigrateOptions} MigrateOptions */
+/** @typedef {import('./lib/migrator.mjs').MigrateResult} MigrateResult */
+/** @typedef {import('./lib/migrator.mjs').MakeResult} MakeResult */
 /** @typedef {import('./lib/migrator.mjs').Action} Action */
+/** @typedef {import('./lib/migrator.mjs').MigrationFormat} MigrationFormat */
+/** @typedef {import('./lib/migrator.mjs').IdStrategy} IdStrategy */
+/** @typedef {import('./lib/migrator.mjs').MigrationTransaction} MigrationTransaction */
 /** @typedef {import('./lib/migrator.mjs').Status} Status */
+/** @typedef {import('./lib/migrator.mjs').CheckResult} CheckResult */
+/** @typedef {import('./lib/migrator.mjs').HistoryOptions} HistoryOptions */
+/** @typedef {import('./lib/migrator.mjs').HistoryEntry} HistoryEntry */
+/** @typedef {import('./lib/migrator.mjs').AuditLogOptions} AuditLogOptions */
+/** @typedef {import('./lib/migrator.mjs').AuditLogEntry} AuditLogEntry */
+/** @typedef {import('./lib/migrator.mjs').Change} Change */
+/** @typedef {import('./lib/migrator.mjs').MigratorEvents} MigratorEvents */
+/** @typedef {import('./lib/database.mjs').BackupOptions} BackupOptions */
+/** @typedef {import('./lib/database.mjs').BackupProgress} BackupProgress */
+/** @typedef {import('./lib/database.mjs').TransactionMode} TransactionMode */
 /**
  * @template [R=any]
  * @template {any[]} [P=any[]]
@@ -2,21 +2,498 @@
 
 'use strict';
 
+const { parseArgs } = require('node:util');
+
 /** @typedef {import('sqlite-auto-migrator').MigrationOptions} MigrationOptions */
 /** @typedef {import('sqlite-auto-migrator').MakeOptions} MakeOptions */
 
+/**
+ * A command line flag that sets an option of the migrator or a command.
+ * @typedef {Object} Flag
+ * @property {string} name the name of the flag without the leading dashes, e.g. `dry-run` for `--dry-run`
+ * @property {('string'|'boolean')} type whether the flag takes a value or is a switch
+ * @property {string} description a short description of the flag for the help output
+ * @property {string} [key] the option the flag sets. Default is the camelCase name of the flag, e.g. `dryRun`
+ * @property {string} [placeholder] how the value of the flag is shown in the help output, e.g. `<path>`
+ * @property {string[]} [choices] the valid values of the flag
+ * @property {boolean} [number] true if the value of the flag must be a number
+ * @property {string} [env] the `SAM_*` environment variable the flag overrides
+ * @property {string} [short] a single character alias of the flag, e.g. `h` for `-h`
+ * @property {boolean} [negates] true if the switch sets its option to false, e.g. `--no-backup` to override `SAM_BACKUP=true`
+ */
+
+/** The exit code of each error class in lib/errors.mjs and of a `sam check` that found problems, any other error exits with 1 */
+const EXIT_CODES = {
+    ValidationError: 2,
+    ManualMigrationRequired: 3,
+    RolledBackTransaction: 4,
+    IntegrityError: 5,
+    LockTimeoutError: 6,
+    CheckFailed: 7,
+};
+
+/** The actions to take when dealing with a detected rename or destructive change */
+const ACTIONS = ['PROMPT', 'REQUIRE_MANUAL_MIGRATION', 'PROCEED', 'SKIP'];
+
+/** @type {Flag[]} the flags that set {@link MigrationOptions}, accepted by every command */
+const MIGRATOR_FLAGS = [
+    {
+        name: 'db',
+        key: 'dbPath',
+        type: 'string',
+        placeholder: '<path>',
+        env: 'SAM_DB_PATH',
+        description: 'the path to the SQLite database file (default: `data.db`)',
+    },
+    {
+        name: 'schema',
+        key: 'schemaPath',
+        type: 'string',
+        placeholder: '<path>',
+        env: 'SAM_SCHEMA_PATH',
+        description: 'the path to the schema file (default: `schema.sql`)',
+    },
+    {
+        name: 'migrations',
+        key: 'migrationsPath',
+        type: 'string',
+        placeholder: '<path>',
+        env: 'SAM_MIGRATIONS_PATH',
+        description: 'the path to the migrations directory (default: `migrations`)',
+    },
+    {
+        name: 'migrations-table',
+        type: 'string',
+        placeholder: '<name>',
+        env: 'SAM_MIGRATIONS_TABLE',
+        description: 'the name of the migration table (default: `migrations`)',
+    },
+    {
+        name: 'config',
+        key: 'configPath',
+        type: 'string',
+        placeholder: '<path>',
+        env: 'SAM_CONFIG_PATH',
+        description:
+            'the path to a JSON configuration file containing defaults for the `SAM_*` environment variables, keys should leave out the `SAM_` prefix (default: `./.samrc`)',
+    },
+    {
+        name: 'create-db-if-missing',
+        key: 'createDBIfMissing',
+        type: 'boolean',
+        env: 'SAM_CREATE_DB_IF_MISSING',
+        description: 'create a new database file instead of throwing an error if it is missing',
+    },
+    {
+        name: 'only-track-ambiguous-state',
+        type: 'boolean',
+        env: 'SAM_ONLY_TRACK_AMBIGUOUS_STATE',
+        description: 'only track renames (not creates+deletes) in migration files',
+    },
+    {
+        name: 'ignore-name-case',
+        type: 'boolean',
+        env: 'SAM_IGNORE_NAME_CASE',
+        description:
+            'treat table, column, index, virtual table, trigger, and view names as case insensitive',
+    },
+    {
+        name: 'hide-warnings',
+        type: 'boolean',
+        env: 'SAM_HIDE_WARNINGS',
+        description: 'hide warnings, e.g. about a migrations path used with multiple databases',
+    },
+    {
+        name: 'id-strategy',
+        type: 'string',
+        placeholder: '<strategy>',
+        choices: ['sequential', 'timestamp'],
+        env: 'SAM_ID_STRATEGY',
+        description:
+            'how to generate the ids of new migration files, e.g. `0005` or `20261019153000` (default: `sequential`)',
+    },
+    {
+        name: 'lock-timeout',
+        type: 'string',
+        placeholder: '<ms>',
+        number: true,
+        env: 'SAM_LOCK_TIMEOUT',
+        description:
+            'how many milliseconds to wait for another process to release the migration lock (default: `10000`)',
+    },
+    {
+        name: 'backup-dir',
+        type: 'string',
+        placeholder: '<path>',
+        env: 'SAM_BACKUP_DIR',
+        description:
+            'the folder to store database snapshots in (default: a `backups` folder next to the database file)',
+    },
+    {
+        name: 'backup-retention',
+        type: 'string',
+        placeholder: '<n>',
+        number: true,
+        env: 'SAM_BACKUP_RETENTION',
+        description:
+            'how many snapshots to keep, older ones are removed when a new one is taken. 0 keeps all snapshots (default: `5`)',
+    },
+];
+
+/** @type {Flag[]} the flags that control the output, accepted by every command */
+const OUTPUT_FLAGS = [
+    {
+        name: 'no-output',
+        type: 'boolean',
+        description:
+            'supresses all output to stdout except migration prompts when those settings are set to `PROMPT`',
+    },
+    {
+        name: 'json',
+        type: 'boolean',
+        description:
+            'prints the result (or a `{ "error": { "name", "message", "cause" } }` object if the command fails) as JSON instead of the human readable output. Same as `--format=json`. Prompts for the `--on-*` actions are written to stderr, so they stay out of the output',
+    },
+    {
+        name: 'format',
+        type: 'string',
+        placeholder: '<format>',
+        choices: ['text', 'json'],
+        description: 'the format of the output (default: `text`)',
+    },
+    {
+        name: 'help',
+        short: 'h',
+        type: 'boolean',
+        description: 'shows the usage and options of the command',
+    },
+];
+
+/** @type {Flag[]} the flags that set how make() handles renames and destructive changes */
+const ACTION_FLAGS = [
+    {
+        name: 'on-rename',
+        type: 'string',
+        placeholder: '<action>',
+        choices: ACTIONS,
+        env: 'SAM_ON_RENAME',
+        description: 'how to handle a column/table rename (default: `PROMPT`)',
+    },
+    {
+        name: 'rename-threshold',
+        type: 'string',
+        placeholder: '<0-1>',
+        number: true,
+        env: 'SAM_RENAME_THRESHOLD',
+        description:
+            'the lowest confidence a column/table rename with a changed definition is accepted with when --on-rename is `PROCEED` (default: `1`)',
+    },
+    {
+        name: 'on-destructive-change',
+        type: 'string',
+        placeholder: '<action>',
+        choices: ACTIONS,
+        env: 'SAM_ON_DESTRUCTIVE_CHANGE',
+        description: 'how to handle a destructive change (default: `PROMPT`)',
+    },
+    {
+        name: 'on-changed-index',
+        type: 'string',
+        placeholder: '<action>',
+        choices: ACTIONS,
+        env: 'SAM_ON_CHANGED_INDEX',
+        description: 'how to handle an index change (default: `PROCEED`)',
+    },
+    {
+        name: 'on-changed-view',
+        type: 'string',
+        placeholder: '<action>',
+        choices: ACTIONS,
+        env: 'SAM_ON_CHANGED_VIEW',
+        description: 'how to handle a view change (default: `PROCEED`)',
+    },
+    {
+        name: 'on-changed-trigger',
+        type: 'string',
+        placeholder: '<action>',
+        choices: ACTIONS,
+        env: 'SAM_ON_CHANGED_TRIGGER',
+        description: 'how to handle a trigger change (default: `PROCEED`)',
+    },
+];
+
+/** @type {Flag} */
+const MIGRATION_FORMAT_FLAG = {
+    name: 'migration-format',
+    type: 'string',
+    placeholder: '<format>',
+    choices: ['mjs', 'sql'],
+    env: 'SAM_MIGRATION_FORMAT',
+    description: 'the format of new migration files (default: `mjs`)',
+};
+
+/** @type {Flag[]} the flags that set {@link MakeOptions} */
+const MAKE_FLAGS = [
+    ...ACTION_FLAGS,
+    {
+        name: 'create-if-no-changes',
+        type: 'boolean',
+        env: 'SAM_CREATE_IF_NO_CHANGES',
+        description: 'create a new migration file even if the schema has not changed',
+    },
+    {
+        name: 'create-on-manual-migration',
+        type: 'boolean',
+        env: 'SAM_CREATE_ON_MANUAL_MIGRATION',
+        description: 'create a new migration file when a manual migration is required',
+    },
+    MIGRATION_FORMAT_FLAG,
+];
+
+/** @type {Flag} */
+const DRY_RUN_FLAG = {
+    name: 'dry-run',
+    type: 'boolean',
+    description:
+        'runs the migrations inside a transaction that is always rolled back and reports what would happen, including the integrity and foreign key checks. Exits with the IntegrityError exit code if the checks fail',
+};
+
+/** @type {Flag} */
+const BACKUP_FLAG = {
+    name: 'backup',
+    type: 'boolean',
+    env: 'SAM_BACKUP',
+    description:
+        'takes a snapshot of the database before migrating and restores it if the migration fails',
+};
+
+/** @type {Flag} */
+const NO_BACKUP_FLAG = {
+    name: 'no-backup',
+    key: 'backup',
+    type: 'boolean',
+    negates: true,
+    env: 'SAM_BACKUP',
+    description: 'does not take a snapshot of the database before migrating',
+};
+
+/** @type {Flag[]} the flags that set MigrateOptions */
+const MIGRATE_FLAGS = [
+    DRY_RUN_FLAG,
+    {
+        name: 'fake',
+        type: 'boolean',
+        description:
+            'only updates the migrations table as if the migrations had been applied/undone without running them, e.g. after hotfixing a change by hand. Warns if the database schema does not match the applied migrations afterwards',
+    },
+    BACKUP_FLAG,
+    NO_BACKUP_FLAG,
+    // the untracked changes are applied with their own defaults, so the environment variables don't apply
+    ...ACTION_FLAGS.map(({ env, description, ...flag }) => ({
+        ...flag,
+        description:
+            description.replace(/ \(default: .*\)$/, '') + ' with --only-track-ambiguous-state',
+    })),
+];
+
+/** @type {Flag[]} the flags that set HistoryOptions, and --all to list the audit log instead */
+const HISTORY_FLAGS = [
+    {
+        name: 'all',
+        type: 'boolean',
+        description:
+            'lists the audit log of every time a migration was applied or undone instead, including failed and rolled back attempts',
+    },
+    {
+        name: 'content',
+        type: 'boolean',
+        description: 'prints the content of the migrations as they were applied',
+    },
+    {
+        name: 'diff',
+        type: 'boolean',
+        description:
+            'prints a diff of the content of the migrations as they were applied against the current migration files',
+    },
+];
+
+/** @type {Flag[]} the flags that set SquashOptions and BaselineOptions */
+const FILE_FLAGS = [
+    {
+        name: 'name',
+        type: 'string',
+        placeholder: '<name>',
+        description: 'the name of the created migration file',
+    },
+    MIGRATION_FORMAT_FLAG,
+];
+
+/** The positional arguments of the commands */
+const ARGUMENTS = {
+    '<target migration>':
+        'the migration ID to migrate to, e.g. `0001`, `latest`, or `zero`, or a number of migrations to move relative to the current migration, e.g. `-1` or `+2`. Default is `latest`',
+    '<n>': 'the number of migrations to roll back. Default is 1',
+    '<baseline migration>':
+        'the id to give the migration created from the existing database schema, e.g. `0000`. Default is the first id of the id strategy',
+    '<from migration>': 'the id of the first migration to squash into a single migration',
+    '<to migration>':
+        'the id of the last migration to squash, the squashed migration takes over its id',
+    '<snapshot>':
+        'the path to a snapshot taken by `sam backup` or `--backup`, either absolute or relative to the backup folder, e.g. `data-20261019153000123.db`',
+    '<command>': 'the command to show the usage and options of',
+    '<id>': 'the id of the applied migration to show, e.g. `0003`. Default is all applied migrations',
+};
+
+/**
+ * The commands of the command line interface.
+ * @type {{[command: string]: {args: string[], required: number, flags: Flag[], description: string}}}
+ */
+const COMMANDS = {
+    status: {
+        args: [],
+        required: 0,
+        flags: [],
+        description:
+            'Shows the current migration, the migrations that have yet to be applied, and whether the schema file has changed since the last migration file.',
+    },
+    make: {
+        args: [],
+        required: 0,
+        flags: MAKE_FLAGS,
+        description:
+            'Creates a new migration file that when applied with `sam migrate` brings the database state to match the schema file.',
+    },
+    diff: {
+        args: [],
+        required: 0,
+        flags: ACTION_FLAGS,
+        description:
+            'Prints the changes between the migration files and the schema file that `sam make` would track, without creating a migration file.',
+    },
+    migrate: {
+        args: ['<target migration>'],
+        required: 0,
+        flags: MIGRATE_FLAGS,
+        description:
+            'Applies the unapplied migrations up to the target migration and unapplies any migrations that have been removed from the migrations folder.',
+    },
+    rollback: {
+        args: ['<n>'],
+        required: 0,
+        flags: [DRY_RUN_FLAG, BACKUP_FLAG, NO_BACKUP_FLAG],
+        description: 'Undoes the latest migrations.',
+    },
+    redo: {
+        args: [],
+        required: 0,
+        flags: [DRY_RUN_FLAG, BACKUP_FLAG, NO_BACKUP_FLAG],
+        description: 'Undoes and reapplies the latest migration in a single transaction.',
+    },
+    check: {
+        args: [],
+        required: 0,
+        flags: [],
+        description:
+            'Prints the duplicate ids, missing ids, and out of order migrations in the migrations folder. Exits with code 7 if any are found.',
+    },
+    history: {
+        args: ['<id>'],
+        required: 0,
+        flags: HISTORY_FLAGS,
+        description:
+            'Lists the applied migrations with when they were applied, their content hash, and whether their migration files still match. With --all, lists the audit log instead.',
+    },
+    renumber: {
+        args: [],
+        required: 0,
+        flags: [],
+        description:
+            'Renames the duplicate and out of order migration files onto fresh ids after the latest migration.',
+    },
+    baseline: {
+        args: ['<baseline migration>'],
+        required: 0,
+        flags: FILE_FLAGS,
+        description:
+            'Creates a migration file from the schema of the existing database and records it as applied without running it.',
+    },
+    squash: {
+        args: ['<from migration>', '<to migration>'],
+        required: 2,
+        flags: FILE_FLAGS,
+        description: 'Replaces a range of migrations with a single migration file.',
+    },
+    backup: {
+        args: [],
+        required: 0,
+        flags: [],
+        description: 'Saves a snapshot of the database to the backup folder.',
+    },
+    restore: {
+        args: ['<snapshot>'],
+        required: 1,
+        flags: [],
+        description: 'Overwrites the database with a snapshot.',
+    },
+    unlock: {
+        args: [],
+        required: 0,
+        flags: [],
+        description: 'Removes the migration lock left behind by a crashed process.',
+    },
+    help: {
+        args: ['<command>'],
+        required: 0,
+        flags: [],
+        description: 'Shows the available commands or the usage and options of a command.',
+    },
+};
+
 async function main(argv) {
-    const { Migrator } = await import('sqlite-auto-migrator');
+    const { Migrator, Errors } = await import('sqlite-auto-migrator');
     const { symbols, colors } = await import('./colors.mjs');
+    const { describeChange } = await import('./logger.mjs');
+
+    const cmd = argv.length > 0 && !argv[0].startsWith('-') ? argv.shift() : null;
+    if (cmd === null && (argv.includes('--help') || argv.includes('-h'))) {
+        printHelp(colors, symbols);
+        return;
+    }
+    if (!Object.hasOwn(COMMANDS, cmd)) {
+        throw new Errors.ValidationError(
+            (cmd === null ? 'No command given.' : `Unknown command: ${cmd}.`) +
+                ' Run `sam help` to see the available commands.',
+        );
+    }
+
+    const { options, positionals } = parseCommandArgs(cmd, argv, Errors.ValidationError);
+    if (options.help || cmd === 'help') {
+        const helpCmd = cmd === 'help' ? positionals[0] : cmd;
+        if (helpCmd === undefined) {
+            printHelp(colors, symbols);
+        } else if (Object.hasOwn(COMMANDS, helpCmd)) {
+            printCommandHelp(helpCmd, colors, symbols);
+        } else {
+            throw new Errors.ValidationError(
+                `Unknown command: ${helpCmd}. Run \`sam help\` to see the available commands.`,
+            );
+        }
+        return;
+    }
 
-    const cmd = argv.length > 0 ? argv.shift() : null;
-    const noOutput = argv.includes('--no-output');
-    const target = argv.length > 0 ? argv.shift() : 'latest';
+    const noOutput = options.noOutput ?? false;
+    const json = options.json || options.format === 'json';
+    const log = noOutput || json ? () => {} : s => process.stdout.write(s);
+    const migrator = new Migrator(pickOptions(options, MIGRATOR_FLAGS));
+    const commandOptions = pickOptions(options, COMMANDS[cmd].flags);
 
     if (cmd === 'status') {
         if (noOutput) return;
-        const migrator = new Migrator();
         const status = await migrator.status();
+        if (json) {
+            printJSON(status);
+            return;
+        }
         if (status.current_id && status.current_id !== 'zero') {
             console.log(`On migration ${status.current_id} - ${status.current_name}`);
         } else if (status.missing_migrations.length === 0) {
@@ -66,120 +543,445 @@ async function main(argv) {
             console.log('Run `sam migrate` to unapply.');
         }
     } else if (cmd === 'make') {
-        const migrator = new Migrator();
-        await migrator.make({}, noOutput ? () => {} : s => process.stdout.write(s));
+        const result = await migrator.make(commandOptions, log);
+        if (json && !noOutput) printJSON(result);
+    } else if (cmd === 'diff') {
+        const changes = await migrator.diff(commandOptions, log);
+        if (noOutput) return;
+        if (json) {
+            printJSON(changes);
+        } else if (changes.length === 0) {
+            console.log(`${symbols.success} No schema changes detected.`);
+        } else {
+            console.log(colors.FgCyan('\nPending schema changes:'));
+            for (const change of changes) {
+                console.log(`  ${symbols.bullet} ${describeChange(change)}`);
+            }
+            console.log('Run `sam make` to create a migration.');
+        }
     } else if (cmd === 'migrate') {
-        const migrator = new Migrator();
-        await migrator.migrate(target, {}, noOutput ? () => {} : s => process.stdout.write(s));
-    } else if (cmd === 'help') {
-        console.log(colors.FgCyan('Available commands:'));
-        console.log(`  ${symbols.bullet} sam status ${colors.FgGray('[--no-output]')}`);
-        console.log(`  ${symbols.bullet} sam make ${colors.FgGray('[--no-output]')}`);
-        console.log(
-            `  ${symbols.bullet} sam migrate ${colors.FgGray(
-                '[--no-output] [<target migration>]',
-            )}`,
-        );
+        const result = await migrator.migrate(positionals[0] ?? 'latest', commandOptions, log);
+        if (json && !noOutput) printJSON(result);
+        if (
+            commandOptions.dryRun &&
+            (result.integrity_errors.length || result.foreign_key_violations.length)
+        ) {
+            process.exit(EXIT_CODES.IntegrityError);
+        }
+    } else if (cmd === 'rollback') {
+        const n = positionals.length > 0 ? Number(positionals[0]) : 1;
+        if (!Number.isInteger(n) || n < 1) {
+            throw new Errors.ValidationError(
+                `Invalid number of migrations to roll back: ${positionals[0]}. Must be a positive integer.`,
+            );
+        }
+        const result = await migrator.rollback(n, commandOptions, log);
+        if (json && !noOutput) printJSON(result);
+    } else if (cmd === 'redo') {
+        const result = await migrator.redo(commandOptions, log);
+        if (json && !noOutput) printJSON(result);
+    } else if (cmd === 'check') {
+        const result = await migrator.check();
+        if (!noOutput) {
+            if (json) {
+                printJSON(result);
+            } else if (result.ok) {
+                console.log(`${symbols.success} The migration history is linear.`);
+            } else {
+                for (const { id, names } of result.duplicate_ids) {
+                    console.log(
+                        `${symbols.error} Migration id ${id} is shared by: ${names.join(', ')}`,
+                    );
+                }
+                for (const { id, name } of result.out_of_order_migrations) {
+                    console.log(
+                        `${symbols.error} Migration ${id} - ${name} sorts before the latest applied migration`,
+                    );
+                }
+                if (result.missing_ids.length > 0) {
+                    console.log(
+                        `${symbols.warning} Missing migration ids: ${result.missing_ids.join(
+                            ', ',
+                        )}`,
+                    );
+                }
+                if (result.duplicate_ids.length || result.out_of_order_migrations.length) {
+                    console.log('Run `sam renumber` to move them onto fresh ids.');
+                }
+            }
+        }
+        if (!result.ok) process.exit(EXIT_CODES.CheckFailed);
+    } else if (cmd === 'history' && commandOptions.all) {
+        const log = await migrator.auditLog({ id: positionals[0] });
+        if (noOutput) return;
+        if (json) {
+            printJSON(log);
+        } else if (log.length === 0) {
+            console.log('No migrations applied or undone yet.');
+        } else {
+            console.log(colors.FgCyan('Audit log:'));
+            for (const entry of log) {
+                const outcome = {
+                    succeeded: symbols.success,
+                    faked: `${symbols.warning} faked`,
+                    failed: `${symbols.error} failed: ${entry.error}`,
+                    rolled_back: `${symbols.warning} rolled back`,
+                }[entry.outcome];
+                console.log(
+                    `  ${symbols.bullet} ${entry.logged_at} UTC ${
+                        entry.direction === 'up' ? 'applied' : 'undid'
+                    } ${entry.id} - ${entry.name} ${colors.FgGray(
+                        `in ${Math.round(entry.duration_ms)}ms by ${entry.username ?? 'unknown'}@${
+                            entry.hostname ?? 'unknown'
+                        }, sam ${entry.sam_version ?? 'unknown'}, hash ${entry.content_hash.slice(
+                            0,
+                            12,
+                        )}`,
+                    )} ${outcome}`,
+                );
+            }
+        }
+    } else if (cmd === 'history') {
+        const { all, ...historyOptions } = commandOptions;
+        const history = await migrator.history({ id: positionals[0], ...historyOptions });
+        if (noOutput) return;
+        if (json) {
+            printJSON(history);
+        } else if (history.length === 0) {
+            console.log('No migrations applied. Run `sam migrate` to apply the migrations.');
+        } else {
+            console.log(colors.FgCyan('Applied migrations:'));
+            for (const entry of history) {
+                const fileStatus = {
+                    unchanged: symbols.success,
+                    modified: `${symbols.warning} the migration file has been modified since it was applied`,
+                    missing: `${symbols.error} the migration file is missing`,
+                }[entry.file_status];
+                console.log(
+                    `  ${symbols.bullet} ${entry.id} - ${entry.name} ${colors.FgGray(
+                        `applied ${entry.applied_at} UTC, hash ${entry.content_hash.slice(0, 12)}`,
+                    )} ${fileStatus}`,
+                );
+                if (entry.content !== undefined) {
+                    console.log('\n' + entry.content.trim() + '\n');
+                }
+                if (entry.diff) {
+                    for (const line of entry.diff.trimEnd().split('\n')) {
+                        if (line.startsWith('+') && !line.startsWith('+++')) {
+                            console.log(colors.FgGreen(line));
+                        } else if (line.startsWith('-') && !line.startsWith('---')) {
+                            console.log(colors.FgRed(line));
+                        } else {
+                            console.log(line);
+                        }
+                    }
+                }
+            }
+        }
+    } else if (cmd === 'renumber') {
+        const renamed = await migrator.renumber();
+        if (noOutput) return;
+        if (json) {
+            printJSON(renamed);
+        } else if (renamed.length === 0) {
+            console.log(`${symbols.success} No migrations need to be renumbered.`);
+        } else {
+            console.log(colors.FgCyan('Renumbered migrations:'));
+            for (const { id, name, new_id } of renamed) {
+                console.log(`  ${symbols.bullet} ${id} - ${name} is now ${new_id}`);
+            }
+        }
+    } else if (cmd === 'squash') {
+        const squashed = await migrator.squash(positionals[0], positionals[1], commandOptions, log);
+        if (json && !noOutput) {
+            printJSON({ id: squashed.id, name: squashed.name, file_path: squashed.content_path });
+        }
+    } else if (cmd === 'baseline') {
+        const baseline = await migrator.baseline(positionals[0], commandOptions, log);
+        if (json && !noOutput) {
+            printJSON({ id: baseline.id, name: baseline.name, file_path: baseline.content_path });
+        }
+    } else if (cmd === 'backup') {
+        const backupPath = await migrator.backup(log);
+        if (json && !noOutput) printJSON({ backup_path: backupPath });
+    } else if (cmd === 'restore') {
+        const snapshotPath = await migrator.restore(positionals[0], log);
+        if (json && !noOutput) printJSON({ snapshot_path: snapshotPath });
+    } else if (cmd === 'unlock') {
+        const holder = await migrator.unlock();
+        if (noOutput) return;
+        if (json) {
+            printJSON({ holder });
+        } else if (holder === null) {
+            console.log(`${symbols.success} The database is not locked.`);
+        } else {
+            console.log(
+                `${symbols.success} Removed the migration lock held by process ${
+                    holder.pid ?? 'unknown'
+                } on ${holder.hostname ?? 'unknown'} since ${holder.acquired_at ?? 'unknown'}.`,
+            );
+        }
+    }
+}
 
-        console.log(colors.FgCyan('\nKey:'));
-        console.log(
-            `  ${symbols.bullet} <target migration> ${colors.FgGray(
-                'the migration ID to migrate to, e.g. `0001`, `latest`, or `zero`. Must be the last parameter if provided. Default is `latest`',
-            )}`,
-        );
-        console.log(
-            `  ${symbols.bullet} --no-output ${colors.FgGray(
-                'supresses all output to stdout except migration prompts when those settings are set to "PROMPT"',
-            )}`,
-        );
+/**
+ * Gets the flags a command accepts.
+ * @param {string} cmd the name of the command
+ * @returns {Flag[]} the flags of the command followed by the migrator and output flags
+ */
+function getFlags(cmd) {
+    return cmd === 'help' ? [] : [...COMMANDS[cmd].flags, ...MIGRATOR_FLAGS, ...OUTPUT_FLAGS];
+}
 
-        console.log(
-            colors.FgCyan('\nEnvironment variables: ') +
-                'the following environment variables can be set to configure the migrator, e.g. `SAM_DB_PATH=example.db sam status`',
-        );
-        console.log(
-            `  ${symbols.bullet} SAM_DB_PATH ${colors.FgGray(
-                'the path to the SQLite database file',
-            )}`,
-        );
-        console.log(
-            `  ${symbols.bullet} SAM_SCHEMA_PATH ${colors.FgGray(
-                'the path to the schema file (default: `schema.sql`)',
-            )}`,
-        );
-        console.log(
-            `  ${symbols.bullet} SAM_MIGRATIONS_PATH ${colors.FgGray(
-                'the path to the migrations directory (default: `migrations`)',
-            )}`,
-        );
-        console.log(
-            `  ${symbols.bullet} SAM_MIGRATIONS_TABLE ${colors.FgGray(
-                'the name of the migration table (default: `migrations`)',
-            )}`,
-        );
-        console.log(
-            `  ${symbols.bullet} SAM_ON_RENAME ${colors.FgGray(
-                'how to handle a column/table rename, one of `PROMPT`, `PROCEED`, `SKIP`, or `REQUIRE_MANUAL_MIGRATION` (default: `PROMPT`)',
-            )}`,
-        );
-        console.log(
-            `  ${symbols.bullet} SAM_ON_DESTRUCTIVE_CHANGE ${colors.FgGray(
-                'how to handle a destructive change, one of `PROMPT`, `PROCEED`, `SKIP`, or `REQUIRE_MANUAL_MIGRATION` (default: `PROMPT`)',
-            )}`,
-        );
-        console.log(
-            `  ${symbols.bullet} SAM_ON_CHANGED_INDEX ${colors.FgGray(
-                'how to handle an index change, one of `PROMPT`, `PROCEED`, `SKIP`, or `REQUIRE_MANUAL_MIGRATION` (default: `PROCEED`)',
-            )}`,
-        );
-        console.log(
-            `  ${symbols.bullet} SAM_ON_CHANGED_VIEW ${colors.FgGray(
-                'how to handle a view change, one of `PROMPT`, `PROCEED`, `SKIP`, or `REQUIRE_MANUAL_MIGRATION` (default: `PROCEED`)',
-            )}`,
-        );
-        console.log(
-            `  ${symbols.bullet} SAM_ON_CHANGED_TRIGGER ${colors.FgGray(
-                'how to handle a trigger change, one of `PROMPT`, `PROCEED`, `SKIP`, or `REQUIRE_MANUAL_MIGRATION` (default: `PROCEED`)',
-            )}`,
-        );
-        console.log(
-            `  ${symbols.bullet} SAM_CREATE_IF_NO_CHANGES ${colors.FgGray(
-                'set to true to only create a new migration file if there has been changes to the schema file since the last migration file (default: `false`)',
-            )}`,
-        );
-        console.log(
-            `  ${symbols.bullet} SAM_CREATE_DB_IF_MISSING ${colors.FgGray(
-                'set to true to create a new database file instead of throwing an error if it is missing (default: `false`)',
-            )}`,
-        );
-        console.log(
-            `  ${symbols.bullet} SAM_CREATE_ON_MANUAL_MIGRATION ${colors.FgGray(
-                'set to true to create a new migration file when a manual migration is required (default: `false`)',
-            )}`,
-        );
-        console.log(
-            `  ${symbols.bullet} SAM_ONLY_TRACK_AMBIGUOUS_STATE ${colors.FgGray(
-                'true if only renames (not creates+deletes) should be tracked in migration files, false otherwise (default: `false`)',
-            )}`,
-        );
-        console.log(
-            `  ${symbols.bullet} SAM_IGNORE_NAME_CASE ${colors.FgGray(
-                'true if table, column, index, virtual table, trigger, and view names should be case insensitive, false otherwise (default: `false`)',
-            )}`,
-        );
-        console.log(
-            `  ${symbols.bullet} SAM_CONFIG_PATH ${colors.FgGray(
-                'the path to a JSON configuration file containing defaults for the above environment variables, keys should leave out the `SAM_` prefix. (default: `./.samrc`)',
-            )}`,
+/**
+ * Gets the option a flag sets.
+ * @param {Flag} flag the flag
+ * @returns {string} the key of the option, e.g. `dryRun` for `--dry-run`
+ */
+function getKey(flag) {
+    return flag.key ?? flag.name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Parses and validates the arguments of a command.
+ * @param {string} cmd the name of the command
+ * @param {string[]} args the arguments following the command name
+ * @param {typeof import('sqlite-auto-migrator').Errors.ValidationError} ValidationError the error to throw for invalid arguments
+ * @returns {{options: Object, positionals: string[]}} the option values by key and the positional arguments
+ * @throws a ValidationError naming the flag or argument if the arguments are invalid
+ */
+function parseCommandArgs(cmd, args, ValidationError) {
+    // relative targets like `-1` would otherwise be read as short flags
+    const relativeTargets = args.filter(arg => /^-\d+$/.test(arg));
+    args = args.filter(arg => !/^-\d+$/.test(arg));
+    if (relativeTargets.length > 0) {
+        if (!args.includes('--')) args.push('--');
+        args.push(...relativeTargets);
+    }
+
+    const flags = getFlags(cmd);
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            options: Object.fromEntries(
+                flags.map(({ name, type, short }) => [name, short ? { type, short } : { type }]),
+            ),
+            allowPositionals: true,
+            strict: true,
+        });
+    } catch (err) {
+        if (!err.code?.startsWith('ERR_PARSE_ARGS')) throw err;
+        throw new ValidationError(
+            `${err.message}. Run \`sam ${cmd} --help\` to see the available options.`,
         );
+    }
+
+    const options = {};
+    for (const flag of flags) {
+        const value = parsed.values[flag.name];
+        if (value === undefined) continue;
+        if (flag.choices && !flag.choices.includes(value)) {
+            throw new ValidationError(
+                `Invalid value for --${flag.name}: ${value}. Must be one of ${flag.choices.join(
+                    ', ',
+                )}`,
+            );
+        }
+        if (flag.number && (value.trim() === '' || isNaN(Number(value)))) {
+            throw new ValidationError(
+                `Invalid value for --${flag.name}: ${value}. Must be a number`,
+            );
+        }
+        if (flag.negates && getKey(flag) in options) {
+            throw new ValidationError(
+                `--${flag.name} can't be combined with --${flag.name.slice(3)}`,
+            );
+        }
+        options[getKey(flag)] = flag.negates ? !value : flag.number ? Number(value) : value;
+    }
 
-        console.log(
-            colors.FgCyan('\nLearn more: ') + 'https://github.com/SanderGi/sqlite-auto-migrator',
+    const { args: expected, required } = COMMANDS[cmd];
+    if (
+        !options.help &&
+        (parsed.positionals.length < required || parsed.positionals.length > expected.length)
+    ) {
+        throw new ValidationError(
+            `Expected ${
+                required === expected.length ? required : `${required} to ${expected.length}`
+            } arguments but got ${parsed.positionals.length}. Usage: \`${getUsage(cmd)}\``,
         );
+    }
+    return { options, positionals: parsed.positionals };
+}
+
+/**
+ * Picks the options set by the given flags.
+ * @param {Object} options the option values by key
+ * @param {Flag[]} flags the flags to pick the options of
+ * @returns {Object} the options set by the flags
+ */
+function pickOptions(options, flags) {
+    const picked = {};
+    for (const flag of flags) {
+        const key = getKey(flag);
+        if (key in options) picked[key] = options[key];
+    }
+    return picked;
+}
+
+/**
+ * Gets the usage line of a command.
+ * @param {string} cmd the name of the command
+ * @returns {string} the usage, e.g. `sam migrate [options] [<target migration>]`
+ */
+function getUsage(cmd) {
+    const { args, required } = COMMANDS[cmd];
+    return [
+        'sam',
+        cmd,
+        ...(cmd === 'help' ? [] : ['[options]']),
+        ...args.map((arg, i) => (i < required ? arg : `[${arg}]`)),
+    ].join(' ');
+}
+
+/**
+ * Prints a list of flags with their descriptions.
+ * @param {Flag[]} flags the flags to print
+ * @param {typeof import('./colors.mjs').colors} colors
+ * @param {typeof import('./colors.mjs').symbols} symbols
+ */
+function printFlags(flags, colors, symbols) {
+    for (const flag of flags) {
+        const usage =
+            (flag.short ? `-${flag.short}, ` : '') +
+            `--${flag.name}` +
+            (flag.placeholder ? ` ${flag.placeholder}` : '');
+        let description = flag.description;
+        if (flag.choices) description += `. One of ${flag.choices.map(c => `\`${c}\``).join(', ')}`;
+        if (flag.env) description += `. Overrides \`${flag.env}\``;
+        console.log(`  ${symbols.bullet} ${usage} ${colors.FgGray(description)}`);
+    }
+}
+
+/**
+ * Prints the usage and options of a command.
+ * @param {string} cmd the name of the command
+ * @param {typeof import('./colors.mjs').colors} colors
+ * @param {typeof import('./colors.mjs').symbols} symbols
+ */
+function printCommandHelp(cmd, colors, symbols) {
+    const { args, flags, description } = COMMANDS[cmd];
+    console.log(colors.FgCyan('Usage: ') + getUsage(cmd));
+    console.log('\n' + description);
+    if (args.length > 0) {
+        console.log(colors.FgCyan('\nArguments:'));
+        for (const arg of args) {
+            console.log(`  ${symbols.bullet} ${arg} ${colors.FgGray(ARGUMENTS[arg])}`);
+        }
+    }
+    if (cmd === 'help') return;
+    if (flags.length > 0) {
+        console.log(colors.FgCyan('\nOptions:'));
+        printFlags(flags, colors, symbols);
+    }
+    console.log(colors.FgCyan('\nMigrator options:'));
+    printFlags(MIGRATOR_FLAGS, colors, symbols);
+    console.log(colors.FgCyan('\nOutput options:'));
+    printFlags(OUTPUT_FLAGS, colors, symbols);
+}
+
+/**
+ * Prints the available commands, the options all commands accept, and the exit codes.
+ * @param {typeof import('./colors.mjs').colors} colors
+ * @param {typeof import('./colors.mjs').symbols} symbols
+ */
+function printHelp(colors, symbols) {
+    console.log(colors.FgCyan('Usage: ') + 'sam <command> [options] [<arguments>]');
+
+    console.log(colors.FgCyan('\nAvailable commands:'));
+    for (const [cmd, { description }] of Object.entries(COMMANDS)) {
+        console.log(`  ${symbols.bullet} ${getUsage(cmd)} ${colors.FgGray(description)}`);
+    }
+    console.log('Run `sam <command> --help` to see the arguments and options of a command.');
+
+    console.log(
+        colors.FgCyan('\nMigrator options: ') +
+            'accepted by every command. Each overrides a `SAM_*` environment variable, e.g. `sam status --db example.db` is the same as `SAM_DB_PATH=example.db sam status`',
+    );
+    printFlags(MIGRATOR_FLAGS, colors, symbols);
+    console.log(colors.FgCyan('\nOutput options: ') + 'accepted by every command');
+    printFlags(OUTPUT_FLAGS, colors, symbols);
+
+    console.log(
+        colors.FgCyan('\nExit codes: ') +
+            'commands exit with 0 on success and a code per error class on failure',
+    );
+    for (const [name, code] of Object.entries(EXIT_CODES)) {
+        console.log(`  ${symbols.bullet} ${code} ${colors.FgGray(name)}`);
+    }
+    console.log(`  ${symbols.bullet} 1 ${colors.FgGray('any other error')}`);
+
+    console.log(
+        colors.FgCyan('\nLearn more: ') + 'https://github.com/SanderGi/sqlite-auto-migrator',
+    );
+}
+
+/**
+ * Gets the output format from the command line arguments, without validating them.
+ * @param {string[]} argv the command line arguments
+ * @returns {string} the output format, 'json' or 'text' unless an invalid format was given
+ */
+function getFormat(argv) {
+    if (argv.includes('--json')) return 'json';
+    const ix = argv.findIndex(arg => arg === '--format' || arg.startsWith('--format='));
+    if (ix === -1) return 'text';
+    return argv[ix] === '--format' ? argv[ix + 1] : argv[ix].slice('--format='.length);
+}
+
+/**
+ * Converts an error to a plain object that can be printed as JSON.
+ * @param {Error} err the error to convert
+ * @returns {{name: string, message: string, cause?: any}} the name, message, and cause of the error
+ */
+function serializeError(err) {
+    const serialized = { name: err.name, message: err.message };
+    if (err.cause !== undefined) {
+        serialized.cause = err.cause instanceof Error ? serializeError(err.cause) : err.cause;
+    }
+    return serialized;
+}
+
+/**
+ * Prints a value as JSON, e.g. the result of a command.
+ * @param {any} value the value to print
+ */
+function printJSON(value) {
+    console.log(
+        JSON.stringify(value, (key, val) => (val instanceof Error ? serializeError(val) : val), 2),
+    );
+}
+
+/**
+ * Reports an error that made a command fail and exits with the exit code of its error class.
+ * @param {Error} err the error to report
+ * @param {string[]} argv the command line arguments
+ */
+async function exitWithError(err, argv) {
+    if (getFormat(argv) === 'json') {
+        if (!argv.includes('--no-output')) printJSON({ error: err });
+    } else if (err.name in EXIT_CODES) {
+        const { colors } = await import('./colors.mjs');
+        let message = colors.FgRed(err.name + ':') + ' ' + err.message;
+        for (let cause = err.cause; cause instanceof Error; cause = cause.cause) {
+            message += `\n  Caused by ${cause.name}: ${cause.message}`;
+        }
+        console.error(message);
     } else {
-        console.error('Usage: `sam status`, `sam make`, `sam migrate`, or `sam help`');
-        process.exit(1);
+        console.error(err);
     }
+    process.exit(EXIT_CODES[err.name] ?? 1);
 }
 
-main(process.argv.slice(2));
+const argv = process.argv.slice(2);
+main([...argv]).catch(err => exitWithError(err, argv));
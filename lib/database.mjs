@@ -1,3 +1,7 @@
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
 // import sqlite3 from 'sqlite3';
 /** @typedef {import('sqlite3')} sqlite3 */
 /** @type {sqlite3} */
@@ -34,6 +38,51 @@ function prettifySqlite3Error(err, sql, params, stackReference) {
     err.params = params;
 }
 
+/**
+ * @typedef {Object} BackupProgress
+ * @property {number} remaining the number of pages left to copy
+ * @property {number} pageCount the total number of pages in the source database
+ */
+
+/**
+ * @typedef {Object} BackupOptions
+ * @property {number} [pagesPerStep=-1] the number of pages to copy per step, other connections can use the database in between steps. -1 copies all pages in one step
+ * @property {(progress: BackupProgress) => void} [onProgress] called after each step with the {@link BackupProgress}
+ */
+
+/**
+ * Runs SQLite's online backup step by step between a node-sqlite3 connection and a file.
+ * @param {sqlite3.Database} db the database connection
+ * @param {string} filename the path to the file
+ * @param {boolean} toFile true to copy the database into the file, false to copy the file into the database
+ * @param {BackupOptions} options how many pages to copy per step and how to report progress
+ * @returns {Promise<void>} a promise that resolves when all pages have been copied
+ */
+function runBackup(db, filename, toFile, { pagesPerStep = -1, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+        const backup = db.backup(filename, 'main', 'main', toFile, err => {
+            if (err) return reject(err);
+            // busy/locked steps are retried until every page has been copied
+            const step = () =>
+                backup.step(pagesPerStep, err => {
+                    if (err) return backup.finish(() => reject(err));
+                    onProgress?.({ remaining: backup.remaining, pageCount: backup.pageCount });
+                    if (!backup.completed) return step();
+                    backup.finish(() => resolve());
+                });
+            step();
+        });
+    });
+}
+
+/**
+ * How an outermost transaction acquires its locks, see https://www.sqlite.org/lang_transaction.html
+ * @typedef {('DEFERRED'|'IMMEDIATE'|'EXCLUSIVE')} TransactionMode
+ */
+
+/** The supported {@link TransactionMode}s */
+const TRANSACTION_MODES = ['DEFERRED', 'IMMEDIATE', 'EXCLUSIVE'];
+
 // used to prevent other files from creating Database/Statement instances
 const privateConstructor = Symbol('private constructor');
 
@@ -41,6 +90,9 @@ const privateConstructor = Symbol('private constructor');
  * Promise-based wrapper around the callback-based node-sqlite3 bindings.
  */
 export class Database {
+    /** The number of transactions and savepoints that are currently open on this connection */
+    #transactionDepth = 0;
+
     static OPEN_READONLY = sqlite3.OPEN_READONLY;
     static OPEN_READWRITE = sqlite3.OPEN_READWRITE;
     static OPEN_CREATE = sqlite3.OPEN_CREATE;
@@ -92,6 +144,32 @@ export class Database {
         });
     }
 
+    /**
+     * Creates an in-memory database from the contents of a database file, e.g. as returned by serialize().
+     * @param {Uint8Array} buffer the contents of a database file
+     * @param {boolean} [verbose=true] whether to print verbose error messages with stack traces and sql/params
+     * @returns {Promise<Database>} a promise that resolves to a Database instance connected to an in-memory copy of the database
+     * @throws {Error} if the buffer is not a valid database
+     */
+    static async deserialize(buffer, verbose = true) {
+        const stackReference = verbose ? new Error() : null;
+        // node-sqlite3 does not bind sqlite3_deserialize, so the buffer is loaded through a temporary file
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sam-'));
+        const filename = path.join(dir, 'deserialize.db');
+        const db = await Database.connect(':memory:', undefined, verbose);
+        try {
+            await fs.writeFile(filename, buffer);
+            await runBackup(db.db, filename, false);
+            return db;
+        } catch (err) {
+            if (verbose) prettifySqlite3Error(err, null, null, stackReference);
+            await db.close();
+            throw err;
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    }
+
     /**
      * Loads a SQLite extension.
      * @param {string} path the path to the compiled SQLite extension
@@ -290,6 +368,80 @@ export class Database {
         });
     }
 
+    /**
+     * Copies the database into a file using SQLite's online backup API, so it is safe to use while the database is in use.
+     * @param {string} filename the path to the file to copy the database into. An existing database in the file is overwritten.
+     * @param {BackupOptions} [options={}] how many pages to copy per step and how to report progress {@link BackupOptions}
+     * @returns {Promise<void>} a promise that resolves when the backup is complete
+     * @throws {Error} if the backup fails
+     * @see {@link sqlite3.Database#backup}
+     */
+    async backup(filename, options = {}) {
+        const stackReference = this.verbose ? new Error() : null;
+        try {
+            await runBackup(this.db, filename, true, options);
+        } catch (err) {
+            if (this.verbose) prettifySqlite3Error(err, filename, null, stackReference);
+            throw err;
+        }
+    }
+
+    /**
+     * Gets the contents of the database as they would be stored in a database file.
+     * @returns {Promise<Buffer>} a promise that resolves to the contents of the database, load them with Database.deserialize()
+     * @throws {Error} if the database cannot be read
+     */
+    async serialize() {
+        // node-sqlite3 does not bind sqlite3_serialize, so the database is copied through a temporary file
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sam-'));
+        try {
+            const filename = path.join(dir, 'serialize.db');
+            await this.backup(filename);
+            return await fs.readFile(filename);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Runs a function inside a transaction that is committed when the function resolves and rolled back when it throws. Nested calls use savepoints, so only the changes of the nested function are rolled back when it throws.
+     * @template T
+     * @param {(tx: Database) => Promise<T>} fn the function to run, it is passed this database connection
+     * @param {TransactionMode} [mode='DEFERRED'] how the outermost transaction acquires its locks, ignored for nested calls
+     * @returns {Promise<T>} a promise that resolves to the return value of fn once the transaction has been committed
+     * @throws {Error} the error thrown by fn after rolling back, or an error if the mode is invalid or the transaction cannot be committed
+     */
+    async transaction(fn, mode = 'DEFERRED') {
+        if (!TRANSACTION_MODES.includes(mode)) {
+            throw new Error(
+                `Invalid transaction mode: ${mode}. Must be one of ${TRANSACTION_MODES.join(', ')}`,
+            );
+        }
+        const savepoint =
+            this.#transactionDepth > 0 ? `sam_savepoint_${this.#transactionDepth}` : null;
+        await this.run(savepoint ? `SAVEPOINT ${savepoint}` : `BEGIN ${mode} TRANSACTION`);
+        this.#transactionDepth++;
+        try {
+            const result = await fn(this);
+            await this.run(savepoint ? `RELEASE ${savepoint}` : 'COMMIT TRANSACTION');
+            return result;
+        } catch (err) {
+            try {
+                if (savepoint) {
+                    await this.run(`ROLLBACK TO ${savepoint}`);
+                    await this.run(`RELEASE ${savepoint}`);
+                } else {
+                    await this.run('ROLLBACK TRANSACTION');
+                }
+            } catch {
+                // some errors already roll back the transaction, the original error is more useful
+            }
+            throw err;
+        } finally {
+            this.#transactionDepth--;
+        }
+    }
+
     /**
      * Closes the database connection.
      * @returns {Promise<void>} a promise that resolves when the database connection has been closed
@@ -522,10 +674,6 @@ export class Statement {
 // Use bun:sqlite if running in bun
 /* node:coverage disable */
 if (process.versions.bun) {
-    const fs = await import('fs/promises');
-    const path = await import('node:path');
-    const os = await import('node:os');
-
     const BunDB = await import('bun:sqlite').then(({ Database }) => Database);
     const OldDatabase = Database;
     Database = class DB extends OldDatabase {
@@ -550,6 +698,11 @@ if (process.versions.bun) {
             return new Database(db, mode, verbose, privateConstructor, dir);
         }
 
+        static async deserialize(buffer, verbose = true) {
+            const mode = Database.OPEN_READWRITE | Database.OPEN_CREATE | Database.OPEN_FULLMUTEX;
+            return new Database(BunDB.deserialize(buffer), mode, verbose, privateConstructor);
+        }
+
         async run(sql, ...params) {
             const query = this.db.query(sql);
             const res = query.run(...params);
@@ -589,6 +742,24 @@ if (process.versions.bun) {
             return new Statement(this.db.query(sql), sql, params, privateConstructor);
         }
 
+        async backup(filename, { onProgress } = {}) {
+            // bun:sqlite has no online backup API, VACUUM INTO writes a consistent copy in a single step instead
+            // it refuses to overwrite a database, so the copy replaces the file only once it has been written
+            const tmpFilename = `${filename}-${process.pid}-${Date.now()}.tmp`;
+            try {
+                await this.run('VACUUM INTO ?', tmpFilename);
+                await fs.rename(tmpFilename, filename);
+            } finally {
+                await fs.rm(tmpFilename, { force: true });
+            }
+            const { page_count } = await this.get('PRAGMA page_count');
+            onProgress?.({ remaining: 0, pageCount: page_count });
+        }
+
+        async serialize() {
+            return this.db.serialize();
+        }
+
         async close() {
             this.db.close();
             if (this.tmpdir) {
@@ -59,27 +59,69 @@ export function mapDifference(mapA, mapB, equal = (a, b) => a === b) {
 }
 
 /**
- * Mapping the keys in keysA to the keys in keysB that have mapA.get(keyA) === mapB.get(keyB). Chooses the first match.
- * @template K, V
- * @param {Map<K, V>} mapA the map to compare
- * @param {Iterable<K>} keysA the keys to compare
- * @param {Map<K, V>} mapB the map to compare against
- * @param {Iterable<K>} keysB the keys to compare against
- * @param {function} [equal=(a, b) => a === b] the equality function to use
- * @returns {Map<K, V>} a new map of keysA to keysB where the values are equal
+ * The Levenshtein distance between two strings, i.e. the least number of single character insertions, deletions, and substitutions that turn one into the other.
+ * @param {string} a the string to compare
+ * @param {string} b the string to compare against
+ * @returns {number} the edit distance
  */
-export function mappedDifference(mapA, keysA, mapB, keysB, equal = (a, b) => a === b) {
-    const difference = new Map();
-    for (const keyA of keysA) {
-        const valA = mapA.get(keyA);
-        for (const keyB of keysB) {
-            const valB = mapB.get(keyB);
-            if (equal(valA, valB)) {
-                difference.set(keyA, keyB);
-            }
+export function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+            );
         }
+        previous = current;
     }
-    return difference;
+    return previous[b.length];
+}
+
+/**
+ * How similar two names are based on their edit distance, ignoring case.
+ * @param {string} a the name to compare
+ * @param {string} b the name to compare against
+ * @returns {number} the similarity from 0 (nothing in common) to 1 (equal)
+ */
+export function nameSimilarity(a, b) {
+    const length = Math.max(a.length, b.length);
+    if (length === 0) return 1;
+    return 1 - editDistance(a.toLowerCase(), b.toLowerCase()) / length;
+}
+
+/**
+ * Pairs up the keys in keysA with the keys in keysB such that each key is used at most once, greedily choosing the pairs with the highest scores first. Ties go to the first pair.
+ * @template K
+ * @param {Iterable<K>} keysA the keys to pair up
+ * @param {Iterable<K>} keysB the keys to pair them up with
+ * @param {(a: K, b: K) => number} score a function scoring how well two keys match from 0 to 1
+ * @param {number} [minScore=0] the lowest score two keys can be paired up with
+ * @returns {{ pairs: Map<K, K>, scores: Map<K, number> }} the map of keysA to their paired keysB and the map of keysA to the score of their pair
+ */
+export function bestUniquePairs(keysA, keysB, score, minScore = 0) {
+    const candidates = [];
+    const keysBArray = [...keysB];
+    for (const a of keysA) {
+        for (const b of keysBArray) {
+            const s = score(a, b);
+            if (s >= minScore) candidates.push({ a, b, s });
+        }
+    }
+    candidates.sort((x, y) => y.s - x.s); // stable, so ties keep their order
+
+    const pairs = new Map();
+    const scores = new Map();
+    const pairedB = new Set();
+    for (const { a, b, s } of candidates) {
+        if (pairs.has(a) || pairedB.has(b)) continue;
+        pairs.set(a, b);
+        scores.set(a, s);
+        pairedB.add(b);
+    }
+    return { pairs, scores };
 }
 
 /**
@@ -110,6 +152,84 @@ export function unquoteSQL(sql) {
     return sql;
 }
 
+/**
+ * Converts a statement generated for a JavaScript migration file into its SQL equivalent.
+ * @param {string} statement the JavaScript statement, e.g. `await db.run("DROP TABLE \\"users\\"")` or `// Skipped removing table "users"`
+ * @returns {string | null} the SQL statement, e.g. `DROP TABLE "users";` or `-- Skipped removing table "users"`, or null if the statement can't be expressed in SQL
+ */
+export function jsToSQL(statement) {
+    statement = statement.trim();
+    if (statement.startsWith('//')) {
+        return '--' + statement.slice(2);
+    }
+    const match = statement.match(/^await db\.run\("((?:[^"\\]|\\.)*)"\)$/);
+    if (match) {
+        return match[1].replace(/\\"/g, '"') + ';';
+    }
+    return null;
+}
+
+/**
+ * Creates a unified diff of two texts, line by line.
+ * @param {string} oldText the text to compare
+ * @param {string} newText the text to compare against
+ * @param {string} [oldLabel='a'] the name of the old text in the diff header
+ * @param {string} [newLabel='b'] the name of the new text in the diff header
+ * @param {number} [context=3] the number of unchanged lines to show around each change
+ * @returns {string} the unified diff, empty if the texts have the same lines
+ */
+export function unifiedDiff(oldText, newText, oldLabel = 'a', newLabel = 'b', context = 3) {
+    const a = oldText.replace(/\r?\n$/, '').split(/\r?\n/);
+    const b = newText.replace(/\r?\n$/, '').split(/\r?\n/);
+
+    // lcs[i][j] is the length of the longest common subsequence of a.slice(i) and b.slice(j)
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] =
+                a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    // walk the table to get the unchanged, removed, and added lines with their positions in a and b
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            ops.push({ op: ' ', line: a[i], i: i++, j: j++ });
+        } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            ops.push({ op: '-', line: a[i], i: i++, j });
+        } else {
+            ops.push({ op: '+', line: b[j], i, j: j++ });
+        }
+    }
+
+    // group the changes into hunks with the surrounding context lines
+    const hunks = [];
+    for (const [k, { op }] of ops.entries()) {
+        if (op === ' ') continue;
+        const start = Math.max(0, k - context);
+        const end = Math.min(ops.length, k + context + 1);
+        const last = hunks[hunks.length - 1];
+        if (last && start <= last.end) last.end = end;
+        else hunks.push({ start, end });
+    }
+    if (hunks.length === 0) return '';
+
+    let diff = `--- ${oldLabel}\n+++ ${newLabel}\n`;
+    for (const { start, end } of hunks) {
+        const hunk = ops.slice(start, end);
+        const oldCount = hunk.filter(({ op }) => op !== '+').length;
+        const newCount = hunk.filter(({ op }) => op !== '-').length;
+        const oldStart = hunk[0].i + (oldCount > 0 ? 1 : 0);
+        const newStart = hunk[0].j + (newCount > 0 ? 1 : 0);
+        diff += `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@\n`;
+        diff += hunk.map(({ op, line }) => op + line).join('\n') + '\n';
+    }
+    return diff;
+}
+
 /**
  * Gets the absolute path of a given path.
  * @param {string} pathstr
@@ -65,6 +65,23 @@ export class IntegrityError extends Error {
     }
 }
 
+/**
+ * Error to be thrown when the migration lock held by another process is not released in time.
+ */
+export class LockTimeoutError extends Error {
+    constructor(message, ...params) {
+        super(message, ...params);
+
+        // Maintains proper stack trace for where our error was thrown (only available on V8)
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, LockTimeoutError);
+        }
+
+        this.name = 'LockTimeoutError';
+        this.message = 'Could not acquire the migration lock: ' + message;
+    }
+}
+
 /**
  * Returned by the up() method of a migration to indicate that to apply the migration, a declarative diffing should be performed.
  */
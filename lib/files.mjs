@@ -89,6 +89,14 @@ export async function writeFileAsync(path, data, options) {
     return await fs.writeFile(path, data, options);
 }
 
+/** @see {@link fs.rename} */
+export async function renameAsync(oldPath, newPath) {
+    if (bundledFiles.includes(oldPath) || bundledFiles.includes(newPath)) {
+        throw new Error('Cannot rename bundled file');
+    }
+    return await fs.rename(oldPath, newPath);
+}
+
 /** @see {@link fs.readFile} */
 export async function readdirAsync(path, options) {
     if (bundledFiles.includes(path)) {
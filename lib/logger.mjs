@@ -0,0 +1,140 @@
+import path from 'node:path';
+
+import { colors, symbols } from './colors.mjs';
+
+/** @typedef {import('./migrator.mjs').Change} Change */
+/** @typedef {import('./migrator.mjs').MigratorEvents} MigratorEvents */
+
+/** The colors of the titles of `message` events by level */
+const LEVEL_COLORS = {
+    info: colors.FgCyan,
+    success: colors.FgGreen,
+    warning: colors.FgYellow,
+    error: colors.FgRed,
+};
+
+/**
+ * Describes a schema change in a human readable way.
+ * @param {Change} change the change to describe
+ * @returns {string} the description
+ */
+export function describeChange(change) {
+    const [, verb, kind] = change.kind.match(/^([a-z]+)([A-Za-z]+)$/);
+    switch (kind) {
+        case 'Table':
+            return verb === 'rename'
+                ? `rename table "${change.before}" to "${change.after}"`
+                : `${verb} table "${change.table}"`;
+        case 'Column':
+            return verb === 'rename'
+                ? `rename column "${change.before}" to "${change.after}" in table "${change.table}"`
+                : `${verb} column "${change.column}" in table "${change.table}"`;
+        case 'Constraint':
+            return `${verb} constraint ${change.after ?? change.before} ${
+                verb === 'add' ? 'to' : 'from'
+            } table "${change.table}"`;
+        default: {
+            const unit = kind.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+            return verb === 'rename'
+                ? `rename ${unit} "${change.before}" to "${change.after}"`
+                : `${verb} ${unit} "${change.name}"`;
+        }
+    }
+}
+
+/** Formats the end of a migration line */
+const formatMigrationDone = ({ skipped }) =>
+    skipped
+        ? ` ${symbols.warning} (skipped, runs outside of a transaction)\n`
+        : ` ${symbols.success}\n`;
+
+/**
+ * Formats each {@link MigratorEvents} event into the human readable progress output of the command line interface.
+ * @type {{[event: string]: (payload: any) => string}}
+ */
+const FORMATTERS = {
+    message: ({ level, title, text }) =>
+        LEVEL_COLORS[level](title) + (text ? ' ' + text : '') + '\n',
+    'step:start': ({ step }) => `  ${symbols.bullet} ${step}...`,
+    'step:end': () => colors.FgGreen(' ' + symbols.success + '\n'),
+    'migration:start': ({ id, name, direction, fake }) => {
+        const verb =
+            direction === 'up'
+                ? fake
+                    ? 'Faking'
+                    : 'Applying'
+                : fake
+                  ? 'Faking undo of'
+                  : 'Undoing';
+        return `  ${symbols.bullet} ${verb} ${id}_${name}...`;
+    },
+    'migration:applied': formatMigrationDone,
+    'migration:undone': formatMigrationDone,
+    'migration:failed': () => ` ${symbols.error}\n`,
+    'migration:squashed': ({ id, name, replaces }) =>
+        `  ${symbols.bullet} ${id}_${name} replaces ${replaces.length} applied migrations ${symbols.success}\n`,
+    'diff:change': ({ change, applied }) =>
+        applied ? `  ${symbols.bullet} ${describeChange(change)} ${symbols.success}\n` : '',
+    'pragma:set': ({ pragma, value, persistent, dry_run }) =>
+        `  ${symbols.bullet} ${dry_run ? '' : 'Setting '}PRAGMA ${pragma} = ${JSON.stringify(
+            value,
+        )}` +
+        (dry_run
+            ? '\n'
+            : persistent
+              ? ` ${symbols.success}\n`
+              : ` ${symbols.warning} (not persistent)\n`),
+    'pragma:failed': ({ pragma, value }) =>
+        `  ${symbols.bullet} Setting PRAGMA ${pragma} = ${JSON.stringify(value)} ${
+            symbols.error
+        }\n`,
+    'integrity:result': ({ integrity_errors, foreign_key_violations }) => {
+        let output = colors.FgCyan('Running integrity and foreignkey checks:\n');
+        if (integrity_errors.length > 0) {
+            output += colors.FgRed('Integrity check failed:') + '\n';
+            for (const error of integrity_errors) {
+                output += `  ${symbols.bullet} ${error}\n`;
+            }
+        } else {
+            output += `  ${symbols.bullet} Integrity check passed ${symbols.success}\n`;
+        }
+        if (foreign_key_violations.length > 0) {
+            output += colors.FgRed('Foreign key check failed:') + '\n';
+            for (const violation of foreign_key_violations) {
+                output += `  ${symbols.bullet} ${Object.entries(violation)
+                    .map(([type, val]) => `${type}: ${val}`)
+                    .join('; ')}\n`;
+            }
+        } else {
+            output += `  ${symbols.bullet} Foreign key check passed ${symbols.success}\n`;
+        }
+        return output;
+    },
+    prompt: () => '', // the question is already shown by the prompt itself
+    'backup:created': ({ path }) => colors.FgCyan('Backed up the database') + ` to ${path}\n`,
+    'backup:restored': ({ path }) => colors.FgCyan('Restored the database') + ` from ${path}\n`,
+    'file:created': ({ path: filePath }) =>
+        colors.FgGreen('Migration file created:') + ` ${path.basename(filePath)}\n`,
+};
+
+/**
+ * Subscribes a log function to the events of a migrator, formatting them as human readable progress output.
+ * @param {import('node:events').EventEmitter} emitter the migrator to subscribe to
+ * @param {(s: string) => void} log a function to log the formatted output through, e.g. `process.stdout.write`
+ * @returns {() => void} a function that unsubscribes the log function again
+ */
+export function subscribeLogger(emitter, log) {
+    const listeners = Object.entries(FORMATTERS).map(([event, format]) => {
+        const listener = payload => {
+            const output = format(payload);
+            if (output) log(output);
+        };
+        emitter.on(event, listener);
+        return [event, listener];
+    });
+    return () => {
+        for (const [event, listener] of listeners) {
+            emitter.off(event, listener);
+        }
+    };
+}
@@ -1,3 +1,5 @@
+import { EventEmitter } from 'node:events';
+import os from 'node:os';
 import path from 'node:path';
 import readline from 'node:readline';
 
@@ -11,6 +13,7 @@ import {
     mkdirAsync,
     writeFileAsync,
     readdirAsync,
+    renameAsync,
     fsConstants,
     statAsync,
     readFileSync,
@@ -18,33 +21,43 @@ import {
 import { pathToFileURL } from 'url';
 
 import { colors, symbols } from './colors.mjs';
+import { subscribeLogger } from './logger.mjs';
 
 import {
     ManualMigrationRequired,
     ValidationError,
     RolledBackTransaction,
     IntegrityError,
+    LockTimeoutError,
 } from './errors.mjs';
 import {
     setDifference,
     objectDifference,
     mapDifference,
-    mappedDifference,
+    bestUniquePairs,
+    nameSimilarity,
     fileHash,
     unquoteSQL,
+    jsToSQL,
     getAbsolutePath,
+    unifiedDiff,
 } from './diff.mjs';
 import {
     parsePragmas,
+    parseRenameHints,
     getPragmas,
     getColumnInfo,
     getTables,
     getTableSQL,
     getCreateSQLBody,
+    getUnnamedSQL,
+    parseTableDefinition,
     getTriggers,
     getViews,
     getIndices,
     getVirtualTables,
+    parseSQLMigration,
+    isSQLMigration,
 } from './parse.mjs';
 import { Database } from './database.mjs';
 
@@ -53,15 +66,30 @@ import { Database } from './database.mjs';
  * @typedef {('PROMPT'|'REQUIRE_MANUAL_MIGRATION'|'PROCEED'|'SKIP')} Action
  */
 
+/**
+ * The format of a migration file: a JavaScript module exporting `PRAGMAS`, `up`, and `down` or a SQL file with `-- pragmas`, `-- up`, and `-- down` sections.
+ * @typedef {('mjs'|'sql')} MigrationFormat
+ */
+
+/**
+ * How a migration file is run, exported as `TRANSACTION` by the migration: `'shared'` in one transaction with the neighbouring shared migrations, `'own'` in its own transaction that is committed even if a later migration fails, or `'none'` outside of any transaction, e.g. to change the `journal_mode` or run `VACUUM INTO`.
+ * @typedef {('shared'|'own'|'none')} MigrationTransaction
+ */
+
 /**
  * An object representing a migration file.
  * @typedef {Object} MigrationFile
- * @property {string} id The migration id (should be a unique stringified integer with optional leading zeros, e.g., "0001", "0002", etc., and represents the order of the migrations)
+ * @property {string} id The migration id (should be unique and represents the order of the migrations, e.g., "0001", "0002", etc. or a timestamp like "20261019153000". Integer ids are ordered by value and sort before any non-integer ids, which are ordered as strings)
  * @property {string} name The migration name
  * @property {string} content_hash The hash of the migration content
  * @property {string} content_path The path to a file that contains the migration content
  */
 
+/**
+ * How to generate the id of a new migration file: `'sequential'` zero-padded numbers (e.g., "0005"), `'timestamp'` UTC timestamps (e.g., "20261019153000"), or a custom function that is passed the existing ids in ascending order and returns the next id.
+ * @typedef {('sequential'|'timestamp'|((ids: string[]) => string))} IdStrategy
+ */
+
 /**
  * The options for the migrator.
  * @typedef {Object} MigrationOptions
@@ -73,6 +101,10 @@ import { Database } from './database.mjs';
  * @property {boolean} [onlyTrackAmbiguousState] True if only renames (not creates+deletes) should be tracked in migration files, false otherwise. Default is true if `process.env.SAM_ONLY_TRACK_AMBIGUOUS_STATE === 'true'` and false otherwise
  * @property {boolean} [hideWarnings] True if warnings should be hidden, false otherwise. Default is true if `process.env.SAM_HIDE_WARNINGS === 'true'` and false otherwise
  * @property {boolean} [ignoreNameCase] True if table, column, index, virtual table, trigger, and view names should be case insensitive, false otherwise. Default is true if `process.env.SAM_IGNORE_NAME_CASE === 'true'` and false otherwise
+ * @property {IdStrategy} [idStrategy] How to generate the ids of new migration files. Default is `process.env.SAM_ID_STRATEGY` if provided, otherwise `'sequential'`
+ * @property {string} [backupDir] Path to the folder to store database snapshots in. Default is `process.env.SAM_BACKUP_DIR` if provided, otherwise a `backups` folder next to the database file
+ * @property {number} [lockTimeout] How long to wait for another process to release the migration lock before throwing a {@link LockTimeoutError}, in milliseconds. Default is `process.env.SAM_LOCK_TIMEOUT` if provided, otherwise 10000
+ * @property {number} [backupRetention] How many snapshots to keep in the backup folder, older ones are removed when a new one is taken. 0 keeps all snapshots. Default is `process.env.SAM_BACKUP_RETENTION` if provided, otherwise 5
  * @property {string} [configPath] Path to the configuration file. Default is `process.env.SAM_CONFIG_PATH` if provided, otherwise `path.join(process.cwd(), '.samrc')`. The config file is a json file where the object keys are the same as the environment variables minus the SAM_ prefix. The provided keys act as defaults and are overridden by the environment variables if they exist.
  */
 
@@ -80,24 +112,80 @@ import { Database } from './database.mjs';
  * The options for the migrator.make() method.
  * @typedef {Object} MakeOptions
  * @property {Action} [onRename] How to handle autodetected column/table renames. Default is `process.env.SAM_ON_RENAME` if provided, otherwise `Migrator.PROMPT`
+ * @property {number} [renameThreshold] The lowest confidence from 0 to 1 an autodetected rename is accepted with when onRename is `Migrator.PROCEED`, less likely renames are treated as a removal and an addition instead. The confidence is scored by the edit distance of the names and how similar the definitions are. Renames that keep the definition are always accepted. Default is `process.env.SAM_RENAME_THRESHOLD` if provided, otherwise 1
  * @property {Action} [onDestructiveChange] How to handle irreversible changes like dropping tables/columns. Default is `process.env.SAM_ON_DESTRUCTIVE_CHANGE` if provided, otherwise `Migrator.PROMPT`
  * @property {Action} [onChangedView] How to handle dropped/changed views. Default is `process.env.SAM_ON_CHANGED_VIEW` if provided, otherwise `Migrator.PROCEED`
  * @property {Action} [onChangedIndex] How to handle dropped/changed indices. Default is `process.env.SAM_ON_CHANGED_INDEX` if provided, otherwise `Migrator.PROCEED`
  * @property {Action} [onChangedTrigger] How to handle dropped/changed triggers. Default is `process.env.SAM_ON_CHANGED_TRIGGER` if provided, otherwise `Migrator.PROCEED`
  * @property {boolean} [createIfNoChanges] Whether to create a new migration file even if no changes are needed. Default is true if `process.env.SAM_CREATE_IF_NO_CHANGES === 'true'` and false otherwise
  * @property {boolean} [createOnManualMigration] Whether to create a new migration file if a manual migration is required. Default is true if `process.env.SAM_CREATE_ON_MANUAL_MIGRATION === 'true'` and false otherwise
+ * @property {MigrationFormat} [migrationFormat] The format of the created migration file, either `'mjs'` or `'sql'`. Default is `process.env.SAM_MIGRATION_FORMAT` if provided, otherwise `'mjs'`
+ * @property {{[newName: string]: string}} [renames] Renames to apply without prompting, as a map of new table names and `<table>.<column>` names to the names they were renamed from, e.g. `{ people: 'users', 'people.full_name': 'name' }`. Merged with (and takes precedence over) the `-- sam:renamed-from <old name>` hints in the schema file. Default is `{}`
+ */
+
+/**
+ * The options for the migrator.squash() method.
+ * @typedef {Object} SquashOptions
+ * @property {string} [name] The name of the squashed migration file. Default is `squashed_<from>_to_<to>`
+ * @property {MigrationFormat} [migrationFormat] The format of the squashed migration file, either `'mjs'` or `'sql'`. Default is `process.env.SAM_MIGRATION_FORMAT` if provided, otherwise `'mjs'`
+ */
+
+/**
+ * The options for the migrator.baseline() method.
+ * @typedef {Object} BaselineOptions
+ * @property {string} [name] The name of the baseline migration file. Default is `baseline`
+ * @property {MigrationFormat} [migrationFormat] The format of the baseline migration file, either `'mjs'` or `'sql'`. Default is `process.env.SAM_MIGRATION_FORMAT` if provided, otherwise `'mjs'`
  */
 
 /**
  * The options for the migrator.migrate() method when onlyTrackAmbiguousState is true.
  * @typedef {Object} MigrateUntrackedStateOptions
  * @property {Action} [onRename] How to handle autodetected column/table renames. Default is `Migrator.REQUIRE_MANUAL_MIGRATION`
+ * @property {number} [renameThreshold] The lowest confidence from 0 to 1 an autodetected rename is accepted with when onRename is `Migrator.PROCEED`. Default is `process.env.SAM_RENAME_THRESHOLD` if provided, otherwise 1
  * @property {Action} [onDestructiveChange] How to handle irreversible changes like dropping tables/columns. Default is `Migrator.REQUIRE_MANUAL_MIGRATION`
  * @property {Action} [onChangedView] How to handle dropped/changed views. Default is `Migrator.PROCEED`
  * @property {Action} [onChangedIndex] How to handle dropped/changed indices. Default is `Migrator.PROCEED`
  * @property {Action} [onChangedTrigger] How to handle dropped/changed triggers. Default is `Migrator.PROCEED`
  */
 
+/**
+ * Options for migrating the database.
+ * @typedef {Object} MigrateOptions
+ * @property {boolean} [dryRun] True if the migrations should be run inside a transaction that is always rolled back, reporting what would happen without modifying the database. Default is false
+ * @property {boolean} [fake] True if only the migrations table should be updated as if the migrations had been applied/undone without running them, e.g. after a change was hotfixed by hand. Default is false
+ * @property {boolean} [backup] True if a snapshot of the database should be taken before migrating and restored if the migration fails. Ignored for dry runs. Default is true if `process.env.SAM_BACKUP === 'true'` and false otherwise
+ * @property {Action} [onRename] How to handle autodetected column/table renames when onlyTrackAmbiguousState is true. Default is `Migrator.REQUIRE_MANUAL_MIGRATION`
+ * @property {number} [renameThreshold] The lowest confidence from 0 to 1 an autodetected rename is accepted with when onRename is `Migrator.PROCEED` and onlyTrackAmbiguousState is true. Default is `process.env.SAM_RENAME_THRESHOLD` if provided, otherwise 1
+ * @property {Action} [onDestructiveChange] How to handle irreversible changes like dropping tables/columns when onlyTrackAmbiguousState is true. Default is `Migrator.REQUIRE_MANUAL_MIGRATION`
+ * @property {Action} [onChangedView] How to handle dropped/changed views when onlyTrackAmbiguousState is true. Default is `Migrator.PROCEED`
+ * @property {Action} [onChangedIndex] How to handle dropped/changed indices when onlyTrackAmbiguousState is true. Default is `Migrator.PROCEED`
+ * @property {Action} [onChangedTrigger] How to handle dropped/changed triggers when onlyTrackAmbiguousState is true. Default is `Migrator.PROCEED`
+ */
+
+/**
+ * The outcome of a call to migrate().
+ * @typedef {Object} MigrateResult
+ * @property {boolean} dry_run True if the migrations were rolled back because this was a dry run, false otherwise
+ * @property {string} target The migration id the database was (or would have been) migrated to, or "zero"
+ * @property {Array<{id: string, name: string}>} undone_migrations The migrations that were (or would have been) undone, in the order they were undone
+ * @property {Array<{id: string, name: string}>} applied_migrations The migrations that were (or would have been) applied, in the order they were applied
+ * @property {Change[]} untracked_changes The untracked schema changes that were (or would have been) applied when onlyTrackAmbiguousState is true
+ * @property {Object} pragmas The pragmas that were (or would have been) set after the migrations
+ * @property {string[]} integrity_errors The errors reported by the integrity check, empty if it passed
+ * @property {Object[]} foreign_key_violations The violations reported by the foreign key check, empty if it passed
+ * @property {Array<{id: string, name: string, replaces: string[]}>} squashed_migrations The squashed migrations that were (or would have been) recorded in place of the applied migrations they replace
+ * @property {boolean} fake True if the migrations were only recorded in (or removed from) the migrations table without being run, false otherwise
+ * @property {boolean} has_tampered_data True if the database schema does not match the applied migrations after a fake migration (only checked when fake is true), false otherwise
+ * @property {string|null} backup_path The path to the snapshot taken before migrating if the backup option is true and there was something to migrate, null otherwise
+ */
+
+/**
+ * The outcome of a call to make().
+ * @typedef {Object} MakeResult
+ * @property {string|null} file_path The path to the created migration file, null if no migration file was created
+ * @property {Change[]} changes The schema changes tracked in the created migration file (or that would have been if no file was created)
+ */
+
 /**
  * The migration status of the database.
  * @typedef {Object} Status
@@ -111,14 +199,196 @@ import { Database } from './database.mjs';
  * @property {boolean} has_tampered_data True if the database state has been tampered with and no longer matches the applied migrations, false otherwise
  */
 
-/** Compares two {@link MigrationFile} objects by their `id` property in ascending order. */
-const ASCENDING_BY_ID = (a, b) => {
-    return a.id - b.id;
+/**
+ * The problems found in the migration history, e.g. after merging branches that both added migrations.
+ * @typedef {Object} CheckResult
+ * @property {Array<{id: string, names: string[]}>} duplicate_ids The ids that are shared by multiple migration files
+ * @property {string[]} missing_ids The sequential ids that are skipped between zero-padded ids of the same width, e.g. 0003 between 0002 and 0004 (only checked for the sequential id strategy, timestamps and custom ids are not expected to be contiguous)
+ * @property {Array<{id: string, name: string}>} out_of_order_migrations The unapplied migration files that sort before the latest applied migration, e.g. added on a branch that was merged after newer migrations were applied
+ * @property {boolean} ok True if no problems were found, false otherwise
+ */
+
+/**
+ * The options for the migrator.history() method.
+ * @typedef {Object} HistoryOptions
+ * @property {string} [id] Only list the applied migration with this id. Default is all applied migrations
+ * @property {boolean} [content] True if the content of the migrations as it was applied should be included, false otherwise. Default is false
+ * @property {boolean} [diff] True if a diff of the applied content against the current migration file should be included, false otherwise. Default is false
+ */
+
+/**
+ * An applied migration as recorded in the migrations table.
+ * @typedef {Object} HistoryEntry
+ * @property {string} id The migration id
+ * @property {string} name The migration name
+ * @property {string} applied_at When the migration was applied as a UTC timestamp, e.g. "2026-10-19 15:30:00.123"
+ * @property {string} content_hash The hash of the migration content when it was applied
+ * @property {('unchanged'|'modified'|'missing')} file_status Whether the migration file with the same id still has the applied content, has been modified since, or is missing from the migrations folder
+ * @property {string} [content] The content of the migration as it was applied, only included if the content option is true
+ * @property {string|null} [diff] A unified diff of the applied content against the current migration file, empty if they match and null if the file is missing. Only included if the diff option is true
+ */
+
+/**
+ * The options for the migrator.auditLog() method.
+ * @typedef {Object} AuditLogOptions
+ * @property {string} [id] Only list the entries of the migration with this id. Default is the entries of all migrations
+ */
+
+/**
+ * An entry of the audit log, written each time a migration is applied or undone (or fails to be).
+ * @typedef {Object} AuditLogEntry
+ * @property {number} seq The position of the entry in the audit log, increasing in the order the entries were written
+ * @property {string} logged_at When the entry was written as a UTC timestamp, e.g. "2026-10-19 15:30:00.123"
+ * @property {('up'|'down')} direction Whether the migration was applied (up) or undone (down)
+ * @property {string} id The migration id
+ * @property {string} name The migration name
+ * @property {string} content_hash The hash of the migration content that was applied or undone
+ * @property {number} duration_ms How long running the migration took in milliseconds, 0 if it was faked
+ * @property {('succeeded'|'faked'|'failed'|'rolled_back')} outcome Whether the migration succeeded, was only recorded because the run was fake, threw, or succeeded but was rolled back because a later migration or check in the same run failed
+ * @property {string|null} error The error message if the migration failed, null otherwise
+ * @property {string|null} hostname The hostname of the machine that ran the migration
+ * @property {string|null} username The name of the user that ran the migration
+ * @property {string|null} sam_version The version of sqlite-auto-migrator that ran the migration
+ */
+
+/**
+ * A structured description of a single schema change.
+ * @typedef {Object} Change
+ * @property {('addTable'|'removeTable'|'renameTable'|'addColumn'|'removeColumn'|'renameColumn'|'modifyColumn'|'addConstraint'|'removeConstraint'|'addVirtualTable'|'removeVirtualTable'|'modifyVirtualTable'|'addView'|'removeView'|'modifyView'|'renameView'|'addTrigger'|'removeTrigger'|'modifyTrigger'|'renameTrigger'|'addIndex'|'removeIndex'|'modifyIndex'|'renameIndex')} kind The type of change
+ * @property {string} [table] The name of the affected table (after any rename)
+ * @property {string} [column] The name of the affected column (after any rename)
+ * @property {string} [name] The name of the affected virtual table, view, trigger or index (after any rename)
+ * @property {any} [before] The state before the change: the old name for renames, a {@link ColumnInfo} object for columns, and the normalized SQL otherwise, e.g. `unique (name, age)` for table constraints
+ * @property {any} [after] The state after the change, in the same format as `before`
+ */
+
+/**
+ * The events a {@link Migrator} emits while it works, by name. The `log` function passed to its methods is subscribed to them for the duration of the call.
+ * @typedef {Object} MigratorEvents
+ * @property {{level: ('info'|'success'|'warning'|'error'), title: string, text?: string}} message a progress message, e.g. a section heading
+ * @property {{step: string}} step:start a step of a longer operation, e.g. diffing the tables, has started
+ * @property {{step: string, duration_ms: number}} step:end the step has finished
+ * @property {{id: string, name: string, direction: ('up'|'down'), fake: boolean}} migration:start a migration is about to be applied (up) or undone (down)
+ * @property {{id: string, name: string, duration_ms: number, fake: boolean, skipped: boolean}} migration:applied a migration was applied, skipped is true if it was not run because it runs outside of a transaction in a dry run
+ * @property {{id: string, name: string, duration_ms: number, fake: boolean, skipped: boolean}} migration:undone a migration was undone, see migration:applied
+ * @property {{id: string, name: string, direction: ('up'|'down'), duration_ms: number, error: Error}} migration:failed a migration threw
+ * @property {{id: string, name: string, replaces: string[]}} migration:squashed a squashed migration was recorded in place of the applied migrations it replaces
+ * @property {{change: Change, applied: boolean}} diff:change a schema change was detected, applied is true if it was applied to the database as an untracked change
+ * @property {{pragma: string, value: any, persistent: boolean, dry_run: boolean, duration_ms: number}} pragma:set a pragma was set (or would have been set in a dry run), persistent is false if it needs to be set on each new connection
+ * @property {{pragma: string, value: any, error: Error}} pragma:failed setting a pragma threw
+ * @property {{integrity_errors: string[], foreign_key_violations: Object[], ok: boolean}} integrity:result the results of the integrity and foreign key checks
+ * @property {{question: string, answer: string}} prompt the user answered a prompt
+ * @property {{path: string, duration_ms: number}} backup:created a snapshot of the database was taken
+ * @property {{path: string, duration_ms: number}} backup:restored the database was restored from a snapshot
+ * @property {{id: string, name: string, path: string}} file:created a migration file was written
+ */
+
+/**
+ * A function to emit {@link MigratorEvents} through.
+ * @typedef {(event: string, payload: Object) => void} EmitFunction
+ */
+
+/** @typedef {import('./parse.mjs').ColumnInfo} ColumnInfo */
+
+/** Compares two migration ids in ascending order: integer ids by value, then any other ids as strings. */
+const COMPARE_IDS = (a, b) => {
+    const aIsInteger = /^\d+$/.test(a);
+    const bIsInteger = /^\d+$/.test(b);
+    if (aIsInteger && bIsInteger) {
+        const difference = BigInt(a) - BigInt(b);
+        return difference === 0n ? 0 : difference < 0n ? -1 : 1;
+    }
+    if (aIsInteger !== bIsInteger) {
+        return aIsInteger ? -1 : 1;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
 };
 
+/** Compares two {@link MigrationFile} objects by their `id` property in ascending order. */
+const ASCENDING_BY_ID = (a, b) => COMPARE_IDS(a.id, b.id);
+
 /** Compares two objects for JSON equality. */
 const IS_JSON_EQUAL = (a, b) => JSON.stringify(a) === JSON.stringify(b);
 
+/** The lowest confidence from 0 to 1 for a removed and an added table/column to be considered a rename at all */
+const MIN_RENAME_CONFIDENCE = 0.6;
+
+/**
+ * Scores how likely a removed column was renamed to an added column by the edit distance of their names, their types, and their constraints.
+ * @param {string} oldName the name of the removed column
+ * @param {ColumnInfo} oldInfo the info of the removed column
+ * @param {string} newName the name of the added column
+ * @param {ColumnInfo} newInfo the info of the added column
+ * @returns {number} the confidence from 0 to 1, at least 0.7 if the columns have the same definition
+ */
+const COLUMN_RENAME_CONFIDENCE = (oldName, oldInfo, newName, newInfo) => {
+    const constraints = ['notnull', 'dflt_value', 'pk', 'fk'];
+    const sameConstraints = constraints.filter(key => IS_JSON_EQUAL(oldInfo[key], newInfo[key]));
+    return (
+        0.3 * nameSimilarity(oldName, newName) +
+        0.4 * (oldInfo.type.toUpperCase() === newInfo.type.toUpperCase() ? 1 : 0) +
+        0.3 * (sameConstraints.length / constraints.length)
+    );
+};
+
+/**
+ * Scores how likely a removed table was renamed to an added table by the edit distance of their names and the shape of their columns.
+ * @param {string} oldName the name of the removed table
+ * @param {Map<string, ColumnInfo>} oldColumns the columns of the removed table
+ * @param {string} newName the name of the added table
+ * @param {Map<string, ColumnInfo>} newColumns the columns of the added table
+ * @returns {number} the confidence from 0 to 1, at least 0.7 if the tables have the same columns
+ */
+const TABLE_RENAME_CONFIDENCE = (oldName, oldColumns, newName, newColumns) => {
+    const { scores } = bestUniquePairs(oldColumns.keys(), newColumns.keys(), (a, b) =>
+        COLUMN_RENAME_CONFIDENCE(a, oldColumns.get(a), b, newColumns.get(b)),
+    );
+    let shape = 0;
+    for (const score of scores.values()) shape += score;
+    shape /= Math.max(oldColumns.size, newColumns.size, 1);
+    return 0.3 * nameSimilarity(oldName, newName) + 0.7 * shape;
+};
+
+/** Maps the kinds of "unalterables" to the suffix of their {@link Change} kinds */
+const UNALTERABLE_CHANGE_KINDS = {
+    'virtual tables': 'VirtualTable',
+    views: 'View',
+    triggers: 'Trigger',
+    indices: 'Index',
+};
+
+/** The built-in {@link IdStrategy}s */
+const ID_STRATEGIES = ['sequential', 'timestamp'];
+
+/** The supported {@link MigrationFormat}s, which double as the migration file extensions */
+const MIGRATION_FORMATS = ['mjs', 'sql'];
+
+/** Thrown inside the migration transaction to roll back a dry run */
+const DRY_RUN_ROLLBACK = Symbol('dry run rollback');
+
+/** The columns of the audit log, see {@link AuditLogEntry} */
+const AUDIT_LOG_COLUMNS = [
+    'direction',
+    'id',
+    'name',
+    'content_hash',
+    'duration_ms',
+    'outcome',
+    'error',
+    'hostname',
+    'username',
+    'sam_version',
+];
+
+/** The {@link MigratorEvents} that are recorded in the audit log */
+const AUDITED_EVENTS = ['migration:applied', 'migration:undone', 'migration:failed'];
+
+/** The supported {@link MigrationTransaction}s, the first is the default */
+const MIGRATION_TRANSACTIONS = ['shared', 'own', 'none'];
+
+/** How often to check if the migration lock has been released, in milliseconds */
+const LOCK_RETRY_INTERVAL = 100;
+
 /** Maximum length of auto generated migration filenames */
 const MAX_FILE_NAME_LENGTH = 40;
 
@@ -126,9 +396,9 @@ const MAX_FILE_NAME_LENGTH = 40;
 let migrationPath_to_dbPath = new Map();
 
 /**
- * A class to manage migrations for a SQLite database.
+ * A class to manage migrations for a SQLite database. Emits {@link MigratorEvents} while it works.
  */
-export class Migrator {
+export class Migrator extends EventEmitter {
     /**
      * You'll be prompted via the commandline for how to proceed.
      * @type {Action}
@@ -155,6 +425,7 @@ export class Migrator {
      * @throws an appropriate {@link ValidationError} if the options are invalid.
      */
     constructor(options = {}) {
+        super();
         this.configPath =
             getAbsolutePath(options.configPath ?? process.env.SAM_CONFIG_PATH) ??
             path.join(process.cwd(), '.samrc');
@@ -189,6 +460,15 @@ export class Migrator {
             process.env.SAM_ONLY_TRACK_AMBIGUOUS_STATE === 'true';
         this.ignoreNameCase = options.ignoreNameCase ?? process.env.SAM_IGNORE_NAME_CASE === 'true';
         this.hideWarnings = options.hideWarnings ?? process.env.SAM_HIDE_WARNINGS === 'true';
+        this.idStrategy = options.idStrategy ?? process.env.SAM_ID_STRATEGY ?? 'sequential';
+        this.backupDir =
+            getAbsolutePath(options.backupDir ?? process.env.SAM_BACKUP_DIR) ??
+            path.join(path.dirname(this.dbPath), 'backups');
+        this.lockPath = this.dbPath + '.lock';
+        this.lockTimeout = Number(options.lockTimeout ?? process.env.SAM_LOCK_TIMEOUT ?? 10000);
+        this.backupRetention = Number(
+            options.backupRetention ?? process.env.SAM_BACKUP_RETENTION ?? 5,
+        );
 
         if (!this.hideWarnings) {
             const dbPaths = migrationPath_to_dbPath.get(this.migrationsPath) ?? new Set();
@@ -211,30 +491,44 @@ export class Migrator {
      * @param {function} log a function to log messages through. Default is `process.stdout.write`
      * @throws an appropriate {@link ValidationError} if the options or prompted input is invalid.
      * @throws an appropriate {@link ManualMigrationRequired} if a manual migration is required.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
      * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database, close the database, or remove temporary files.
      * @effects writes a new migration file to the migrations folder if no unexpected/validation errors occur and keyargs.createIfNoChanges is true or there are changes to be made
+     * @returns {Promise<MakeResult>} a {@link MakeResult} with the path to the created migration file and the changes it tracks
      */
     async make(keyargs = {}, log = s => process.stdout.write(s)) {
+        return await this.#withLogger(log, emit => this.#withLock(() => this.#make(keyargs, emit)));
+    }
+
+    /**
+     * Creates a new migration file while holding the migration lock, see make().
+     * @private
+     * @param {MakeOptions} keyargs specifies how to handle renames/destructive changes and more
+     * @param {EmitFunction} emit a function to emit {@link MigratorEvents} through
+     * @returns {Promise<MakeResult>} the path to the created migration file and the changes it tracks
+     */
+    async #make(keyargs, emit) {
         this.#validateOptions();
         const createIfNoChanges =
             keyargs.createIfNoChanges ?? process.env.SAM_CREATE_IF_NO_CHANGES === 'true';
         const createOnManualMigration =
             keyargs.createOnManualMigration ??
             process.env.SAM_CREATE_ON_MANUAL_MIGRATION === 'true';
+        const migrationFormat = this.#getMigrationFormat(keyargs);
 
-        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-        const prompt = query => new Promise(resolve => rl.question(query, resolve));
+        // prompts go to stderr so they don't mix with output piped from stdout, e.g. `sam diff --json`
+        const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+        const prompt = this.#prompter(rl, emit);
 
         if (this.onlyTrackAmbiguousState) {
             // when we are not tracking unambiguous state, if there are renames
             // relative to the database state, we need to create a migration file
             // saving the currently untracked schema changes before we can create
             // a file to track the renames
-            log(
-                colors.FgCyan(
-                    'Checking if the schema contains ambiguous state relative to the database...\n',
-                ),
-            );
+            emit('message', {
+                level: 'info',
+                title: 'Checking if the schema contains ambiguous state relative to the database...',
+            });
             const db = await Database.connect(this.dbPath);
             const copyDB = await Database.connect('');
             const schemaDB = await Database.connect('');
@@ -245,6 +539,8 @@ export class Migrator {
                 const diff = await this.#diff(
                     {
                         onRename: keyargs.onRename,
+                        renameThreshold: keyargs.renameThreshold,
+                        renames: this.#getRenames(schema, keyargs.renames),
                         onDestructiveChange: Migrator.PROCEED,
                         onChangedIndex: Migrator.PROCEED,
                         onChangedView: Migrator.PROCEED,
@@ -256,12 +552,17 @@ export class Migrator {
                 );
                 const dbContainsRenames = diff.containsRenames;
                 if (dbContainsRenames) {
-                    log(colors.FgCyan('Ambiguity found.') + ' Saving current schema.\n');
+                    emit('message', {
+                        level: 'info',
+                        title: 'Ambiguity found.',
+                        text: 'Saving current schema.',
+                    });
                     await this.#createMigrationTable(db);
                     await this.#createMigrationDirectory();
 
                     const migrationFiles = await this.#getMigrationFiles();
                     const appliedMigrations = await this.#getAppliedMigrationFiles(db);
+                    await this.#collapseSquashedMigrations(migrationFiles, appliedMigrations);
                     this.#removeCommonMigrations(migrationFiles, appliedMigrations);
                     if (migrationFiles.length !== 0 || appliedMigrations.length !== 0) {
                         throw new ValidationError(
@@ -269,10 +570,7 @@ export class Migrator {
                         );
                     }
 
-                    const { id } = await db.get(
-                        `SELECT MAX(id) AS id FROM "${this.migrationsTable}"`,
-                    );
-                    const nextId = (Number(id ?? -1) + 1).toString().padStart(4, '0');
+                    const nextId = await this.#getNextId(await this.#getMigrationFiles());
 
                     const migration_file = await this.#writeMigrationFile(
                         nextId,
@@ -287,6 +585,11 @@ export class Migrator {
                             'throw new Error("Cannot undo schema snapshots created in onlyTrackAmbiguousState mode. Manual migration required.")',
                         ],
                     );
+                    emit('file:created', {
+                        id: migration_file.id,
+                        name: migration_file.name,
+                        path: migration_file.content_path,
+                    });
                     await db.run(
                         `INSERT INTO "${this.migrationsTable}" (id, name, content_hash, content) VALUES (?, ?, ?, ?)`,
                         [
@@ -297,10 +600,11 @@ export class Migrator {
                         ],
                     );
                 } else {
-                    log(
-                        colors.FgCyan('No ambiguity.') +
-                            ' Proceeding to diff against the existing migration files if any.\n',
-                    );
+                    emit('message', {
+                        level: 'info',
+                        title: 'No ambiguity.',
+                        text: 'Proceeding to diff against the existing migration files if any.',
+                    });
                 }
             } catch (e) {
                 rl.close();
@@ -318,6 +622,7 @@ export class Migrator {
         try {
             const schema = await readFileAsync(this.schemaPath, 'utf8');
             const migrationFiles = await this.#getMigrationFiles();
+            this.#assertUniqueIds(migrationFiles);
             await Promise.all([this.#applyMigrations(oldDB, migrationFiles), newDB.exec(schema)]);
             for (const pragma of parsePragmas(schema)) {
                 await Promise.all([oldDB.run(pragma), newDB.run(pragma)]);
@@ -330,32 +635,53 @@ export class Migrator {
                 downStatements,
                 manualMigrationReasons,
                 containsRenames,
-            } = await this.#diff(keyargs, oldDB, newDB, prompt, this.onlyTrackAmbiguousState, log);
+                changes,
+            } = await this.#diff(
+                { ...keyargs, renames: this.#getRenames(schema, keyargs.renames) },
+                oldDB,
+                newDB,
+                prompt,
+                this.onlyTrackAmbiguousState,
+                emit,
+            );
+            for (const change of changes) emit('diff:change', { change, applied: false });
+            /** @type {MakeResult} */
+            const result = { file_path: null, changes };
 
             const containsTrackedDifferences = this.onlyTrackAmbiguousState
                 ? containsRenames
                 : upStatements.length !== 0;
             if (containsTrackedDifferences || createIfNoChanges) {
                 if (manualMigrationReasons.length > 0 && !createOnManualMigration) {
-                    log(
-                        colors.FgRed('Manual migration required.') +
-                            ' No migration file created.\n',
-                    );
+                    emit('message', {
+                        level: 'error',
+                        title: 'Manual migration required.',
+                        text: 'No migration file created.',
+                    });
                 } else {
-                    log(colors.FgCyan('Creating migration file...'));
-                    const nextId = Number(migrationFiles.length).toString().padStart(4, '0');
-                    await this.#writeMigrationFile(
+                    const nextId = await this.#getNextId(migrationFiles);
+                    const migration_file = await this.#writeMigrationFile(
                         nextId,
                         nameParts.join('__').substring(0, MAX_FILE_NAME_LENGTH) ||
                             'not_implemented',
                         pragmas,
                         upStatements,
                         downStatements,
+                        migrationFormat,
                     );
-                    log(colors.FgGreen(' Migration file created!\n'));
+                    result.file_path = migration_file.content_path;
+                    emit('file:created', {
+                        id: migration_file.id,
+                        name: migration_file.name,
+                        path: migration_file.content_path,
+                    });
                 }
             } else {
-                log(colors.FgCyan('No changes detected.') + ' No migration file created.\n');
+                emit('message', {
+                    level: 'info',
+                    title: 'No changes detected.',
+                    text: 'No migration file created.',
+                });
             }
 
             if (manualMigrationReasons.length > 0) {
@@ -366,6 +692,7 @@ export class Migrator {
                     },
                 );
             }
+            return result;
         } finally {
             rl.close();
             await oldDB.close();
@@ -373,6 +700,58 @@ export class Migrator {
         }
     }
 
+    /**
+     * Compares the latest migration file state to the current schema without creating a migration file.
+     * @param {MakeOptions} [keyargs={}] specifies how to handle renames/destructive changes {@link MakeOptions}
+     * @param {function} log a function to log messages through. Default is `process.stdout.write`
+     * @returns {Promise<Change[]>} the changes a call to make() would track in a new migration file
+     * @throws an appropriate {@link ValidationError} if the options or prompted input is invalid.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database or close the database.
+     */
+    async diff(keyargs = {}, log = s => process.stdout.write(s)) {
+        return await this.#withLogger(log, emit => this.#diffSchema(keyargs, emit));
+    }
+
+    /**
+     * Compares the latest migration file state to the current schema, see diff().
+     * @private
+     * @param {MakeOptions} keyargs specifies how to handle renames/destructive changes
+     * @param {EmitFunction} emit a function to emit {@link MigratorEvents} through
+     * @returns {Promise<Change[]>} the changes a call to make() would track in a new migration file
+     */
+    async #diffSchema(keyargs, emit) {
+        this.#validateOptions();
+
+        // prompts go to stderr so they don't mix with output piped from stdout, e.g. `sam diff --json`
+        const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+        const prompt = this.#prompter(rl, emit);
+
+        const [oldDB, newDB] = await Promise.all([Database.connect(''), Database.connect('')]);
+        try {
+            const schema = await readFileAsync(this.schemaPath, 'utf8');
+            const migrationFiles = await this.#getMigrationFiles();
+            this.#assertUniqueIds(migrationFiles);
+            await Promise.all([this.#applyMigrations(oldDB, migrationFiles), newDB.exec(schema)]);
+            for (const pragma of parsePragmas(schema)) {
+                await Promise.all([oldDB.run(pragma), newDB.run(pragma)]);
+            }
+
+            const { changes } = await this.#diff(
+                { ...keyargs, renames: this.#getRenames(schema, keyargs.renames) },
+                oldDB,
+                newDB,
+                prompt,
+                this.onlyTrackAmbiguousState,
+                emit,
+            );
+            for (const change of changes) emit('diff:change', { change, applied: false });
+            return changes;
+        } finally {
+            rl.close();
+            await Promise.all([oldDB.close(), newDB.close()]);
+        }
+    }
+
     /**
      * Diffs the migration files against the schema.
      * @private
@@ -381,12 +760,12 @@ export class Migrator {
      * @param {Database} newDB the new database state to diff against (this should be an empty database that will be modified)
      * @param {(s: string) => Promise<string>} prompt a function to prompt the user for input
      * @param {boolean} [onlyAmbiguousChanges=false] true if only renames (not creates+deletes) should be handled, false otherwise
-     * @param {function} log a function to log messages through. Default is `() => {}`
-     * @returns {Promise<{nameParts: string[], pragmas: Object, upStatements: string[], downStatements: string[], manualMigrationReasons: string[], containsRenames: boolean}>} the diff results
+     * @param {EmitFunction} [emit] a function to emit {@link MigratorEvents} through. Default is `() => {}`
+     * @returns {Promise<{nameParts: string[], pragmas: Object, upStatements: string[], downStatements: string[], manualMigrationReasons: string[], containsRenames: boolean, changes: Change[]}>} the diff results
      * @throws an appropriate {@link ValidationError} if the prompted input is invalid.
      * @throws an appropriate {@link Error} if an unexpected error occurs, e.g. a SQLError.
      */
-    async #diff(keyargs = {}, oldDB, newDB, prompt, onlyAmbiguousChanges = false, log = () => {}) {
+    async #diff(keyargs = {}, oldDB, newDB, prompt, onlyAmbiguousChanges = false, emit = () => {}) {
         const onRename = keyargs.onRename ?? process.env.SAM_ON_RENAME ?? Migrator.PROMPT;
         const onDestructiveChange =
             keyargs.onDestructiveChange ?? process.env.SAM_ON_DESTRUCTIVE_CHANGE ?? Migrator.PROMPT;
@@ -396,15 +775,27 @@ export class Migrator {
             keyargs.onChangedView ?? process.env.SAM_ON_CHANGED_VIEW ?? Migrator.PROCEED;
         const onChangedTrigger =
             keyargs.onChangedTrigger ?? process.env.SAM_ON_CHANGED_TRIGGER ?? Migrator.PROCEED;
+        const renameThreshold = Number(
+            keyargs.renameThreshold ?? process.env.SAM_RENAME_THRESHOLD ?? 1,
+        );
+        if (isNaN(renameThreshold) || renameThreshold < 0 || renameThreshold > 1) {
+            throw new ValidationError(
+                `Invalid renameThreshold: ${
+                    keyargs.renameThreshold ?? process.env.SAM_RENAME_THRESHOLD
+                }. Must be a number from 0 to 1.`,
+            );
+        }
 
-        log(colors.FgCyan('Diffing schema:\n'));
+        emit('message', { level: 'info', title: 'Diffing schema:' });
+        const startStep = step => this.#startStep(emit, step);
         const manualMigrationReasons = []; // if we detect a rename/destructive change that we can't handle automatically, we'll append the reason(s) here
         const upStatements = [];
         const reversedDownStatements = [];
+        const changes = [];
 
-        log(`  ${symbols.bullet} Capturing pragmas...`);
+        let endStep = startStep('Capturing pragmas');
         const pragmas = onlyAmbiguousChanges ? {} : await getPragmas(newDB);
-        log(colors.FgGreen(' ' + symbols.success + '\n'));
+        endStep();
 
         await oldDB.run('PRAGMA foreign_keys = 0'); // we don't want to enforce foreign keys while operating on the schema
         await newDB.run('PRAGMA foreign_keys = 0');
@@ -412,7 +803,7 @@ export class Migrator {
         await newDB.run('PRAGMA writable_schema = 1');
 
         // must run before tables to remove shadow tables
-        log(`  ${symbols.bullet} Diffing virtual tables...`);
+        endStep = startStep('Diffing virtual tables');
         const virtualDownStatements = [];
         const { addedVirtualTables, removedVirtualTables } = await this.#makeVirtualTables(
             oldDB,
@@ -421,6 +812,7 @@ export class Migrator {
             upStatements,
             virtualDownStatements,
             manualMigrationReasons,
+            changes,
             prompt,
         );
         if (onlyAmbiguousChanges) {
@@ -430,10 +822,10 @@ export class Migrator {
         } else {
             reversedDownStatements.push(...virtualDownStatements.reverse());
         }
-        log(colors.FgGreen(' ' + symbols.success + '\n'));
+        endStep();
 
         // has the sideeffect of dropping/renaming certain views, triggers, and indices
-        log(`  ${symbols.bullet} Diffing tables...`);
+        endStep = startStep('Diffing tables');
         const tableDownStatements = [];
         const {
             addedTableNames,
@@ -447,22 +839,29 @@ export class Migrator {
             upStatements,
             tableDownStatements,
             manualMigrationReasons,
+            changes,
             onRename,
             onDestructiveChange,
             prompt,
             onlyAmbiguousChanges,
+            keyargs.renames,
+            renameThreshold,
         );
         reversedDownStatements.push(...tableDownStatements.reverse());
-        log(' ' + colors.FgGreen(symbols.success + '\n'));
+        endStep();
 
         // indices, triggers, and views must be diffed after tables since they depend on them
-        log(`  ${symbols.bullet} Diffing views...`);
+        endStep = startStep('Diffing views');
         const unalterableDownStatements = [];
         const [oldViews, newViews] = await Promise.all([
             getViews(oldDB, this.ignoreNameCase),
             getViews(newDB, this.ignoreNameCase),
         ]);
-        const { added: addedViews, removed: removedViews } = await this.#makeUnalterable(
+        const {
+            added: addedViews,
+            removed: removedViews,
+            renamed: renamedViews,
+        } = await this.#makeUnalterable(
             'views',
             'DROP VIEW',
             oldViews,
@@ -471,15 +870,20 @@ export class Migrator {
             onlyAmbiguousChanges ? [] : upStatements,
             unalterableDownStatements,
             manualMigrationReasons,
+            changes,
             prompt,
         );
-        log(' ' + colors.FgGreen(symbols.success + '\n'));
-        log(`  ${symbols.bullet} Diffing triggers...`);
+        endStep();
+        endStep = startStep('Diffing triggers');
         const [oldTriggers, newTriggers] = await Promise.all([
             getTriggers(oldDB, this.ignoreNameCase),
             getTriggers(newDB, this.ignoreNameCase),
         ]);
-        const { added: addedTriggers, removed: removedTriggers } = await this.#makeUnalterable(
+        const {
+            added: addedTriggers,
+            removed: removedTriggers,
+            renamed: renamedTriggers,
+        } = await this.#makeUnalterable(
             'triggers',
             'DROP TRIGGER',
             oldTriggers,
@@ -488,16 +892,21 @@ export class Migrator {
             onlyAmbiguousChanges ? [] : upStatements,
             unalterableDownStatements,
             manualMigrationReasons,
+            changes,
             prompt,
         );
-        log(' ' + colors.FgGreen(symbols.success + '\n'));
-        log(`  ${symbols.bullet} Diffing indices...`);
+        endStep();
+        endStep = startStep('Diffing indices');
         const [oldIndices, newIndices] = await Promise.all([
             getIndices(oldDB, this.ignoreNameCase),
             getIndices(newDB, this.ignoreNameCase),
         ]);
-        const { added: addedIndices, removed: removedIndices } = await this.#makeUnalterable(
-            'views',
+        const {
+            added: addedIndices,
+            removed: removedIndices,
+            renamed: renamedIndices,
+        } = await this.#makeUnalterable(
+            'indices',
             'DROP INDEX',
             oldIndices,
             newIndices,
@@ -505,9 +914,10 @@ export class Migrator {
             onlyAmbiguousChanges ? [] : upStatements,
             unalterableDownStatements,
             manualMigrationReasons,
+            changes,
             prompt,
         );
-        log(' ' + colors.FgGreen(symbols.success + '\n'));
+        endStep();
         if (onlyAmbiguousChanges) {
             addedViews.clear();
             removedViews.clear();
@@ -515,6 +925,9 @@ export class Migrator {
             removedTriggers.clear();
             addedIndices.clear();
             removedIndices.clear();
+            renamedViews.clear();
+            renamedTriggers.clear();
+            renamedIndices.clear();
         } else {
             reversedDownStatements.push(...unalterableDownStatements.reverse());
         }
@@ -528,10 +941,13 @@ export class Migrator {
             removedVirtualTables,
             addedViews,
             removedViews,
+            renamedViews,
             addedTriggers,
             removedTriggers,
+            renamedTriggers,
             addedIndices,
             removedIndices,
+            renamedIndices,
         );
 
         return {
@@ -541,30 +957,126 @@ export class Migrator {
             downStatements: reversedDownStatements.reverse(), // the statements to undo the changes
             manualMigrationReasons, // the reasons why a manual migration is required, empty if no manual migration is required
             containsRenames: renamedTableNames.size > 0 || containsRenamedColumns, // true if a table or column has been renamed
+            changes: onlyAmbiguousChanges
+                ? changes.filter(
+                      change => change.kind === 'renameTable' || change.kind === 'renameColumn',
+                  )
+                : changes, // structured descriptions of the changes
         };
     }
 
     /**
      * Migrates the database state to the given target. Automatically figures out if the migrations
      * in the migration folder have changed (e.g. changed git branch) and undoes and reapplies migrations as necessary.
-     * @param {string} target the migration to set the database state to, e.g., "0001" (a migration id), "zero" (undo all migrations) or "latest" (default)
-     * @param {MigrateUntrackedStateOptions} [diffargs={}] specifies how to handle renames/destructive changes and more if onlyTrackAmbiguousState is true {@link MigrateUntrackedStateOptions}
+     * @param {string} target the migration to set the database state to, e.g., "0001" (a migration id), "zero" (undo all migrations), "latest" (default), or relative to the current migration like "-1" (undo one migration) and "+2" (apply two migrations)
+     * @param {MigrateOptions} [keyargs={}] specifies whether to do a dry run and how to handle renames/destructive changes and more if onlyTrackAmbiguousState is true {@link MigrateOptions}
      * @param {function} log a function to log messages through. Default is `process.stdout.write`
      * @throws an appropriate {@link ValidationError} if the options or target is invalid.
-     * @throws an appropriate {@link RolledBackTransaction} if the migrations failed causing the transaction to be rolled back.
-     * @throws an appropriate {@link IntegrityError} if the integrity or foreign key checks fail after the migration.
+     * @throws an appropriate {@link RolledBackTransaction} if the migrations or the integrity/foreign key checks (caused by an {@link IntegrityError}) failed causing the transaction to be rolled back. Dry runs report failed checks instead.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database, close the database, or remove temporary files.
+     * @returns {Promise<MigrateResult>} a promise that resolves with a {@link MigrateResult} describing what was (or would have been) done when the migrations are complete or rejects if an error occurs
+     */
+    async migrate(target = 'latest', keyargs = {}, log = s => process.stdout.write(s)) {
+        return await this.#withLogger(log, emit =>
+            this.#withLock(() => this.#migrate(target, keyargs, emit)),
+        );
+    }
+
+    /**
+     * Undoes the latest applied migrations.
+     * @param {number} [n=1] the number of migrations to undo
+     * @param {MigrateOptions} [keyargs={}] the same options as migrate() {@link MigrateOptions}
+     * @param {function} log a function to log messages through. Default is `process.stdout.write`
+     * @throws an appropriate {@link ValidationError} if the options are invalid or there are fewer than n applied migrations.
+     * @throws an appropriate {@link RolledBackTransaction} if undoing the migrations failed causing the transaction to be rolled back.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database, close the database, or remove temporary files.
+     * @returns {Promise<MigrateResult>} a promise that resolves with a {@link MigrateResult} describing what was (or would have been) done
+     */
+    async rollback(n = 1, keyargs = {}, log = s => process.stdout.write(s)) {
+        if (!Number.isInteger(n) || n < 1) {
+            throw new ValidationError(
+                `Invalid number of migrations to roll back: ${n}. Must be a positive integer.`,
+            );
+        }
+        return await this.#withLogger(log, emit =>
+            this.#withLock(() => this.#migrate(`-${n}`, keyargs, emit)),
+        );
+    }
+
+    /**
+     * Undoes and reapplies the latest applied migration in a single transaction, e.g. to rerun a migration file while editing it.
+     * @param {MigrateOptions} [keyargs={}] the same options as migrate() {@link MigrateOptions}
+     * @param {function} log a function to log messages through. Default is `process.stdout.write`
+     * @throws an appropriate {@link ValidationError} if the options are invalid, no migrations are applied, or the applied migrations differ from the migration files.
+     * @throws an appropriate {@link RolledBackTransaction} if the migration failed causing the transaction to be rolled back.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
      * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database, close the database, or remove temporary files.
-     * @returns {Promise<void>} a promise that resolves when the migrations are complete or rejects if an error occurs
+     * @returns {Promise<MigrateResult>} a promise that resolves with a {@link MigrateResult} describing what was (or would have been) done
+     */
+    async redo(keyargs = {}, log = s => process.stdout.write(s)) {
+        return await this.#withLogger(log, emit =>
+            this.#withLock(() => this.#migrate('+0', keyargs, emit, true)),
+        );
+    }
+
+    /**
+     * Migrates the database state to the given target, see migrate(). Must be called while holding the migration lock.
+     * @private
+     * @param {string} target the migration to set the database state to
+     * @param {MigrateOptions} keyargs specifies whether to do a dry run and how to handle renames/destructive changes and more
+     * @param {EmitFunction} emit a function to emit {@link MigratorEvents} through
+     * @param {boolean} [redo=false] true if the latest applied migration should be undone and reapplied, the database must be at the target
+     * @returns {Promise<MigrateResult>} a {@link MigrateResult} describing what was (or would have been) done
      */
-    async migrate(target = 'latest', diffargs = {}, log = s => process.stdout.write(s)) {
+    async #migrate(target, keyargs, emit, redo = false) {
         this.#validateOptions();
 
+        const dryRun = keyargs.dryRun ?? false;
+        const fake = keyargs.fake ?? false;
+        const backup = !dryRun && (keyargs.backup ?? process.env.SAM_BACKUP === 'true');
+        /** @type {MigrateResult} */
+        const result = {
+            dry_run: dryRun,
+            fake,
+            target,
+            undone_migrations: [],
+            applied_migrations: [],
+            untracked_changes: [],
+            pragmas: {},
+            integrity_errors: [],
+            foreign_key_violations: [],
+            squashed_migrations: [],
+            has_tampered_data: false,
+            backup_path: null,
+        };
+
+        let restoreBackup = false;
+        /** whether the database may have been modified, the backup is only restored after that */
+        let started = false;
+        /** the audit log entries of each batch, rewritten after restoring a backup since the snapshot predates them */
+        const auditEntries = [];
         const db = await Database.connect(this.dbPath);
         try {
             const migrationFiles = await this.#getMigrationFiles();
+            this.#assertUniqueIds(migrationFiles);
             const appliedMigrations = await this.#getAppliedMigrationFiles(db);
-
-            const applyUntracked = target === 'latest' && this.onlyTrackAmbiguousState;
+            const squashedMigrations = await this.#collapseSquashedMigrations(
+                migrationFiles,
+                appliedMigrations,
+            );
+            result.squashed_migrations = squashedMigrations.map(({ migration, replaced }) => ({
+                id: migration.id,
+                name: migration.name,
+                replaces: replaced.map(m => `${m.id}_${m.name}`),
+            }));
+
+            const applyUntracked = target === 'latest' && this.onlyTrackAmbiguousState && !fake;
+            // zero-padded ids like "-0001" are not relative targets
+            if (/^[+-](0|[1-9]\d*)$/.test(target)) {
+                target = this.#resolveRelativeTarget(target, migrationFiles, appliedMigrations);
+            }
             if (target === 'latest') {
                 target =
                     migrationFiles.length > 0
@@ -582,149 +1094,852 @@ export class Migrator {
                 migrationFiles.splice(ix + 1);
             }
 
+            result.target = target;
+
             // leave only the migrations that need to be undone in appliedMigrations and the ones that need to be applied in migrationFiles
+            const latestMigration = migrationFiles[migrationFiles.length - 1];
             this.#removeCommonMigrations(migrationFiles, appliedMigrations);
+            if (redo) {
+                if (migrationFiles.length !== 0 || appliedMigrations.length !== 0) {
+                    throw new ValidationError(
+                        "The applied migrations differ from the migration files. Run 'migrate' before redoing the latest migration.",
+                    );
+                }
+                if (!latestMigration) {
+                    throw new ValidationError('No migrations have been applied, nothing to redo.');
+                }
+                const applied = await this.#getAppliedMigrationFiles(db);
+                appliedMigrations.push(applied.find(m => m.id === latestMigration.id));
+                migrationFiles.push(latestMigration);
+            }
             appliedMigrations.reverse();
+            result.undone_migrations = appliedMigrations.map(({ id, name }) => ({ id, name }));
+            result.applied_migrations = migrationFiles.map(({ id, name }) => ({ id, name }));
 
-            if (migrationFiles.length === 0 && appliedMigrations.length === 0 && !applyUntracked) {
-                log(
-                    colors.FgCyan('No migrations to apply.') +
-                        ` Database state already matches the migrations up to and including ${target}. Run 'make' to create a new migration.\n`,
-                );
-                return;
+            if (
+                migrationFiles.length === 0 &&
+                appliedMigrations.length === 0 &&
+                squashedMigrations.length === 0 &&
+                !applyUntracked
+            ) {
+                emit('message', {
+                    level: 'info',
+                    title: 'No migrations to apply.',
+                    text: `Database state already matches the migrations up to and including ${target}. Run 'make' to create a new migration.`,
+                });
+                return result;
             }
 
-            let pragmas = {};
-            try {
-                await db.run('BEGIN TRANSACTION');
+            if (backup) {
+                result.backup_path = await this.#backup(db, emit);
+            }
 
-                if (appliedMigrations.length !== 0 || migrationFiles.length !== 0) {
-                    await this.#createMigrationTable(db);
-                }
+            if (dryRun) {
+                emit('message', {
+                    level: 'warning',
+                    title: 'Dry run:',
+                    text: 'all changes will be rolled back at the end of the transaction.',
+                });
+            }
+            if (fake) {
+                emit('message', {
+                    level: 'warning',
+                    title: 'Fake run:',
+                    text: 'only the migrations table will be updated, the migrations are not run.',
+                });
+            }
 
-                if (appliedMigrations.length !== 0) {
-                    log(colors.FgCyan('Undoing migrations:\n'));
+            // consecutive shared migrations run in one transaction, the others get their own or none
+            const batches =
+                dryRun || fake
+                    ? [{ transaction: 'shared', undo: appliedMigrations, apply: migrationFiles }]
+                    : await this.#batchByTransaction(appliedMigrations, migrationFiles);
+            let pragmas = {};
+            let upToDate = false;
+            let committed = 0;
+            started = true;
+            for (const [i, batch] of batches.entries()) {
+                const isFirst = i === 0;
+                const isLast = i === batches.length - 1;
+                const batchAuditEntries = [];
+                auditEntries.push(batchAuditEntries);
+                /** @type {EmitFunction} records the outcome of each migration of the batch for the audit log */
+                const auditEmit = (event, payload) => {
+                    if (AUDITED_EVENTS.includes(event) && !payload.skipped) {
+                        const direction =
+                            payload.direction ?? (event === 'migration:applied' ? 'up' : 'down');
+                        const migration = (direction === 'up' ? batch.apply : batch.undo).find(
+                            m => m.id === payload.id,
+                        );
+                        batchAuditEntries.push({
+                            direction,
+                            id: payload.id,
+                            name: payload.name,
+                            content_hash: migration.content_hash,
+                            duration_ms: payload.duration_ms,
+                            outcome:
+                                event === 'migration:failed'
+                                    ? 'failed'
+                                    : payload.fake
+                                      ? 'faked'
+                                      : 'succeeded',
+                            error: payload.error?.message ?? null,
+                        });
+                    }
+                    emit(event, payload);
+                };
+                const runBatch = async () => {
+                    if (batch.undo.length !== 0 || batch.apply.length !== 0) {
+                        await this.#createMigrationTable(db);
+                    }
 
-                    pragmas = await this.#undoMigrations(db, appliedMigrations, log);
+                    if (isFirst && squashedMigrations.length !== 0) {
+                        emit('message', { level: 'info', title: 'Recording squashed migrations:' });
 
-                    await db.run(
-                        `DELETE FROM "${this.migrationsTable}" WHERE id IN (${appliedMigrations
-                            .map(m => `'${m.id}'`)
-                            .join(',')})`,
-                    );
-                }
+                        // the squashed migrations are already applied, so only their bookkeeping changes
+                        for (const { migration, replaced } of squashedMigrations) {
+                            await db.run(
+                                `DELETE FROM "${this.migrationsTable}" WHERE id IN (${replaced
+                                    .map(m => `'${m.id}'`)
+                                    .join(',')})`,
+                            );
+                            await db.run(
+                                `INSERT INTO "${this.migrationsTable}" (id, name, content_hash, content) VALUES (?, ?, ?, ?)`,
+                                [
+                                    migration.id,
+                                    migration.name,
+                                    migration.content_hash,
+                                    await readFileAsync(migration.content_path, 'utf8'),
+                                ],
+                            );
+                            emit('migration:squashed', {
+                                id: migration.id,
+                                name: migration.name,
+                                replaces: replaced.map(m => `${m.id}_${m.name}`),
+                            });
+                        }
+                    }
 
-                if (migrationFiles.length !== 0) {
-                    log(colors.FgCyan('Applying migrations:\n'));
+                    if (batch.undo.length !== 0) {
+                        if (batch.undo[0] === appliedMigrations[0]) {
+                            emit('message', { level: 'info', title: 'Undoing migrations:' });
+                        }
 
-                    pragmas = await this.#applyMigrations(db, migrationFiles, log);
+                        if (fake) {
+                            for (const { id, name } of batch.undo) {
+                                emit('migration:start', { id, name, direction: 'down', fake });
+                                auditEmit('migration:undone', {
+                                    id,
+                                    name,
+                                    duration_ms: 0,
+                                    fake,
+                                    skipped: false,
+                                });
+                            }
+                        } else {
+                            pragmas = await this.#undoMigrations(db, batch.undo, auditEmit, dryRun);
+                        }
 
-                    const stmt = await db.prepare(
-                        `INSERT INTO "${this.migrationsTable}" (id, name, content_hash, content) VALUES (?, ?, ?, ?)`,
-                    );
-                    for (const migration of migrationFiles) {
-                        const content = await readFileAsync(migration.content_path, 'utf8');
-                        await stmt.run(
-                            migration.id,
-                            migration.name,
-                            migration.content_hash,
-                            content,
+                        await db.run(
+                            `DELETE FROM "${this.migrationsTable}" WHERE id IN (${batch.undo
+                                .map(m => `'${m.id}'`)
+                                .join(',')})`,
                         );
                     }
-                    await stmt.finalize();
-                }
 
-                if (applyUntracked) {
-                    // there might be untracked changes to the schema to apply
-                    const [schemaDB, actualDB] = await Promise.all([
-                        Database.connect(''),
-                        Database.connect(''),
-                    ]);
-                    let diff;
-                    try {
-                        const schema = await readFileAsync(this.schemaPath, 'utf8');
-                        await schemaDB.exec(schema);
-                        await this.#copySchema(db, actualDB);
+                    if (batch.apply.length !== 0) {
+                        if (batch.apply[0] === migrationFiles[0]) {
+                            emit('message', { level: 'info', title: 'Applying migrations:' });
+                        }
 
-                        diff = await this.#diff(
-                            {
-                                onRename: diffargs.onRename ?? Migrator.REQUIRE_MANUAL_MIGRATION,
-                                onDestructiveChange:
-                                    diffargs.onDestructiveChange ??
-                                    Migrator.REQUIRE_MANUAL_MIGRATION,
-                                onChangedIndex: diffargs.onChangedIndex ?? Migrator.PROCEED,
-                                onChangedView: diffargs.onChangedView ?? Migrator.PROCEED,
-                                onChangedTrigger: diffargs.onChangedTrigger ?? Migrator.PROCEED,
-                            },
-                            actualDB,
-                            schemaDB,
-                            () => Promise.resolve('m'),
-                        );
-                    } finally {
-                        await Promise.all([schemaDB.close(), actualDB.close()]);
-                    }
+                        if (fake) {
+                            for (const { id, name } of batch.apply) {
+                                emit('migration:start', { id, name, direction: 'up', fake });
+                                auditEmit('migration:applied', {
+                                    id,
+                                    name,
+                                    duration_ms: 0,
+                                    fake,
+                                    skipped: false,
+                                });
+                            }
+                        } else {
+                            pragmas = await this.#applyMigrations(
+                                db,
+                                batch.apply,
+                                auditEmit,
+                                dryRun,
+                            );
+                        }
 
-                    if (diff.manualMigrationReasons.length > 0) {
-                        throw new ManualMigrationRequired(
-                            diff.manualMigrationReasons
-                                .map(s => '\n  ' + symbols.bullet + ' ' + s)
-                                .join(''),
-                            {
-                                cause: diff.manualMigrationReasons,
-                            },
+                        const stmt = await db.prepare(
+                            `INSERT INTO "${this.migrationsTable}" (id, name, content_hash, content) VALUES (?, ?, ?, ?)`,
                         );
+                        for (const migration of batch.apply) {
+                            const content = await readFileAsync(migration.content_path, 'utf8');
+                            await stmt.run(
+                                migration.id,
+                                migration.name,
+                                migration.content_hash,
+                                content,
+                            );
+                        }
+                        await stmt.finalize();
                     }
-                    pragmas = diff.pragmas;
-                    if (diff.upStatements.length > 0) {
-                        log(colors.FgCyan('Applying untracked schema changes to the database:\n'));
-                        const AsyncFunction = async function () {}.constructor;
-                        for (const js of diff.upStatements) {
-                            await AsyncFunction('db', js)(db);
+
+                    if (isLast && applyUntracked) {
+                        // there might be untracked changes to the schema to apply
+                        const [schemaDB, actualDB] = await Promise.all([
+                            Database.connect(''),
+                            Database.connect(''),
+                        ]);
+                        let diff;
+                        try {
+                            const schema = await readFileAsync(this.schemaPath, 'utf8');
+                            await schemaDB.exec(schema);
+                            await this.#copySchema(db, actualDB);
+
+                            diff = await this.#diff(
+                                {
+                                    onRename: keyargs.onRename ?? Migrator.REQUIRE_MANUAL_MIGRATION,
+                                    renameThreshold: keyargs.renameThreshold,
+                                    renames: this.#getRenames(schema),
+                                    onDestructiveChange:
+                                        keyargs.onDestructiveChange ??
+                                        Migrator.REQUIRE_MANUAL_MIGRATION,
+                                    onChangedIndex: keyargs.onChangedIndex ?? Migrator.PROCEED,
+                                    onChangedView: keyargs.onChangedView ?? Migrator.PROCEED,
+                                    onChangedTrigger: keyargs.onChangedTrigger ?? Migrator.PROCEED,
+                                },
+                                actualDB,
+                                schemaDB,
+                                () => Promise.resolve('m'),
+                            );
+                        } finally {
+                            await Promise.all([schemaDB.close(), actualDB.close()]);
                         }
-                        for (const namedChange of diff.nameParts) {
-                            log(
-                                `  ${symbols.bullet} ${namedChange} ${colors.FgGreen(
-                                    symbols.success,
-                                )}\n`,
+
+                        if (diff.manualMigrationReasons.length > 0) {
+                            throw new ManualMigrationRequired(
+                                diff.manualMigrationReasons
+                                    .map(s => '\n  ' + symbols.bullet + ' ' + s)
+                                    .join(''),
+                                {
+                                    cause: diff.manualMigrationReasons,
+                                },
                             );
                         }
-                    } else if (migrationFiles.length === 0 && appliedMigrations.length === 0) {
-                        log(
-                            colors.FgCyan('No migrations to apply.') +
-                                ' Database state already matches the schema.\n',
+                        pragmas = diff.pragmas;
+                        result.untracked_changes = diff.changes;
+                        if (diff.upStatements.length > 0) {
+                            emit('message', {
+                                level: 'info',
+                                title: 'Applying untracked schema changes to the database:',
+                            });
+                            const AsyncFunction = async function () {}.constructor;
+                            for (const js of diff.upStatements) {
+                                await AsyncFunction('db', js)(db);
+                            }
+                            for (const change of diff.changes) {
+                                emit('diff:change', { change, applied: true });
+                            }
+                        } else if (
+                            migrationFiles.length === 0 &&
+                            appliedMigrations.length === 0 &&
+                            squashedMigrations.length === 0
+                        ) {
+                            emit('message', {
+                                level: 'info',
+                                title: 'No migrations to apply.',
+                                text: 'Database state already matches the schema.',
+                            });
+                            upToDate = true;
+                            return;
+                        }
+                    }
+
+                    // written in the batch's transaction so the log matches the migrations table; dry runs roll it back too
+                    await this.#writeAuditLog(db, batchAuditEntries);
+
+                    // non-transactional migrations can't be rolled back, the next batch's check or the one after the last batch covers them
+                    if (batch.transaction === 'none') return;
+
+                    // check before committing so violations roll back the migrations; dry runs only report them
+                    Object.assign(
+                        result,
+                        await this.#verifyIntegrityAndForeignKeys(db, emit, !dryRun),
+                    );
+
+                    if (fake) {
+                        // the schema is left as is, so it only matches the recorded migrations if the changes were made by hand
+                        result.has_tampered_data = await this.#hasTamperedData(
+                            db,
+                            await this.#getAppliedMigrationFiles(db),
+                        );
+                        if (result.has_tampered_data) {
+                            emit('message', {
+                                level: 'warning',
+                                title: 'Warning:',
+                                text: 'The database schema does not match the applied migrations. Make sure the faked changes have been made by hand.',
+                            });
+                        }
+                    }
+
+                    if (dryRun) throw DRY_RUN_ROLLBACK;
+                };
+
+                try {
+                    if (batch.transaction === 'none') {
+                        await runBatch();
+                    } else {
+                        await db.transaction(runBatch, 'IMMEDIATE');
+                    }
+                } catch (err) {
+                    if (err !== DRY_RUN_ROLLBACK) {
+                        // the rollback also discarded the batch's audit log entries, so record what happened outside of it
+                        if (batch.transaction !== 'none') {
+                            this.#markRolledBack(batchAuditEntries);
+                        }
+                        await this.#writeAuditLog(db, batchAuditEntries).catch(() => {});
+                        emit('message', {
+                            level: 'error',
+                            title: 'Error occured.',
+                            text:
+                                batch.transaction === 'none'
+                                    ? 'The migration ran outside of a transaction, so its changes could not be rolled back.'
+                                    : 'Rolled back transaction.',
+                        });
+                        throw new RolledBackTransaction(
+                            committed === 0
+                                ? 'Database state has not been migrated.'
+                                : `Database state has only been partially migrated: ${committed} migrations outside the failed transaction were committed and recorded.`,
+                            { cause: err },
                         );
-                        await db.run('ROLLBACK TRANSACTION');
-                        return;
                     }
                 }
+                committed += batch.undo.length + batch.apply.length;
+            }
+            if (upToDate) return result;
 
-                await db.run('COMMIT TRANSACTION');
-            } catch (err) {
-                log(colors.FgRed('Error occured.') + ' Rolling back transaction...\n');
-                await db.run('ROLLBACK TRANSACTION');
-                throw new RolledBackTransaction('Database state has not been migrated.', {
-                    cause: err,
-                });
+            if (batches.at(-1)?.transaction === 'none') {
+                Object.assign(result, await this.#verifyIntegrityAndForeignKeys(db, emit));
             }
 
-            await this.#applyPragmas(db, pragmas, log);
+            if (dryRun) {
+                result.pragmas = await this.#getPragmasToSet(db, pragmas);
+                if (Object.keys(result.pragmas).length > 0) {
+                    emit('message', { level: 'info', title: 'Pragmas that would be set:' });
+                    for (const [pragma, value] of Object.entries(result.pragmas)) {
+                        emit('pragma:set', {
+                            pragma,
+                            value,
+                            persistent: false,
+                            dry_run: true,
+                            duration_ms: 0,
+                        });
+                    }
+                }
+                emit('message', {
+                    level: 'info',
+                    title: 'Dry run complete!',
+                    text: 'The transaction was rolled back and the database was not modified.',
+                });
+                return result;
+            }
 
-            await this.#verifyIntegrityAndForeignKeys(db, log);
+            result.pragmas = await this.#applyPragmas(db, pragmas, emit);
 
-            const message = applyUntracked
-                ? '  Database state now matches the schema.\n'
-                : `  Database state now matches the migrations up to and including ${target}.\n`;
-            log(colors.FgCyan('Migrations complete!\n') + message);
+            emit('message', {
+                level: 'success',
+                title: 'Migrations complete!',
+                text: applyUntracked
+                    ? 'Database state now matches the schema.'
+                    : `Database state now matches the migrations up to and including ${target}.`,
+            });
             // TODO: show warning if the schema file has changed since the last make()
+            return result;
+        } catch (err) {
+            // the pragmas and VACUUM run outside the transaction, so restore the whole file instead
+            restoreBackup = started && result.backup_path !== null;
+            throw err;
         } finally {
-            await db.run('VACUUM');
-            await db.close();
-            await rmAsync(this.tempPath, { recursive: true, force: true });
+            try {
+                if (!dryRun) await db.run('VACUUM');
+                await db.close();
+            } finally {
+                if (restoreBackup) {
+                    await this.#restore(result.backup_path, emit);
+                    const entries = auditEntries.flat();
+                    this.#markRolledBack(entries);
+                    const restoredDB = await Database.connect(this.dbPath);
+                    try {
+                        await this.#writeAuditLog(restoredDB, entries);
+                    } finally {
+                        await restoredDB.close();
+                    }
+                }
+                await rmAsync(this.tempPath, { recursive: true, force: true });
+            }
         }
     }
 
     /**
-     * Gets the current migration state of the database.
+     * Marks the audit log entries of migrations that succeeded as rolled back.
+     * @private
+     * @param {Array<{outcome: AuditLogEntry['outcome']}>} entries the entries to mark
+     */
+    #markRolledBack(entries) {
+        for (const entry of entries) {
+            if (entry.outcome !== 'failed') entry.outcome = 'rolled_back';
+        }
+    }
+
+    /**
+     * Checks the migration history for duplicate ids, gaps, and migration files that were added out of order relative to the applied migrations.
+     * @returns {Promise<CheckResult>} the problems found as a {@link CheckResult} object
+     * @throws an appropriate {@link ValidationError} if the options are invalid.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database, close the database, or remove temporary files.
+     */
+    async check() {
+        this.#validateOptions();
+
+        const db = await Database.connect(this.dbPath);
+        try {
+            const migrationFiles = await this.#getMigrationFiles();
+            const appliedMigrations = await this.#getAppliedMigrationFiles(db);
+            const { duplicates, outOfOrder } = this.#findDivergences(
+                migrationFiles,
+                appliedMigrations,
+            );
+
+            // a squashed migration takes the id of the last migration it replaces, so the ids before it are not missing
+            const ids = migrationFiles.map(m => m.id);
+            for (const migration of migrationFiles) {
+                for (const key of await this.#getReplacedMigrations(migration)) {
+                    ids.push(key.split('_')[0]);
+                }
+            }
+            // only zero-padded ids like 0012 count, timestamps and custom ids are not expected to be contiguous
+            const sequentialIds =
+                this.idStrategy === 'sequential'
+                    ? ids.filter(id => /^0\d{3,}$/.test(id)).sort(COMPARE_IDS)
+                    : [];
+            const missing_ids = [];
+            for (const [i, id] of sequentialIds.slice(1).entries()) {
+                // only look for gaps between ids of the same width and report them at that width, e.g. 00012
+                const previous = sequentialIds[i];
+                if (previous.length !== id.length) continue;
+                for (let missing = Number(previous) + 1; missing < Number(id); missing++) {
+                    missing_ids.push(missing.toString().padStart(previous.length, '0'));
+                }
+            }
+
+            const duplicate_ids = [...duplicates].map(([id, migrations]) => ({
+                id,
+                names: migrations.map(m => m.name),
+            }));
+            const out_of_order_migrations = outOfOrder.map(({ id, name }) => ({ id, name }));
+            return {
+                duplicate_ids,
+                missing_ids,
+                out_of_order_migrations,
+                ok:
+                    duplicate_ids.length === 0 &&
+                    missing_ids.length === 0 &&
+                    out_of_order_migrations.length === 0,
+            };
+        } finally {
+            await db.close();
+            await rmAsync(this.tempPath, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Moves the migration files with duplicate ids and the unapplied migration files that sort before the latest applied migration onto fresh ids after the latest migration, keeping the applied migrations in place.
+     * Of the migration files that share an id, the applied one (or else the first one by name) keeps the id.
+     * @returns {Promise<Array<{id: string, name: string, new_id: string}>>} the migration files that were renamed in the order they will now be applied
+     * @throws an appropriate {@link ValidationError} if the options are invalid or a new id can't be generated.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database, rename the files, or remove temporary files.
+     * @effects renames migration files in the migrations folder
+     */
+    async renumber() {
+        return await this.#withLock(() => this.#renumber());
+    }
+
+    /**
+     * Renumbers the diverging migration files while holding the migration lock, see renumber().
+     * @private
+     * @returns {Promise<Array<{id: string, name: string, new_id: string}>>} the migration files that were renamed in the order they will now be applied
+     */
+    async #renumber() {
+        this.#validateOptions();
+
+        const db = await Database.connect(this.dbPath);
+        try {
+            const migrationFiles = await this.#getMigrationFiles();
+            const appliedMigrations = await this.#getAppliedMigrationFiles(db);
+            const { duplicates, outOfOrder } = this.#findDivergences(
+                migrationFiles,
+                appliedMigrations,
+            );
+
+            const toMove = new Set(outOfOrder);
+            for (const migrations of duplicates.values()) {
+                const keep =
+                    migrations.find(m => this.#isApplied(m, appliedMigrations)) ?? migrations[0];
+                for (const migration of migrations) {
+                    if (migration !== keep) toMove.add(migration);
+                }
+            }
+
+            const remaining = migrationFiles.filter(m => !toMove.has(m));
+            const renamed = [];
+            for (const migration of [...toMove].sort(ASCENDING_BY_ID)) {
+                const lastId = remaining[remaining.length - 1]?.id;
+                // sequential ids count the migration files, which would hand out the ids of the moved files again
+                const new_id =
+                    this.idStrategy === 'sequential' && /^\d+$/.test(lastId ?? '')
+                        ? (BigInt(lastId) + 1n).toString().padStart(lastId.length, '0')
+                        : await this.#getNextId(remaining);
+                const extension = path.extname(migration.content_path);
+                const content_path = path.join(
+                    this.migrationsPath,
+                    `${new_id}_${migration.name}${extension}`,
+                );
+                await renameAsync(migration.content_path, content_path);
+                remaining.push({ ...migration, id: new_id, content_path });
+                renamed.push({ id: migration.id, name: migration.name, new_id });
+            }
+            return renamed;
+        } finally {
+            await db.close();
+            await rmAsync(this.tempPath, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Lists the applied migrations recorded in the migrations table and whether their migration files still match.
+     * @param {HistoryOptions} [keyargs={}] specifies which migration to list and whether to include its content/diff {@link HistoryOptions}
+     * @returns {Promise<HistoryEntry[]>} the applied migrations in the order they were applied as {@link HistoryEntry} objects
+     * @throws an appropriate {@link ValidationError} if the options are invalid or the given id has not been applied.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database or read the migration files.
+     */
+    async history(keyargs = {}) {
+        this.#validateOptions();
+
+        const db = await Database.connect(this.dbPath);
+        try {
+            const tableExists = await db.get(
+                `SELECT name FROM sqlite_master WHERE type='table' AND name=?`,
+                [this.migrationsTable],
+            );
+            const rows = tableExists
+                ? await db.all(
+                      `SELECT id, name, applied_at, content_hash, content FROM "${this.migrationsTable}"`,
+                  )
+                : [];
+            rows.sort((a, b) => a.applied_at.localeCompare(b.applied_at) || ASCENDING_BY_ID(a, b));
+
+            const selected =
+                keyargs.id === undefined ? rows : rows.filter(r => r.id === keyargs.id);
+            if (selected.length === 0 && keyargs.id !== undefined) {
+                throw new ValidationError(`Migration not applied: ${keyargs.id}`);
+            }
+
+            const migrationFiles = new Map((await this.#getMigrationFiles()).map(m => [m.id, m]));
+            const history = [];
+            for (const { id, name, applied_at, content_hash, content } of selected) {
+                const file = migrationFiles.get(id);
+                /** @type {HistoryEntry} */
+                const entry = {
+                    id,
+                    name,
+                    applied_at,
+                    content_hash,
+                    file_status: !file
+                        ? 'missing'
+                        : file.content_hash === content_hash
+                          ? 'unchanged'
+                          : 'modified',
+                };
+                if (keyargs.content) entry.content = content;
+                if (keyargs.diff) {
+                    entry.diff = file
+                        ? unifiedDiff(
+                              content,
+                              await readFileAsync(file.content_path, 'utf8'),
+                              `${id}_${name} (applied ${applied_at})`,
+                              path.relative(process.cwd(), file.content_path),
+                          )
+                        : null;
+                }
+                history.push(entry);
+            }
+            return history;
+        } finally {
+            await db.close();
+        }
+    }
+
+    /**
+     * Lists the audit log, which records every time a migration was applied or undone, including the ones that failed or were rolled back.
+     * Unlike the migrations table, entries are never removed, so the audit log reconstructs what happened to the database over time.
+     * @param {AuditLogOptions} [keyargs={}] specifies which migration to list the entries of {@link AuditLogOptions}
+     * @returns {Promise<AuditLogEntry[]>} the entries in the order they were written as {@link AuditLogEntry} objects
+     * @throws an appropriate {@link ValidationError} if the options are invalid.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database.
+     */
+    async auditLog(keyargs = {}) {
+        this.#validateOptions();
+
+        const db = await Database.connect(this.dbPath);
+        try {
+            const tableExists = await db.get(
+                `SELECT name FROM sqlite_master WHERE type='table' AND name=?`,
+                [`${this.migrationsTable}_log`],
+            );
+            if (!tableExists) return [];
+            return await db.all(
+                `SELECT seq, logged_at, ${AUDIT_LOG_COLUMNS.join(', ')} FROM "${
+                    this.migrationsTable
+                }_log"${keyargs.id === undefined ? '' : ' WHERE id = ?'} ORDER BY seq`,
+                keyargs.id === undefined ? [] : [keyargs.id],
+            );
+        } finally {
+            await db.close();
+        }
+    }
+
+    /**
+     * Replaces a range of migration files with a single migration file that takes the database from the state before the range to the state after it.
+     * Databases that have applied the whole range recognize the squashed migration by its list of replaced migrations and record it in their place without undoing and reapplying anything.
+     * Only the schema is carried over, data changes made by the replaced migrations (e.g. inserted rows) are not.
+     * @param {string} from the id of the first migration to squash
+     * @param {string} to the id of the last migration to squash, the squashed migration takes over this id
+     * @param {SquashOptions} [keyargs={}] specifies the name and format of the squashed migration file {@link SquashOptions}
+     * @param {function} log a function to log messages through. Default is `process.stdout.write`
+     * @returns {Promise<MigrationFile>} the squashed migration file
+     * @throws an appropriate {@link ValidationError} if the options or range are invalid.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to replay the migrations or write the migration file.
+     * @effects writes the squashed migration file and removes the replaced migration files from the migrations folder
+     */
+    async squash(from, to, keyargs = {}, log = s => process.stdout.write(s)) {
+        return await this.#withLogger(log, emit =>
+            this.#withLock(() => this.#squash(from, to, keyargs, emit)),
+        );
+    }
+
+    /**
+     * Squashes a range of migration files while holding the migration lock, see squash().
+     * @private
+     * @param {string} from the id of the first migration to squash
+     * @param {string} to the id of the last migration to squash
+     * @param {SquashOptions} keyargs specifies the name and format of the squashed migration file
+     * @param {EmitFunction} emit a function to emit {@link MigratorEvents} through
+     * @returns {Promise<MigrationFile>} the squashed migration file
+     */
+    async #squash(from, to, keyargs, emit) {
+        this.#validateOptions();
+        const migrationFormat = this.#getMigrationFormat(keyargs);
+
+        const migrationFiles = await this.#getMigrationFiles();
+        this.#assertUniqueIds(migrationFiles);
+        const fromIx = migrationFiles.findIndex(m => m.id === from);
+        const toIx = migrationFiles.findIndex(m => m.id === to);
+        if (fromIx === -1 || toIx === -1) {
+            throw new ValidationError(`Migration not found: ${fromIx === -1 ? from : to}`);
+        }
+        if (fromIx >= toIx) {
+            throw new ValidationError(
+                `Invalid squash range: ${from} must come before ${to} in the migrations folder.`,
+            );
+        }
+        const replaced = migrationFiles.slice(fromIx, toIx + 1);
+
+        const [replayDB, oldDB, newDB] = await Promise.all([
+            Database.connect(''),
+            Database.connect(''),
+            Database.connect(''),
+        ]);
+        try {
+            const endStep = this.#startStep(emit, `Replaying migrations up to and including ${to}`);
+            await this.#applyMigrations(replayDB, migrationFiles.slice(0, fromIx));
+            await this.#copySchema(replayDB, oldDB);
+            const pragmas = await this.#applyMigrations(replayDB, replaced);
+            await this.#copySchema(replayDB, newDB);
+            endStep();
+
+            const { upStatements, downStatements } = await this.#diff(
+                {
+                    onRename: Migrator.PROCEED,
+                    onDestructiveChange: Migrator.PROCEED,
+                    onChangedIndex: Migrator.PROCEED,
+                    onChangedView: Migrator.PROCEED,
+                    onChangedTrigger: Migrator.PROCEED,
+                },
+                oldDB,
+                newDB,
+                () => Promise.resolve('y'),
+                false,
+                emit,
+            );
+            if (upStatements.length === 0) {
+                // an empty migration is written as not yet implemented, but a squashed range that cancels out is a valid no-op
+                upStatements.push('// The squashed migrations make no schema changes');
+                downStatements.push('// The squashed migrations make no schema changes');
+            }
+
+            const squashed = await this.#writeMigrationFile(
+                to,
+                keyargs.name ?? `squashed_${from}_to_${to}`,
+                pragmas,
+                upStatements,
+                downStatements,
+                migrationFormat,
+                replaced.map(m => `${m.id}_${m.name}`),
+            );
+            for (const migration of replaced) {
+                if (migration.content_path !== squashed.content_path) {
+                    await rmAsync(migration.content_path);
+                }
+            }
+            emit('file:created', {
+                id: squashed.id,
+                name: squashed.name,
+                path: squashed.content_path,
+            });
+            emit('message', {
+                level: 'info',
+                title: 'Squash complete!',
+                text: `${squashed.id}_${squashed.name} replaces ${replaced.length} migrations.`,
+            });
+            return squashed;
+        } finally {
+            await Promise.all([replayDB.close(), oldDB.close(), newDB.close()]);
+        }
+    }
+
+    /**
+     * Creates a migration file from the current schema and pragmas of the database and records it as applied without running it.
+     * Use this to start tracking an existing database so that later calls to make() diff against its actual schema.
+     * @param {string} [id] the id of the baseline migration. Default is the first id generated by the id strategy
+     * @param {BaselineOptions} [keyargs={}] specifies the name and format of the baseline migration file {@link BaselineOptions}
+     * @param {function} log a function to log messages through. Default is `process.stdout.write`
+     * @returns {Promise<MigrationFile>} the baseline migration file
+     * @throws an appropriate {@link ValidationError} if the options or id are invalid, the database already has applied migrations, the database has no schema, or migration files exist that would have to be applied before the baseline.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database or write the migration file.
+     * @effects writes the baseline migration file to the migrations folder and inserts it into the migrations table
+     */
+    async baseline(id, keyargs = {}, log = s => process.stdout.write(s)) {
+        return await this.#withLogger(log, emit =>
+            this.#withLock(() => this.#baseline(id, keyargs, emit)),
+        );
+    }
+
+    /**
+     * Creates and records a baseline migration while holding the migration lock, see baseline().
+     * @private
+     * @param {string} [id] the id of the baseline migration
+     * @param {BaselineOptions} keyargs specifies the name and format of the baseline migration file
+     * @param {EmitFunction} emit a function to emit {@link MigratorEvents} through
+     * @returns {Promise<MigrationFile>} the baseline migration file
+     */
+    async #baseline(id, keyargs, emit) {
+        this.#validateOptions();
+        const migrationFormat = this.#getMigrationFormat(keyargs);
+
+        const db = await Database.connect(this.dbPath);
+        const [oldDB, newDB] = await Promise.all([Database.connect(''), Database.connect('')]);
+        try {
+            const appliedMigrations = await this.#getAppliedMigrationFiles(db);
+            if (appliedMigrations.length !== 0) {
+                throw new ValidationError(
+                    `The database already has applied migrations (latest: ${
+                        appliedMigrations[appliedMigrations.length - 1].id
+                    }). Only untracked databases can be baselined.`,
+                );
+            }
+
+            id = id ?? (await this.#getNextId([]));
+            this.#assertValidId(id);
+            const earlierMigrations = (await this.#getMigrationFiles()).filter(
+                m => COMPARE_IDS(m.id, id) <= 0,
+            );
+            if (earlierMigrations.length !== 0) {
+                throw new ValidationError(
+                    `Migration files already exist at or before the baseline id ${id}: ${earlierMigrations
+                        .map(m => `${m.id}_${m.name}`)
+                        .join(', ')}. Choose a baseline id that sorts before them.`,
+                );
+            }
+
+            const endStep = this.#startStep(emit, 'Capturing the database schema');
+            const schema = await this.#copySchema(db, newDB);
+            const pragmas = await getPragmas(db);
+            endStep();
+            if (schema.length === 0) {
+                throw new ValidationError(
+                    "The database has no schema to baseline. Use 'make' to create the first migration instead.",
+                );
+            }
+
+            const { upStatements, downStatements } = await this.#diff(
+                {
+                    onRename: Migrator.PROCEED,
+                    onDestructiveChange: Migrator.PROCEED,
+                    onChangedIndex: Migrator.PROCEED,
+                    onChangedView: Migrator.PROCEED,
+                    onChangedTrigger: Migrator.PROCEED,
+                },
+                oldDB,
+                newDB,
+                () => Promise.resolve('y'),
+                false,
+                emit,
+            );
+
+            const migration_file = await this.#writeMigrationFile(
+                id,
+                keyargs.name ?? 'baseline',
+                pragmas,
+                upStatements,
+                downStatements,
+                migrationFormat,
+            );
+            emit('file:created', {
+                id: migration_file.id,
+                name: migration_file.name,
+                path: migration_file.content_path,
+            });
+
+            // the schema already exists, so the baseline is recorded as applied without running it
+            await this.#createMigrationTable(db);
+            await db.run(
+                `INSERT INTO "${this.migrationsTable}" (id, name, content_hash, content) VALUES (?, ?, ?, ?)`,
+                [
+                    migration_file.id,
+                    migration_file.name,
+                    migration_file.content_hash,
+                    await readFileAsync(migration_file.content_path, 'utf8'),
+                ],
+            );
+            emit('message', {
+                level: 'info',
+                title: 'Baseline complete!',
+                text: `${migration_file.id}_${migration_file.name} is recorded as applied.`,
+            });
+            return migration_file;
+        } finally {
+            await Promise.all([db.close(), oldDB.close(), newDB.close()]);
+            await rmAsync(this.tempPath, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Gets the current migration state of the database.
      * @returns {Promise<Status>} the current migration state of the database as a {@link Status} object
      * @throws an appropriate {@link ValidationError} if the options are invalid.
      * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database, close the database, or remove temporary files.
@@ -749,13 +1964,14 @@ export class Migrator {
             const schema = await readFileAsync(this.schemaPath, 'utf8');
             const migrationFiles = await this.#getMigrationFiles();
             const appliedMigrations = await this.#getAppliedMigrationFiles(db);
+            await this.#collapseSquashedMigrations(migrationFiles, appliedMigrations);
 
             // identify the pragmas and the current migration state
             if (appliedMigrations.length !== 0) {
                 const latest = appliedMigrations[appliedMigrations.length - 1];
                 status.current_id = latest.id;
                 status.current_name = latest.name;
-                const { PRAGMAS } = await import(pathToFileURL(latest.content_path));
+                const { PRAGMAS } = await this.#loadMigration(latest);
                 status.pragmas = PRAGMAS;
             } else {
                 status.current_id = 'zero';
@@ -790,32 +2006,7 @@ export class Migrator {
             }
 
             // determine if the database state has been tampered with and no longer matches the applied migrations
-            const [appliedDB, actualDB] = await Promise.all([
-                Database.connect(''),
-                Database.connect(''),
-            ]);
-            try {
-                await this.#applyMigrations(appliedDB, appliedMigrations);
-                await this.#copySchema(db, actualDB);
-
-                const { upStatements } = await this.#diff(
-                    {
-                        onRename: Migrator.PROCEED,
-                        onDestructiveChange: Migrator.PROCEED,
-                        onChangedIndex: Migrator.PROCEED,
-                        onChangedView: Migrator.PROCEED,
-                        onChangedTrigger: Migrator.PROCEED,
-                    },
-                    appliedDB,
-                    actualDB,
-                    () => Promise.resolve('y'),
-                );
-                status.has_tampered_data = upStatements.length > 0;
-            } catch (err) {
-                status.has_tampered_data = true;
-            } finally {
-                await Promise.all([appliedDB.close(), actualDB.close()]);
-            }
+            status.has_tampered_data = await this.#hasTamperedData(db, appliedMigrations);
 
             // identify the applied migrations that have been removed from the migration folder and the unapplied migrations that have been add to the migration folder
             this.#removeCommonMigrations(migrationFiles, appliedMigrations);
@@ -829,6 +2020,244 @@ export class Migrator {
         return status;
     }
 
+    /**
+     * Removes the migration lock, e.g. when the process that held it crashed. Only use this if no other process is migrating the database.
+     * @returns {Promise<{pid: number, hostname: string, acquired_at: string}|null>} the holder of the removed lock, null if the database was not locked
+     * @throws an appropriate {@link ValidationError} if the options are invalid.
+     * @effects removes the lock file next to the database file
+     */
+    async unlock() {
+        this.#validateOptions();
+        let holder;
+        try {
+            holder = JSON.parse(await readFileAsync(this.lockPath, 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            holder = null; // a lock file that was only partially written is still stale
+        }
+        await rmAsync(this.lockPath, { force: true });
+        return holder;
+    }
+
+    /**
+     * Emits the start of a step of a longer operation.
+     * @private
+     * @param {EmitFunction} emit a function to emit {@link MigratorEvents} through
+     * @param {string} step a short description of the step
+     * @returns {() => void} a function that emits the end of the step with its duration
+     */
+    #startStep(emit, step) {
+        const start = performance.now();
+        emit('step:start', { step });
+        return () => emit('step:end', { step, duration_ms: performance.now() - start });
+    }
+
+    /**
+     * Creates a function that prompts the user for input on the command line and emits their answer.
+     * @private
+     * @param {readline.Interface} rl the readline interface to prompt through
+     * @param {EmitFunction} emit a function to emit {@link MigratorEvents} through
+     * @returns {(s: string) => Promise<string>} a function to prompt the user for input
+     */
+    #prompter(rl, emit) {
+        return async question => {
+            const answer = await new Promise(resolve => rl.question(question, resolve));
+            emit('prompt', { question, answer });
+            return answer;
+        };
+    }
+
+    /**
+     * Runs a function with a function to emit events through to the listeners of this migrator and to a log function.
+     * The log function only receives the events of this call, so overlapping calls on the same migrator don't log each other's progress.
+     * @private
+     * @template T
+     * @param {function} log a function to log the human readable progress output through
+     * @param {(emit: EmitFunction) => Promise<T>} fn the function to run, passed the function to emit its events through
+     * @returns {Promise<T>} the return value of fn
+     */
+    async #withLogger(log, fn) {
+        const logger = new EventEmitter();
+        const unsubscribe = subscribeLogger(logger, log);
+        try {
+            return await fn((event, payload) => {
+                logger.emit(event, payload);
+                this.emit(event, payload);
+            });
+        } finally {
+            unsubscribe();
+        }
+    }
+
+    /**
+     * Runs a function while holding the migration lock, a file next to the database that other processes wait for.
+     * @private
+     * @template T
+     * @param {() => Promise<T>} fn the function to run
+     * @throws an appropriate {@link LockTimeoutError} if the lock is not released within the lock timeout
+     * @returns {Promise<T>} the return value of fn
+     */
+    async #withLock(fn) {
+        this.#validateOptions();
+        const lock = JSON.stringify({
+            pid: process.pid,
+            hostname: os.hostname(),
+            acquired_at: new Date().toISOString(),
+        });
+        const deadline = Date.now() + this.lockTimeout;
+        for (;;) {
+            try {
+                await writeFileAsync(this.lockPath, lock, { flag: 'wx' });
+                break;
+            } catch (err) {
+                if (err.code !== 'EEXIST') throw err;
+            }
+            if (Date.now() >= deadline) {
+                const holder = await readFileAsync(this.lockPath, 'utf8').catch(() => 'unknown');
+                throw new LockTimeoutError(
+                    `Timed out after ${this.lockTimeout}ms waiting for ${this.lockPath} held by ${holder}. Run 'sam unlock' if that process is no longer running.`,
+                );
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_INTERVAL));
+        }
+        try {
+            return await fn();
+        } finally {
+            // the lock may have been removed with unlock() and taken by another process in the meantime
+            const holder = await readFileAsync(this.lockPath, 'utf8').catch(() => null);
+            if (holder === lock) await rmAsync(this.lockPath, { force: true });
+        }
+    }
+
+    /**
+     * Takes a snapshot of the database using SQLite's online backup API and removes snapshots beyond the retention count.
+     * @param {function} log a function to log messages through. Default is `process.stdout.write`
+     * @returns {Promise<string>} the path to the snapshot
+     * @throws an appropriate {@link ValidationError} if the options are invalid.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database or write the snapshot.
+     * @effects writes a new snapshot to the backup folder and removes the oldest snapshots if there are more than backupRetention
+     */
+    async backup(log = s => process.stdout.write(s)) {
+        this.#validateOptions();
+        const db = await Database.connect(this.dbPath);
+        try {
+            return await this.#withLogger(log, emit => this.#backup(db, emit));
+        } finally {
+            await db.close();
+        }
+    }
+
+    /**
+     * Overwrites the database with a snapshot taken by backup() or migrate().
+     * @param {string} snapshot the path to the snapshot, either absolute or relative to the backup folder
+     * @param {function} log a function to log messages through. Default is `process.stdout.write`
+     * @returns {Promise<string>} the absolute path to the restored snapshot
+     * @throws an appropriate {@link ValidationError} if the options are invalid or the snapshot is not found.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to read the snapshot or write the database.
+     * @effects replaces the contents of the database file with the snapshot
+     */
+    async restore(snapshot, log = s => process.stdout.write(s)) {
+        this.#validateOptions();
+        const snapshotPath = [
+            path.resolve(this.backupDir, snapshot),
+            getAbsolutePath(snapshot),
+        ].find(p => existsSync(p) && statSync(p).isFile());
+        if (!snapshotPath) {
+            throw new ValidationError(`Snapshot not found: ${snapshot}`);
+        }
+        await this.#withLogger(log, emit =>
+            this.#withLock(() => this.#restore(snapshotPath, emit)),
+        );
+        return snapshotPath;
+    }
+
+    /**
+     * Snapshots the database into the backup folder and prunes old snapshots, see backup().
+     * @private
+     * @param {Database} db the database connection to snapshot
+     * @param {EmitFunction} emit a function to emit {@link MigratorEvents} through
+     * @returns {Promise<string>} the path to the snapshot
+     */
+    async #backup(db, emit) {
+        await mkdirAsync(this.backupDir, { recursive: true });
+        const { name, ext } = path.parse(this.dbPath);
+        const timestamp = new Date().toISOString().replace(/\D/g, '');
+        const snapshotPath = path.join(this.backupDir, `${name}-${timestamp}${ext || '.db'}`);
+
+        const start = performance.now();
+        await db.backup(snapshotPath);
+        emit('backup:created', { path: snapshotPath, duration_ms: performance.now() - start });
+
+        if (this.backupRetention > 0) {
+            // the timestamps have a fixed width, so sorting by name sorts by age
+            const snapshots = (await readdirAsync(this.backupDir))
+                .filter(
+                    f =>
+                        f.startsWith(`${name}-`) &&
+                        /^\d{17}$/.test(path.parse(f).name.slice(name.length + 1)),
+                )
+                .sort();
+            for (const old of snapshots.slice(0, -this.backupRetention)) {
+                await rmAsync(path.join(this.backupDir, old), { force: true });
+            }
+        }
+        return snapshotPath;
+    }
+
+    /**
+     * Overwrites the database file with a snapshot, see restore().
+     * @private
+     * @param {string} snapshotPath the absolute path to the snapshot
+     * @param {EmitFunction} emit a function to emit {@link MigratorEvents} through
+     */
+    async #restore(snapshotPath, emit) {
+        const start = performance.now();
+        const snapshotDB = await Database.connect(snapshotPath, Database.OPEN_READONLY);
+        try {
+            await snapshotDB.backup(this.dbPath);
+        } finally {
+            await snapshotDB.close();
+        }
+        emit('backup:restored', { path: snapshotPath, duration_ms: performance.now() - start });
+    }
+
+    /**
+     * Checks if the schema of the database no longer matches the schema the applied migrations produce, e.g. because it was modified by hand.
+     * @private
+     * @param {Database} db the database connection to check
+     * @param {MigrationFile[]} appliedMigrations the applied migrations sorted by id in ascending order
+     * @returns {Promise<boolean>} true if the schemas differ or the applied migrations can't be replayed, false otherwise
+     */
+    async #hasTamperedData(db, appliedMigrations) {
+        const [appliedDB, actualDB] = await Promise.all([
+            Database.connect(''),
+            Database.connect(''),
+        ]);
+        try {
+            await this.#applyMigrations(appliedDB, appliedMigrations);
+            await this.#copySchema(db, actualDB);
+
+            const { upStatements } = await this.#diff(
+                {
+                    onRename: Migrator.PROCEED,
+                    onDestructiveChange: Migrator.PROCEED,
+                    onChangedIndex: Migrator.PROCEED,
+                    onChangedView: Migrator.PROCEED,
+                    onChangedTrigger: Migrator.PROCEED,
+                },
+                appliedDB,
+                actualDB,
+                () => Promise.resolve('y'),
+            );
+            return upStatements.length > 0;
+        } catch (err) {
+            return true;
+        } finally {
+            await Promise.all([appliedDB.close(), actualDB.close()]);
+        }
+    }
+
     /**
      * Applies the schema of the source database to the target database.
      * @param {Database} srcDB the source database
@@ -851,6 +2280,7 @@ export class Migrator {
             if (
                 sql &&
                 name !== this.migrationsTable &&
+                name !== `${this.migrationsTable}_log` &&
                 !name.startsWith('sqlite_') &&
                 !tablenames.has(name)
             ) {
@@ -862,6 +2292,150 @@ export class Migrator {
         return sqlLines;
     }
 
+    /**
+     * Gets the migrations a migration file replaces if it is squashed.
+     * @private
+     * @param {MigrationFile} migration the migration file
+     * @returns {Promise<string[]>} the `<id>_<name>` of the replaced migrations, empty if the migration is not squashed
+     */
+    async #getReplacedMigrations(migration) {
+        // only squashed migrations list the migrations they replace, so avoid importing every module
+        const content = await readFileAsync(migration.content_path, 'utf8');
+        if (!content.includes('REPLACES') && !isSQLMigration(content)) return [];
+        const { REPLACES } = await this.#loadMigration(migration);
+        return REPLACES ?? [];
+    }
+
+    /**
+     * Finds the squashed migration files whose replaced migrations have all been applied and swaps those applied migrations for the squashed migration file, so it is treated as applied.
+     * @private
+     * @param {MigrationFile[]} migrationFiles the migration files sorted by id in ascending order
+     * @param {MigrationFile[]} appliedMigrations the applied migrations sorted by id in ascending order (modified in place)
+     * @returns {Promise<Array<{migration: MigrationFile, replaced: MigrationFile[]}>>} the squashed migration files that were swapped in and the applied migrations they replace
+     * @throws a {@link ValidationError} if only some of the migrations a squashed migration file replaces have been applied
+     */
+    async #collapseSquashedMigrations(migrationFiles, appliedMigrations) {
+        const squashed = [];
+        for (const migration of migrationFiles) {
+            if (this.#isApplied(migration, appliedMigrations)) continue;
+            const REPLACES = await this.#getReplacedMigrations(migration);
+            if (REPLACES.length === 0) continue;
+
+            const replaced = REPLACES.map(key =>
+                appliedMigrations.find(m => `${m.id}_${m.name}` === key),
+            );
+            if (replaced.every(m => m === undefined)) continue;
+            if (replaced.includes(undefined)) {
+                throw new ValidationError(
+                    `Squashed migration ${migration.id}_${
+                        migration.name
+                    } replaces migrations that were only partially applied: ${REPLACES.filter(
+                        (_, i) => replaced[i] === undefined,
+                    ).join(
+                        ', ',
+                    )} have not been applied. Apply or undo the rest of the replaced migrations with the original migration files before migrating with the squashed migration.`,
+                );
+            }
+
+            for (const m of replaced) {
+                appliedMigrations.splice(appliedMigrations.indexOf(m), 1);
+            }
+            appliedMigrations.push(migration);
+            appliedMigrations.sort(ASCENDING_BY_ID);
+            squashed.push({ migration, replaced });
+        }
+        return squashed;
+    }
+
+    /**
+     * Finds the migration files that diverge from a linear history: ones that share an id and unapplied ones that sort before the latest applied migration.
+     * @private
+     * @param {MigrationFile[]} migrationFiles the migration files sorted by id in ascending order
+     * @param {MigrationFile[]} appliedMigrations the applied migrations sorted by id in ascending order
+     * @returns {{ duplicates: Map<string, MigrationFile[]>, outOfOrder: MigrationFile[] }} the migration files sharing each duplicate id (sorted by name) and the out of order migration files
+     */
+    #findDivergences(migrationFiles, appliedMigrations) {
+        const byId = new Map();
+        for (const migration of migrationFiles) {
+            const key = /^\d+$/.test(migration.id) ? BigInt(migration.id).toString() : migration.id;
+            byId.set(key, [...(byId.get(key) ?? []), migration]);
+        }
+        const duplicates = new Map();
+        for (const migrations of byId.values()) {
+            if (migrations.length > 1) {
+                migrations.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+                duplicates.set(migrations[0].id, migrations);
+            }
+        }
+
+        const latestApplied = appliedMigrations[appliedMigrations.length - 1];
+        const outOfOrder = migrationFiles.filter(
+            migration =>
+                latestApplied !== undefined &&
+                COMPARE_IDS(migration.id, latestApplied.id) < 0 &&
+                !appliedMigrations.some(m => COMPARE_IDS(m.id, migration.id) === 0),
+        );
+        return { duplicates, outOfOrder };
+    }
+
+    /**
+     * Checks if a migration file has been applied with the same id, name, and content.
+     * @private
+     * @param {MigrationFile} migration the migration file
+     * @param {MigrationFile[]} appliedMigrations the applied migrations
+     * @returns {boolean} true if the migration file has been applied, false otherwise
+     */
+    #isApplied(migration, appliedMigrations) {
+        return appliedMigrations.some(
+            m =>
+                m.id === migration.id &&
+                m.name === migration.name &&
+                m.content_hash === migration.content_hash,
+        );
+    }
+
+    /**
+     * Throws if multiple migration files share an id since the order they are applied in would be ambiguous.
+     * @private
+     * @param {MigrationFile[]} migrationFiles the migration files
+     * @throws a {@link ValidationError} if multiple migration files share an id
+     */
+    #assertUniqueIds(migrationFiles) {
+        const { duplicates } = this.#findDivergences(migrationFiles, []);
+        if (duplicates.size > 0) {
+            throw new ValidationError(
+                `Multiple migration files share the same id: ${[...duplicates.values()]
+                    .flat()
+                    .map(m => `${m.id}_${m.name}`)
+                    .join(', ')}. Run 'sam renumber' to move them onto fresh ids.`,
+            );
+        }
+    }
+
+    /**
+     * Resolves a target relative to the current migration, i.e. the latest of the applied migrations that match the migration files.
+     * @private
+     * @param {string} target the relative target, e.g. "-1" or "+2"
+     * @param {MigrationFile[]} migrationFiles the migration files sorted by id in ascending order
+     * @param {MigrationFile[]} appliedMigrations the applied migrations sorted by id in ascending order
+     * @throws a {@link ValidationError} if the target is before the first or after the last migration file
+     * @returns {string} the id of the target migration or "zero"
+     */
+    #resolveRelativeTarget(target, migrationFiles, appliedMigrations) {
+        const unapplied = [...migrationFiles];
+        this.#removeCommonMigrations(unapplied, [...appliedMigrations]);
+        const current = migrationFiles.length - unapplied.length - 1;
+        const ix = current + Number(target);
+        if (ix < -1 || ix >= migrationFiles.length) {
+            throw new ValidationError(
+                `Relative target ${target} is out of range: ${current + 1} of ${
+                    migrationFiles.length
+                } migrations are applied.`,
+            );
+        }
+        return ix === -1 ? 'zero' : migrationFiles[ix].id;
+    }
+
     /**
      * Removes the migration files that are in the migrations folder and have been applied.
      * @private
@@ -890,6 +2464,9 @@ export class Migrator {
      * @param {(s: string) => Promise<string>} prompt a function to prompt the user for input
      * @param {Array<string>} manualMigrationReasons an array to append manual migration reasons to
      * @param {string} unit the unit being renamed (e.g., 'table', 'column of table')
+     * @param {Map<string, number>} [confidences=new Map()] the map of old names to how confident from 0 to 1 the rename is, shown in the prompt
+     * @param {number} [renameThreshold=1] the lowest confidence a rename is accepted with when the default action is Migrator.PROCEED, it is declined otherwise
+     * @param {Set<string>} [identicalNames=new Set()] the old names whose definition did not change, these renames are accepted with Migrator.PROCEED regardless of the renameThreshold
      */
     async #resolveRenames(
         addedNames,
@@ -899,13 +2476,28 @@ export class Migrator {
         prompt,
         manualMigrationReasons,
         unit = 'table',
+        confidences = new Map(),
+        renameThreshold = 1,
+        identicalNames = new Set(),
     ) {
+        const defaultAction = action;
         for (const [oldname, newname] of renames) {
+            const confidence = confidences.get(oldname) ?? 1;
+            if (
+                defaultAction === Migrator.PROCEED &&
+                confidence < renameThreshold &&
+                !identicalNames.has(oldname)
+            ) {
+                renames.delete(oldname);
+                continue;
+            }
             const capitalizedUnit = unit.charAt(0).toUpperCase() + unit.slice(1);
             action = await this.#promptForAction(
                 prompt,
                 action,
-                `${capitalizedUnit} "${oldname}" seems to have been renamed to "${newname}". Type "y" to rename, "n" to remove and add a new ${unit} instead, or "m" to require manual migration: `,
+                `${capitalizedUnit} "${oldname}" seems to have been renamed to "${newname}" (${Math.round(
+                    confidence * 100,
+                )}% confidence). Type "y" to rename, "n" to remove and add a new ${unit} instead, or "m" to require manual migration: `,
             );
             if (action === Migrator.PROCEED) {
                 addedNames.delete(newname);
@@ -924,6 +2516,36 @@ export class Migrator {
         }
     }
 
+    /**
+     * Merges the `-- sam:renamed-from <old name>` hints of the schema file with the renames option, see {@link MakeOptions}.
+     * @private
+     * @param {string} schema the content of the schema file
+     * @param {{[newName: string]: string}} [renames={}] the renames option, takes precedence over the hints
+     * @throws an appropriate {@link ValidationError} if the renames option does not map names to names
+     * @returns {{[newName: string]: string}} the merged renames, lowercased if names are case insensitive
+     */
+    #getRenames(schema, renames = {}) {
+        if (
+            typeof renames !== 'object' ||
+            renames === null ||
+            Object.values(renames).some(name => typeof name !== 'string')
+        ) {
+            throw new ValidationError(
+                `Invalid renames: ${JSON.stringify(
+                    renames,
+                )}. Must map new table and <table>.<column> names to the names they were renamed from.`,
+            );
+        }
+        const merged = { ...parseRenameHints(schema), ...renames };
+        if (!this.ignoreNameCase) return merged;
+        return Object.fromEntries(
+            Object.entries(merged).map(([newName, oldName]) => [
+                newName.toLowerCase(),
+                oldName.toLowerCase(),
+            ]),
+        );
+    }
+
     /**
      * Prompts the user for an action to take until a valid non-Migrator.PROMPT action is given.
      * @private
@@ -974,7 +2596,8 @@ export class Migrator {
         for await (const row of db.each(
             `SELECT id, name, content_hash, content FROM "${this.migrationsTable}"`,
         )) {
-            const content_path = path.join(this.tempPath, `${row.id}_${row.name}.mjs`);
+            const extension = isSQLMigration(row.content) ? 'sql' : 'mjs';
+            const content_path = path.join(this.tempPath, `${row.id}_${row.name}.${extension}`);
             await writeFileAsync(content_path, row.content);
             migrations.push({
                 id: row.id,
@@ -983,38 +2606,111 @@ export class Migrator {
                 content_path: content_path,
             });
         }
-        return migrations.sort(ASCENDING_BY_ID);
+        return migrations.sort(ASCENDING_BY_ID);
+    }
+
+    /**
+     * Gets the migration files from the migrations folder.
+     * @private
+     * @returns {Promise<MigrationFile[]>} the list of migration files sorted by id in ascending order
+     */
+    async #getMigrationFiles() {
+        // if the migration folder does not exist, there are no migrations
+        try {
+            await accessAsync(this.migrationsPath);
+        } catch {
+            return [];
+        }
+
+        const filenames = await readdirAsync(this.migrationsPath);
+        const migrationFilenames = filenames.filter(
+            filename =>
+                MIGRATION_FORMATS.includes(path.extname(filename).slice(1)) &&
+                filename.includes('_'),
+        );
+        const migrationFiles = await Promise.all(
+            migrationFilenames.map(async filename => {
+                const filepath = path.join(this.migrationsPath, filename);
+                const basename = path.basename(filename, path.extname(filename));
+                return {
+                    id: basename.split('_')[0],
+                    name: basename.split('_').slice(1).join('_'),
+                    content_hash: await fileHash(filepath),
+                    content_path: filepath,
+                };
+            }),
+        );
+        return migrationFiles.sort(ASCENDING_BY_ID);
+    }
+
+    /**
+     * Gets the format to write new migration files in.
+     * @private
+     * @param {{migrationFormat?: MigrationFormat}} keyargs the options passed to the method creating the migration file
+     * @throws a {@link ValidationError} if the format is invalid
+     * @returns {MigrationFormat} the migration format
+     */
+    #getMigrationFormat(keyargs) {
+        const migrationFormat =
+            keyargs.migrationFormat ?? process.env.SAM_MIGRATION_FORMAT ?? 'mjs';
+        if (!MIGRATION_FORMATS.includes(migrationFormat)) {
+            throw new ValidationError(
+                `Invalid migration format: ${migrationFormat}. Must be one of ${MIGRATION_FORMATS.join(
+                    ', ',
+                )}`,
+            );
+        }
+        return migrationFormat;
+    }
+
+    /**
+     * Generates the id of the next migration file using the id strategy.
+     * @private
+     * @param {MigrationFile[]} migrationFiles the existing migration files sorted by id in ascending order
+     * @throws a {@link ValidationError} if the generated id is invalid or does not sort after the existing ids
+     * @returns {Promise<string>} the id of the next migration file
+     */
+    async #getNextId(migrationFiles) {
+        const ids = migrationFiles.map(m => m.id);
+        const lastId = ids[ids.length - 1];
+        let id;
+        if (typeof this.idStrategy === 'function') {
+            id = String(this.idStrategy(ids));
+        } else if (this.idStrategy === 'timestamp') {
+            id = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+            if (lastId !== undefined && /^\d+$/.test(lastId) && COMPARE_IDS(id, lastId) <= 0) {
+                id = (BigInt(lastId) + 1n).toString(); // e.g. multiple migrations made within the same second
+            }
+        } else {
+            // squashed migrations keep counting the migrations they replace
+            let count = migrationFiles.length;
+            for (const migration of migrationFiles) {
+                count += Math.max((await this.#getReplacedMigrations(migration)).length - 1, 0);
+            }
+            id = Number(count).toString().padStart(4, '0');
+        }
+
+        this.#assertValidId(id);
+        if (lastId !== undefined && COMPARE_IDS(id, lastId) <= 0) {
+            throw new ValidationError(
+                `Invalid migration id: "${id}". It must sort after the latest migration id "${lastId}".`,
+            );
+        }
+        return id;
     }
 
     /**
-     * Gets the migration files from the migrations folder.
+     * Throws if a migration id can't be used in a migration file name or clashes with a special target.
      * @private
-     * @returns {Promise<MigrationFile[]>} the list of migration files sorted by id in ascending order
+     * @param {string} id the migration id
+     * @throws a {@link ValidationError} if the id is empty, contains underscores or slashes, or is "latest" or "zero"
      */
-    async #getMigrationFiles() {
-        // if the migration folder does not exist, there are no migrations
-        try {
-            await accessAsync(this.migrationsPath);
-        } catch {
-            return [];
+    #assertValidId(id) {
+        if (!id || id.includes('_') || /[\\/]/.test(id) || ['latest', 'zero'].includes(id)) {
+            throw new ValidationError(
+                `Invalid migration id: "${id}". Ids must be non-empty, must not contain underscores or slashes, and must not be "latest" or "zero".`,
+            );
         }
-
-        const filenames = await readdirAsync(this.migrationsPath);
-        const migrationFilenames = filenames.filter(
-            filename => filename.endsWith('.mjs') && filename.includes('_'),
-        );
-        const migrationFiles = await Promise.all(
-            migrationFilenames.map(async filename => {
-                const filepath = path.join(this.migrationsPath, filename);
-                return {
-                    id: filename.split('_')[0],
-                    name: filename.split('_').slice(1).join('_').replace('.mjs', ''),
-                    content_hash: await fileHash(filepath),
-                    content_path: filepath,
-                };
-            }),
-        );
-        return migrationFiles.sort(ASCENDING_BY_ID);
     }
 
     /**
@@ -1046,28 +2742,107 @@ export class Migrator {
         );
     }
 
+    /**
+     * Creates the audit log table next to the migration table if it does not exist, see {@link AuditLogEntry}.
+     * @param {Database} db the database connection to create the audit log table in
+     * @private
+     */
+    async #createAuditLogTable(db) {
+        await db.run(
+            `CREATE TABLE IF NOT EXISTS "${this.migrationsTable}_log" (
+                seq INTEGER PRIMARY KEY,
+                logged_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now')),
+                direction TEXT NOT NULL,
+                id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                content_hash TEXT NOT NULL,
+                duration_ms REAL NOT NULL,
+                outcome TEXT NOT NULL,
+                error TEXT,
+                hostname TEXT,
+                username TEXT,
+                sam_version TEXT
+            )`,
+        );
+    }
+
+    /**
+     * Appends entries to the audit log, creating it if needed. Entries are never updated or deleted.
+     * @param {Database} db the database connection to write the audit log of
+     * @param {Array<Omit<AuditLogEntry, 'seq'|'logged_at'|'hostname'|'username'|'sam_version'>>} entries the entries to append in order
+     * @private
+     */
+    async #writeAuditLog(db, entries) {
+        if (entries.length === 0) return;
+        await this.#createAuditLogTable(db);
+
+        let username = process.env.USER ?? null;
+        try {
+            username = os.userInfo().username;
+        } catch {
+            // e.g. the user has no entry in /etc/passwd inside a container
+        }
+        let samVersion = null;
+        try {
+            samVersion = JSON.parse(
+                readFileSync(new URL('../package.json', import.meta.url), 'utf8'),
+            ).version;
+        } catch {
+            // e.g. package.json is not embedded in a bundled executable
+        }
+
+        const stmt = await db.prepare(
+            `INSERT INTO "${this.migrationsTable}_log" (${AUDIT_LOG_COLUMNS.join(
+                ', ',
+            )}) VALUES (${AUDIT_LOG_COLUMNS.map(() => '?').join(', ')})`,
+        );
+        try {
+            for (const entry of entries) {
+                const row = {
+                    ...entry,
+                    hostname: os.hostname(),
+                    username,
+                    sam_version: samVersion,
+                };
+                await stmt.run(...AUDIT_LOG_COLUMNS.map(column => row[column]));
+            }
+        } finally {
+            await stmt.finalize();
+        }
+    }
+
     /**
      * Apply the migrations to the given database.
      * @private
      * @param {Database} db the database connection to run the migrations on
      * @param {MigrationFile[]} migrationFiles the migration files to run
-     * @param {function} log a function to log messages to
+     * @param {EmitFunction} [emit] a function to emit {@link MigratorEvents} through. Default is `() => {}`
+     * @param {boolean} [dryRun=false] true if migrations that run outside of a transaction should be skipped since they can't be rolled back
      * @effects defers foreign key checks
      * @throws an appropriate {@link Error} if an error occurs while applying the migrations
      * @returns {Promise<Object>} a promise that resolves with the pragmas of the final database state
      */
-    async #applyMigrations(db, migrationFiles, log = () => {}) {
+    async #applyMigrations(db, migrationFiles, emit = () => {}, dryRun = false) {
         await db.run('PRAGMA defer_foreign_keys = TRUE'); // disable foreign key checks while migrating; automatically re-enabled at the end of the transaction
 
         let pragmas = {};
         for (const migration of migrationFiles) {
-            log(`  ${symbols.bullet} Applying ${migration.id}_${migration.name}...`);
+            const { id, name } = migration;
+            emit('migration:start', { id, name, direction: 'up', fake: false });
+            const start = performance.now();
             try {
-                const lastModified = (await statAsync(migration.content_path)).mtimeMs; // es6 does not allow uncaching imports, so reimport the module everytime it changes
-                const { up, PRAGMAS } = await import(
-                    pathToFileURL(migration.content_path) + '?t=' + lastModified
-                );
+                const { up, PRAGMAS, TRANSACTION } = await this.#loadMigration(migration);
                 pragmas = PRAGMAS;
+                if (dryRun && TRANSACTION === 'none') {
+                    emit('migration:applied', {
+                        id,
+                        name,
+                        duration_ms: performance.now() - start,
+                        fake: false,
+                        skipped: true,
+                    });
+                    continue;
+                }
                 const snapshot = await up(db);
                 if (snapshot && snapshot.name === 'SchemaSnapshot') {
                     const [schemaDB, actualDB] = await Promise.all([
@@ -1102,10 +2877,22 @@ export class Migrator {
                     }
                 }
             } catch (err) {
-                log(` ${symbols.error}\n`);
+                emit('migration:failed', {
+                    id,
+                    name,
+                    direction: 'up',
+                    duration_ms: performance.now() - start,
+                    error: err,
+                });
                 throw err;
             }
-            log(` ${symbols.success}\n`);
+            emit('migration:applied', {
+                id,
+                name,
+                duration_ms: performance.now() - start,
+                fake: false,
+                skipped: false,
+            });
         }
 
         return pragmas;
@@ -1116,82 +2903,246 @@ export class Migrator {
      * @private
      * @param {Database} db the database connection to undo the migrations on
      * @param {MigrationFile[]} migrationFiles the migration files to undo
-     * @param {function} log a function to log messages to
+     * @param {EmitFunction} [emit] a function to emit {@link MigratorEvents} through. Default is `() => {}`
+     * @param {boolean} [dryRun=false] true if migrations that run outside of a transaction should be skipped since they can't be rolled back
      * @effects defers foreign key checks
      * @throws an appropriate {@link Error} if an error occurs while undoing the migrations
      * @returns {Promise<Object>} a promise that resolves with the pragmas of the final database state
      */
-    async #undoMigrations(db, migrationFiles, log = () => {}) {
+    async #undoMigrations(db, migrationFiles, emit = () => {}, dryRun = false) {
         await db.run('PRAGMA defer_foreign_keys = TRUE'); // disable foreign key checks while migrating; automatically re-enabled at the end of the transaction
 
         let pragmas = {};
         for (const migration of migrationFiles) {
-            log(`  ${symbols.bullet} Undoing ${migration.id}_${migration.name}...`);
+            const { id, name } = migration;
+            emit('migration:start', { id, name, direction: 'down', fake: false });
+            const start = performance.now();
             try {
-                const lastModified = (await statAsync(migration.content_path)).mtimeMs; // es6 does not allow uncaching imports, so reimport the module everytime it changes
-                const { down, PRAGMAS } = await import(
-                    pathToFileURL(migration.content_path) + '?t=' + lastModified
-                );
+                const { down, PRAGMAS, TRANSACTION } = await this.#loadMigration(migration);
                 pragmas = PRAGMAS;
+                if (dryRun && TRANSACTION === 'none') {
+                    emit('migration:undone', {
+                        id,
+                        name,
+                        duration_ms: performance.now() - start,
+                        fake: false,
+                        skipped: true,
+                    });
+                    continue;
+                }
                 await down(db);
             } catch (err) {
-                log(` ${symbols.error}\n`);
+                emit('migration:failed', {
+                    id,
+                    name,
+                    direction: 'down',
+                    duration_ms: performance.now() - start,
+                    error: err,
+                });
                 throw err;
             }
-            log(` ${symbols.success}\n`);
+            emit('migration:undone', {
+                id,
+                name,
+                duration_ms: performance.now() - start,
+                fake: false,
+                skipped: false,
+            });
         }
 
         return pragmas;
     }
 
+    /**
+     * Groups the migrations to undo and apply into the transactions they run in, see {@link MigrationTransaction}.
+     * @private
+     * @param {MigrationFile[]} appliedMigrations the migrations to undo in the order they are undone
+     * @param {MigrationFile[]} migrationFiles the migrations to apply in the order they are applied
+     * @throws an appropriate {@link ValidationError} if a migration exports an invalid `TRANSACTION`
+     * @returns {Promise<Array<{transaction: MigrationTransaction, undo: MigrationFile[], apply: MigrationFile[]}>>} the batches in the order they run, at least one
+     */
+    async #batchByTransaction(appliedMigrations, migrationFiles) {
+        const batches = [];
+        for (const [direction, migrations] of [
+            ['undo', appliedMigrations],
+            ['apply', migrationFiles],
+        ]) {
+            for (const migration of migrations) {
+                const { TRANSACTION } = await this.#loadMigration(migration);
+                const previous = batches[batches.length - 1];
+                if (TRANSACTION === 'shared' && previous?.transaction === 'shared') {
+                    previous[direction].push(migration);
+                } else {
+                    const batch = { transaction: TRANSACTION, undo: [], apply: [] };
+                    batch[direction].push(migration);
+                    batches.push(batch);
+                }
+            }
+        }
+        return batches.length > 0 ? batches : [{ transaction: 'shared', undo: [], apply: [] }];
+    }
+
+    /**
+     * Loads the pragmas and up/down functions of a migration file.
+     * @private
+     * @param {MigrationFile} migration the migration file to load
+     * @throws an appropriate {@link ValidationError} if the migration exports an invalid `TRANSACTION`
+     * @returns {Promise<{PRAGMAS: Object, REPLACES?: string[], TRANSACTION: MigrationTransaction, up: (db: Database) => Promise<any>, down: (db: Database) => Promise<any>}>} the pragmas, replaced migrations (if squashed), transaction, and up/down functions of the migration
+     */
+    async #loadMigration(migration) {
+        const module = await this.#importMigration(migration);
+        const TRANSACTION = module.TRANSACTION ?? MIGRATION_TRANSACTIONS[0];
+        if (!MIGRATION_TRANSACTIONS.includes(TRANSACTION)) {
+            throw new ValidationError(
+                `Invalid TRANSACTION in migration ${migration.id}_${
+                    migration.name
+                }: ${TRANSACTION}. Must be one of ${MIGRATION_TRANSACTIONS.join(', ')}`,
+            );
+        }
+        return { ...module, TRANSACTION };
+    }
+
+    /**
+     * Imports a migration file, parsing SQL files into the same shape as JavaScript modules.
+     * @private
+     * @param {MigrationFile} migration the migration file to import
+     * @returns {Promise<Object>} the exports of the migration
+     */
+    async #importMigration(migration) {
+        if (path.extname(migration.content_path) === '.sql') {
+            const content = await readFileAsync(migration.content_path, 'utf8');
+            const { PRAGMAS, REPLACES, TRANSACTION, up, down } = parseSQLMigration(content);
+            return {
+                PRAGMAS,
+                REPLACES,
+                TRANSACTION,
+                up: async db => {
+                    if (up) await db.exec(up);
+                },
+                down: async db => {
+                    if (down) await db.exec(down);
+                },
+            };
+        }
+        const lastModified = (await statAsync(migration.content_path)).mtimeMs; // es6 does not allow uncaching imports, so reimport the module everytime it changes
+        return await import(pathToFileURL(migration.content_path) + '?t=' + lastModified);
+    }
+
     /**
      * Apply the pragmas to the given database. Must not be run in a transaction.
      * @private
      * @param {Database} db the database connection to run the pragmas on
      * @param {Object} pragmas the pragmas to apply
-     * @param {function} log a function to log messages to
+     * @param {EmitFunction} [emit] a function to emit {@link MigratorEvents} through. Default is `() => {}`
      * @throws an appropriate {@link Error} if an error occurs while applying the pragmas
+     * @returns {Promise<Object>} a promise that resolves with the pragmas that were set
      */
-    async #applyPragmas(db, pragmas, log = () => {}) {
-        const pragmasToSet = objectDifference(pragmas, await getPragmas(db));
+    async #applyPragmas(db, pragmas, emit = () => {}) {
+        const pragmasToSet = await this.#getPragmasToSet(db, pragmas);
         if (Object.keys(pragmasToSet).length === 0) {
-            return;
+            return pragmasToSet;
         }
-        log(colors.FgCyan('Setting pragmas:\n'));
+        emit('message', { level: 'info', title: 'Setting pragmas:' });
         for (const [pragma, value] of Object.entries(pragmasToSet)) {
-            if (['file'].includes(pragma)) continue;
-            log(`  ${symbols.bullet} Setting PRAGMA ${pragma} = ${JSON.stringify(value)}...`);
+            const start = performance.now();
             try {
                 await db.run(`PRAGMA ${pragma} = ${JSON.stringify(value)}`);
             } catch (err) {
-                log(` ${symbols.error}\n`);
+                emit('pragma:failed', { pragma, value, error: err });
                 throw err;
             }
             const otherDB = await Database.connect(this.dbPath);
             try {
                 const res = await otherDB.get(`PRAGMA ${pragma}`);
-                if (res && res[pragma] === value) log(` ${symbols.success}\n`);
-                else log(` ${symbols.warning} (not persistent)\n`);
+                emit('pragma:set', {
+                    pragma,
+                    value,
+                    persistent: Boolean(res && res[pragma] === value),
+                    dry_run: false,
+                    duration_ms: performance.now() - start,
+                });
             } catch (err) {
-                log(` ${symbols.error}\n`);
+                emit('pragma:failed', { pragma, value, error: err });
                 throw err;
             } finally {
                 await otherDB.close();
             }
         }
+        return pragmasToSet;
+    }
+
+    /**
+     * Gets the pragmas that differ between the given pragmas and the database.
+     * @private
+     * @param {Database} db the database connection to compare against
+     * @param {Object} pragmas the desired pragmas
+     * @returns {Promise<Object>} a promise that resolves with the pragmas that would have to be set
+     */
+    async #getPragmasToSet(db, pragmas) {
+        const pragmasToSet = objectDifference(pragmas, await getPragmas(db));
+        delete pragmasToSet.file;
+        return pragmasToSet;
     }
 
-    async #writeMigrationFile(id, name, pragmas, upStatements, downStatements) {
+    /**
+     * Writes a new migration file to the migrations folder.
+     * @private
+     * @param {string} id the id of the migration
+     * @param {string} name the name of the migration
+     * @param {Object} pragmas the pragmas of the database state after the migration
+     * @param {string[]} upStatements the JavaScript statements to migrate up
+     * @param {string[]} downStatements the JavaScript statements to migrate down
+     * @param {MigrationFormat} [format='mjs'] the format of the migration file
+     * @param {string[]} [replaces=[]] the `<id>_<name>` of the migrations this migration replaces if it is squashed
+     * @throws a {@link ValidationError} if a statement can't be expressed in the given format
+     * @returns {Promise<MigrationFile>} the written migration file
+     */
+    async #writeMigrationFile(
+        id,
+        name,
+        pragmas,
+        upStatements,
+        downStatements,
+        format = 'mjs',
+        replaces = [],
+    ) {
         await this.#createMigrationDirectory();
 
+        const filepath = path.join(this.migrationsPath, `${id}_${name}.${format}`);
+        const content =
+            format === 'sql'
+                ? this.#getSQLMigrationContent(id, pragmas, upStatements, downStatements, replaces)
+                : this.#getJSMigrationContent(id, pragmas, upStatements, downStatements, replaces);
+        await writeFileAsync(filepath, content);
+
+        /** @type {MigrationFile} */
+        const migration_file = {
+            id,
+            name,
+            content_hash: await fileHash(filepath),
+            content_path: filepath,
+        };
+        return migration_file;
+    }
+
+    /**
+     * Gets the content of a JavaScript migration file.
+     * @private
+     * @param {string} id the id of the migration
+     * @param {Object} pragmas the pragmas of the database state after the migration
+     * @param {string[]} upStatements the JavaScript statements to migrate up
+     * @param {string[]} downStatements the JavaScript statements to migrate down
+     * @param {string[]} [replaces=[]] the `<id>_<name>` of the migrations this migration replaces if it is squashed
+     * @returns {string} the content of the migration file
+     */
+    #getJSMigrationContent(id, pragmas, upStatements, downStatements, replaces = []) {
         if (upStatements.length === 0) {
             const errorStatement = `throw new Error('Migration ${id} is not yet implemented');`;
             upStatements.push(errorStatement);
             downStatements.push(errorStatement);
         }
 
-        const filepath = path.join(this.migrationsPath, `${id}_${name}.mjs`);
-        const content = `
+        return `
 // Automatically created by 'sqlite auto migrator (SAM)' on ${new Date().toISOString()}
 
 import { Database } from 'sqlite-auto-migrator';
@@ -1199,7 +3150,14 @@ import { Database } from 'sqlite-auto-migrator';
 // Pragmas can't be changed in transactions, so they are tracked separately.
 // Note that most pragmas are not persisted in the database file and will have to be set on each new connection.
 export const PRAGMAS = ${JSON.stringify(pragmas)};
-
+${
+    replaces.length > 0
+        ? `
+// The migrations this migration was squashed from. Databases that applied all of them record this migration in their place.
+export const REPLACES = ${JSON.stringify(replaces)};
+`
+        : ''
+}
 /**
  * Runs the necessary SQL commands to migrate the database up to this version from the previous version.
  * Automatically runs in a transaction with deferred foreign keys.
@@ -1218,16 +3176,71 @@ export async function down(db) {
 ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
 }
         `.trim();
-        await writeFileAsync(filepath, content);
+    }
 
-        /** @type {MigrationFile} */
-        const migration_file = {
-            id,
-            name,
-            content_hash: await fileHash(filepath),
-            content_path: filepath,
+    /**
+     * Gets the content of a SQL migration file.
+     * @private
+     * @param {string} id the id of the migration
+     * @param {Object} pragmas the pragmas of the database state after the migration
+     * @param {string[]} upStatements the JavaScript statements to migrate up
+     * @param {string[]} downStatements the JavaScript statements to migrate down
+     * @param {string[]} [replaces=[]] the `<id>_<name>` of the migrations this migration replaces if it is squashed
+     * @throws a {@link ValidationError} if a statement can't be expressed in SQL
+     * @returns {string} the content of the migration file
+     */
+    #getSQLMigrationContent(id, pragmas, upStatements, downStatements, replaces = []) {
+        const toSQL = statement => {
+            const sql = jsToSQL(statement);
+            if (sql === null) {
+                throw new ValidationError(
+                    `Cannot express "${statement}" in the sql migration format. Use the mjs format instead.`,
+                );
+            }
+            return sql;
         };
-        return migration_file;
+        let up = upStatements.map(toSQL);
+        let down = downStatements.map(toSQL);
+        if (up.length === 0) {
+            // RAISE() can only be used in triggers, so a temporary one raises the error (the transaction rolls it back)
+            const errorStatements = [
+                `-- Migration ${id} is not yet implemented. Replace these lines with the SQL to run.`,
+                'CREATE TEMP TABLE not_implemented (id INTEGER);',
+                `CREATE TEMP TRIGGER not_implemented BEFORE INSERT ON not_implemented BEGIN SELECT RAISE(ABORT, 'Migration ${id} is not yet implemented'); END;`,
+                'INSERT INTO not_implemented VALUES (1);',
+            ];
+            up = errorStatements;
+            down = errorStatements;
+        }
+
+        return `
+-- Automatically created by 'sqlite auto migrator (SAM)' on ${new Date().toISOString()}
+
+-- pragmas
+-- Pragmas can't be changed in transactions, so they are tracked separately.
+-- Note that most pragmas are not persisted in the database file and will have to be set on each new connection.
+${Object.entries(pragmas)
+    .map(([pragma, value]) => `PRAGMA ${pragma} = ${JSON.stringify(value)};`)
+    .join('\n')}
+${
+    replaces.length > 0
+        ? `
+-- replaces
+-- The migrations this migration was squashed from. Databases that applied all of them record this migration in their place.
+${replaces.join('\n')}
+`
+        : ''
+}
+-- up
+-- Runs the necessary SQL statements to migrate the database up to this version from the previous version.
+-- Automatically runs in a transaction with deferred foreign keys.
+${up.join('\n')}
+
+-- down
+-- Runs the necessary SQL statements to migrate the database down to the previous version from this version.
+-- Automatically runs in a transaction with deferred foreign keys.
+${down.join('\n')}
+        `.trim();
     }
 
     /**
@@ -1244,10 +3257,13 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
         removedVirtualTables,
         addedViews,
         removedViews,
+        renamedViews,
         addedTriggers,
         removedTriggers,
+        renamedTriggers,
         addedIndices,
         removedIndices,
+        renamedIndices,
     ) {
         const name = [];
         if (addedTableNames.size > 0) {
@@ -1278,18 +3294,39 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
         if (removedViews.size > 0) {
             name.push(`remove-view_${[...removedViews].join('_')}`);
         }
+        if (renamedViews.size > 0) {
+            name.push(
+                `rename-view_${[...renamedViews.entries()]
+                    .map(([old, added]) => `${old}-${added}`)
+                    .join('_')}`,
+            );
+        }
         if (addedTriggers.size > 0) {
             name.push(`create-trigger_${[...addedTriggers].join('_')}`);
         }
         if (removedTriggers.size > 0) {
             name.push(`remove-trigger_${[...removedTriggers].join('_')}`);
         }
+        if (renamedTriggers.size > 0) {
+            name.push(
+                `rename-trigger_${[...renamedTriggers.entries()]
+                    .map(([old, added]) => `${old}-${added}`)
+                    .join('_')}`,
+            );
+        }
         if (addedIndices.size > 0) {
             name.push(`create-index_${[...addedIndices].join('_')}`);
         }
         if (removedIndices.size > 0) {
             name.push(`remove-index_${[...removedIndices].join('_')}`);
         }
+        if (renamedIndices.size > 0) {
+            name.push(
+                `rename-index_${[...renamedIndices.entries()]
+                    .map(([old, added]) => `${old}-${added}`)
+                    .join('_')}`,
+            );
+        }
         return name;
     }
 
@@ -1297,34 +3334,32 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
      * Verifies the integrity and foreign keys of the database.
      * @private
      * @param {Database} db the database connection to run the checks on
-     * @param {function} log a function to log messages to
-     * @throws a {@link IntegrityError} if the integrity or foreign key checks fail
-     * @returns {Promise<void>} a promise that resolves when the checks are complete or rejects if an error occurs
+     * @param {EmitFunction} [emit] a function to emit {@link MigratorEvents} through. Default is `() => {}`
+     * @param {boolean} [throwOnFailure=true] true if failed checks should throw, false if they should only be reported
+     * @throws a {@link IntegrityError} if the integrity or foreign key checks fail and throwOnFailure is true
+     * @returns {Promise<{integrity_errors: string[], foreign_key_violations: Object[]}>} a promise that resolves with the failures (empty if the checks passed) when the checks are complete or rejects if an error occurs
      */
-    async #verifyIntegrityAndForeignKeys(db, log = () => {}) {
-        log(colors.FgCyan('Running integrity and foreignkey checks:\n'));
+    async #verifyIntegrityAndForeignKeys(db, emit = () => {}, throwOnFailure = true) {
         const violations = await db.all('PRAGMA integrity_check');
+        const integrity_errors = [];
         if (violations.length > 0 && violations[0].integrity_check !== 'ok') {
-            log(colors.FgRed('Integrity check failed:') + '\n');
             for (const violation of violations) {
-                log(`  ${symbols.bullet} ${violation.integrity_check}\n`);
+                integrity_errors.push(violation.integrity_check);
             }
-            throw new IntegrityError('Integrity check failed: ' + violations);
         }
-        log(`  ${symbols.bullet} Integrity check passed ${symbols.success}\n`);
         const foreignKeyCheck = await db.all('PRAGMA foreign_key_check');
-        if (foreignKeyCheck.length > 0) {
-            log(colors.FgRed('Foreign key check failed:') + '\n');
-            for (const violation of foreignKeyCheck) {
-                log(
-                    `  ${symbols.bullet} ${Object.entries(violation)
-                        .map(([type, val]) => `${type}: ${val}`)
-                        .join('; ')}\n`,
-                );
-            }
+        emit('integrity:result', {
+            integrity_errors,
+            foreign_key_violations: foreignKeyCheck,
+            ok: integrity_errors.length === 0 && foreignKeyCheck.length === 0,
+        });
+        if (throwOnFailure && integrity_errors.length > 0) {
+            throw new IntegrityError('Integrity check failed: ' + violations);
+        }
+        if (throwOnFailure && foreignKeyCheck.length > 0) {
             throw new IntegrityError('Foreign key check failed: ' + foreignKeyCheck);
         }
-        log(`  ${symbols.bullet} Foreign key check passed ${symbols.success}\n`);
+        return { integrity_errors, foreign_key_violations: foreignKeyCheck };
     }
 
     /**
@@ -1361,6 +3396,23 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
                 }
             }
         }
+        if (typeof this.idStrategy !== 'function' && !ID_STRATEGIES.includes(this.idStrategy)) {
+            throw new ValidationError(
+                `Invalid id strategy: ${
+                    this.idStrategy
+                }. Must be a function or one of ${ID_STRATEGIES.join(', ')}`,
+            );
+        }
+        if (!(this.lockTimeout >= 0)) {
+            throw new ValidationError(
+                `Invalid lock timeout: ${this.lockTimeout}. Must be a non-negative number of milliseconds.`,
+            );
+        }
+        if (!Number.isInteger(this.backupRetention) || this.backupRetention < 0) {
+            throw new ValidationError(
+                `Invalid backup retention: ${this.backupRetention}. Must be a non-negative integer.`,
+            );
+        }
         if (!existsSync(this.schemaPath)) {
             throw new ValidationError(`Schema file not found: ${this.schemaPath}`);
         } else {
@@ -1374,20 +3426,96 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
         }
     }
 
+    /**
+     * Gets the indices, triggers, and views that are dropped or break when a table is dropped: the indices and triggers on the table,
+     * and the views and triggers that reference it directly or through other views.
+     * @private
+     * @param {Database} db the database to look up the dependents in
+     * @param {string} tableName the name of the table
+     * @returns {Promise<Array<{type: ('index'|'trigger'|'view'), name: string, sql: string}>>} the dependents in the order they were created
+     */
+    async #getTableDependents(db, tableName) {
+        const rows = await db.all(
+            `SELECT type, name, tbl_name, sql FROM sqlite_master WHERE type IN ('index', 'trigger', 'view') AND sql IS NOT NULL ORDER BY rowid`,
+        );
+        const references = name =>
+            new RegExp(`(^|[^\\w$])${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\w$])`, 'i');
+        const referenced = [references(tableName)];
+        const dependents = new Set();
+        // views can reference views that reference the table, so repeat until no new dependents are found
+        let found = true;
+        while (found) {
+            found = false;
+            for (const row of rows) {
+                if (dependents.has(row)) continue;
+                if (
+                    row.tbl_name.toLowerCase() === tableName.toLowerCase() ||
+                    (row.type !== 'index' && referenced.some(regex => regex.test(row.sql)))
+                ) {
+                    dependents.add(row);
+                    if (row.type === 'view') referenced.push(references(row.name));
+                    found = true;
+                }
+            }
+        }
+        return rows
+            .filter(row => dependents.has(row))
+            .map(({ type, name, sql }) => ({ type, name, sql }));
+    }
+
+    /**
+     * Gets the SQL statements of the 12 step procedure for changing the schema of a table, see https://www.sqlite.org/lang_altertable.html#otheralter.
+     * Foreign keys are deferred and the statements run in a transaction, which covers the remaining steps.
+     * @private
+     * @param {string} tableName the name of the table to rebuild
+     * @param {string} tempTableName an unused name for the table while it is being rebuilt
+     * @param {string} targetSQL the CREATE TABLE statement of the rebuilt table
+     * @param {string} transferColumns the quoted and comma separated columns to copy to the rebuilt table
+     * @param {Array<{type: string, name: string, sql: string}>} dependents the dependents of the table to recreate, see #getTableDependents()
+     * @returns {{rebuild: string[], recreate: string[], check: string[]}} the statements to rebuild the table, to recreate its dependents after, and to check the rebuilt table for foreign key violations
+     */
+    #getRebuildTableSQL(tableName, tempTableName, targetSQL, transferColumns, dependents) {
+        // the table name is embedded in an identifier and a string literal of the check
+        const constraintName = tableName.replaceAll('"', '""');
+        const tableLiteral = tableName.replaceAll("'", "''");
+        return {
+            rebuild: [
+                targetSQL.replace(tableName, tempTableName),
+                `INSERT INTO ${tempTableName} (${transferColumns}) SELECT ${transferColumns} FROM "${tableName}"`,
+                // views and triggers that reference the table stop the rename, so they are recreated after it too
+                ...dependents
+                    .filter(({ type }) => type !== 'index')
+                    .map(({ type, name }) => `DROP ${type.toUpperCase()} IF EXISTS "${name}"`),
+                `DROP TABLE "${tableName}"`,
+                `ALTER TABLE ${tempTableName} RENAME TO "${tableName}"`,
+            ],
+            recreate: dependents.map(({ sql }) => sql),
+            // PRAGMA foreign_key_check only reports violations, the CHECK constraint turns them into an error in both migration formats
+            check: [
+                `CREATE TEMP TABLE sam_foreign_key_check (violations INTEGER CONSTRAINT "foreign key violations in ${constraintName}" CHECK (violations = 0))`,
+                `INSERT INTO temp.sam_foreign_key_check SELECT count(*) FROM pragma_foreign_key_check('${tableLiteral}')`,
+                'DROP TABLE temp.sam_foreign_key_check',
+            ],
+        };
+    }
+
     /**
      * Takes two databases and migrates the tables from the old database to the new database.
      * @private
      * @param {Database} oldDB the old database to migrate from (will be modified in place)
      * @param {Database} newDB the new database to migrate to
      * @param {string[]} upStatements the steps to migrate the database up are appended to this array
-     * @param {string[]} downStatements the steps to migrate the database down are appended to this array
+     * @param {string[]} downStatements the steps to migrate the database down are prepended to this array, so they undo the up steps in reverse order
      * @param {string[]} manualMigrationReasons an array to append manual migration reasons to
+     * @param {Change[]} changes an array to append structured descriptions of the changes to
      * @param {Action} onRename how to handle autodetected column/table renames
      * @param {Action} onDestructiveChange how to handle irreversible changes like dropping tables/columns
      * @param {(s: string) => Promise<string>} prompt a function to prompt the user for input
      * @param {boolean} [onlyAmbiguousChanges=false] true if only renames (not creates, deletes or modifies) should be reflected in upStatements/downStatements and output, false otherwise
+     * @param {{[newName: string]: string}} [renames={}] the table and `<table>.<column>` renames to apply without prompting, see {@link MakeOptions}
+     * @param {number} [renameThreshold=1] the lowest confidence autodetected renames with a changed definition are accepted with when onRename is Migrator.PROCEED
      * @returns {Promise<{ addedTableNames: Set<string>, removedTableNames: Set<string>, modifiedTableNames: Set<string>, renamedTableNames: Map<string, string>, containsRenamedColumns: boolean }>}
-     * @effects modifies the upStatements, downStatements, and manualMigrationReasons arrays; applies the upStatements to the oldDB
+     * @effects modifies the upStatements, downStatements, manualMigrationReasons, and changes arrays; applies the upStatements to the oldDB
      */
     async #makeTables(
         oldDB,
@@ -1395,31 +3523,68 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
         upStatements,
         downStatements,
         manualMigrationReasons,
+        changes,
         onRename,
         onDestructiveChange,
         prompt,
         onlyAmbiguousChanges = false,
+        renames = {},
+        renameThreshold = 1,
     ) {
         const [oldTables, newTables] = await Promise.all([
             getTables(oldDB, this.ignoreNameCase),
             getTables(newDB, this.ignoreNameCase),
         ]);
 
-        if (newTables.has(this.migrationsTable)) {
-            throw new ValidationError(
-                `Table "${this.migrationsTable}" is reserved for migration metadata and not allowed in the schema file.`,
-            );
+        for (const reserved of [this.migrationsTable, `${this.migrationsTable}_log`]) {
+            if (newTables.has(reserved)) {
+                throw new ValidationError(
+                    `Table "${reserved}" is reserved for migration metadata and not allowed in the schema file.`,
+                );
+            }
         }
 
         const addedTableNames = setDifference(newTables.keys(), oldTables.keys());
         const removedTableNames = setDifference(oldTables.keys(), newTables.keys());
         const modifiedTableNames = mapDifference(oldTables, newTables);
-        const renamedTableNames = mappedDifference(
-            oldTables,
+
+        // hinted renames are authoritative, so they are taken out before detecting renames by definition
+        const hintedTableNames = new Map();
+        for (const [newTableName, oldTableName] of Object.entries(renames)) {
+            if (addedTableNames.has(newTableName) && removedTableNames.has(oldTableName)) {
+                hintedTableNames.set(oldTableName, newTableName);
+                addedTableNames.delete(newTableName);
+                removedTableNames.delete(oldTableName);
+            }
+        }
+
+        const [removedTableColumns, addedTableColumns] = await Promise.all(
+            [
+                [removedTableNames, oldDB],
+                [addedTableNames, newDB],
+            ].map(
+                async ([tableNames, db]) =>
+                    new Map(
+                        await Promise.all(
+                            [...tableNames].map(async tableName => [
+                                tableName,
+                                await getColumnInfo(tableName, db, this.ignoreNameCase),
+                            ]),
+                        ),
+                    ),
+            ),
+        );
+        const { pairs: renamedTableNames, scores: tableRenameConfidences } = bestUniquePairs(
             removedTableNames,
-            newTables,
             addedTableNames,
-            (a, b) => getCreateSQLBody(a) === getCreateSQLBody(b),
+            (oldTableName, newTableName) =>
+                TABLE_RENAME_CONFIDENCE(
+                    oldTableName,
+                    removedTableColumns.get(oldTableName),
+                    newTableName,
+                    addedTableColumns.get(newTableName),
+                ),
+            MIN_RENAME_CONFIDENCE,
         );
 
         await this.#resolveRenames(
@@ -1430,14 +3595,43 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
             prompt,
             manualMigrationReasons,
             'table',
+            tableRenameConfidences,
+            renameThreshold,
+            new Set(
+                [...renamedTableNames]
+                    .filter(
+                        ([oldTableName, newTableName]) =>
+                            getCreateSQLBody(oldTables.get(oldTableName)) ===
+                            getCreateSQLBody(newTables.get(newTableName)),
+                    )
+                    .map(([oldTableName]) => oldTableName),
+            ),
         );
+        for (const [oldTableName, newTableName] of hintedTableNames) {
+            renamedTableNames.set(oldTableName, newTableName);
+        }
+        for (const [oldTableName, newTableName] of renamedTableNames) {
+            // the definition can change with the name, so the columns are diffed after the rename
+            if (
+                getCreateSQLBody(oldTables.get(oldTableName)) !==
+                getCreateSQLBody(newTables.get(newTableName))
+            ) {
+                modifiedTableNames.add(newTableName);
+            }
+        }
 
         for (const [oldTableName, newTableName] of renamedTableNames) {
+            changes.push({
+                kind: 'renameTable',
+                table: newTableName,
+                before: oldTableName,
+                after: newTableName,
+            });
             if (oldTableName.toLowerCase() !== newTableName.toLowerCase()) {
                 upStatements.push(
                     `await db.run("ALTER TABLE \\"${oldTableName}\\" RENAME TO \\"${newTableName}\\"")`,
                 );
-                downStatements.push(
+                downStatements.unshift(
                     `await db.run("ALTER TABLE \\"${newTableName}\\" RENAME TO \\"${oldTableName}\\"")`,
                 );
                 await oldDB.run(`ALTER TABLE "${oldTableName}" RENAME TO "${newTableName}"`);
@@ -1452,7 +3646,7 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
                     `await db.run("ALTER TABLE \\"${oldTableName}\\" RENAME TO \\"${tempTableName}\\"")`,
                     `await db.run("ALTER TABLE \\"${tempTableName}\\" RENAME TO \\"${newTableName}\\"")`,
                 );
-                downStatements.push(
+                downStatements.unshift(
                     `await db.run("ALTER TABLE \\"${newTableName}\\" RENAME TO \\"${tempTableName}\\"")`,
                     `await db.run("ALTER TABLE \\"${tempTableName}\\" RENAME TO \\"${oldTableName}\\"")`,
                 );
@@ -1463,9 +3657,10 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
 
         for (const tableName of addedTableNames) {
             const sql = newTables.get(tableName);
+            changes.push({ kind: 'addTable', table: tableName, after: sql });
             if (!onlyAmbiguousChanges) upStatements.push(`await db.run("${unquoteSQL(sql)}")`);
             if (!onlyAmbiguousChanges)
-                downStatements.push(`await db.run("DROP TABLE \\"${tableName}\\"")`);
+                downStatements.unshift(`await db.run("DROP TABLE \\"${tableName}\\"")`);
             await oldDB.run(sql);
         }
 
@@ -1480,16 +3675,17 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
             }
             if (action === Migrator.PROCEED || action === Migrator.REQUIRE_MANUAL_MIGRATION) {
                 const sql = oldTables.get(tableName);
+                changes.push({ kind: 'removeTable', table: tableName, before: sql });
                 if (!onlyAmbiguousChanges)
                     upStatements.push(`await db.run("DROP TABLE \\"${tableName}\\"")`);
                 if (!onlyAmbiguousChanges)
-                    downStatements.push(`await db.run("${unquoteSQL(sql)}")`);
+                    downStatements.unshift(`await db.run("${unquoteSQL(sql)}")`);
                 await oldDB.run(`DROP TABLE "${tableName}"`);
             } else if (action === Migrator.SKIP) {
                 if (!onlyAmbiguousChanges)
                     upStatements.push(`// Skipped removing table "${tableName}"`);
                 if (!onlyAmbiguousChanges)
-                    downStatements.push(`// Skipped adding table "${tableName}"`);
+                    downStatements.unshift(`// Skipped adding table "${tableName}"`);
                 removedTableNames.delete(tableName);
             } else {
                 throw new ValidationError(`Invalid action: ${action}`);
@@ -1506,12 +3702,29 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
             const addedColumns = setDifference(newColumns.keys(), oldColumns.keys());
             const removedColumns = setDifference(oldColumns.keys(), newColumns.keys());
             const modifiedColumns = mapDifference(oldColumns, newColumns, IS_JSON_EQUAL);
-            const renamedColumns = mappedDifference(
-                oldColumns,
+
+            const hintedColumns = new Map();
+            for (const [name, oldColumnName] of Object.entries(renames)) {
+                if (!name.startsWith(`${tableName}.`)) continue;
+                const newColumnName = name.slice(tableName.length + 1);
+                if (addedColumns.has(newColumnName) && removedColumns.has(oldColumnName)) {
+                    hintedColumns.set(oldColumnName, newColumnName);
+                    addedColumns.delete(newColumnName);
+                    removedColumns.delete(oldColumnName);
+                }
+            }
+
+            const { pairs: renamedColumns, scores: columnRenameConfidences } = bestUniquePairs(
                 removedColumns,
-                newColumns,
                 addedColumns,
-                IS_JSON_EQUAL,
+                (oldColumnName, newColumnName) =>
+                    COLUMN_RENAME_CONFIDENCE(
+                        oldColumnName,
+                        oldColumns.get(oldColumnName),
+                        newColumnName,
+                        newColumns.get(newColumnName),
+                    ),
+                MIN_RENAME_CONFIDENCE,
             );
 
             await this.#resolveRenames(
@@ -1522,13 +3735,42 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
                 prompt,
                 manualMigrationReasons,
                 `table "${tableName}": column`,
+                columnRenameConfidences,
+                renameThreshold,
+                new Set(
+                    [...renamedColumns]
+                        .filter(([oldColumnName, newColumnName]) =>
+                            IS_JSON_EQUAL(
+                                oldColumns.get(oldColumnName),
+                                newColumns.get(newColumnName),
+                            ),
+                        )
+                        .map(([oldColumnName]) => oldColumnName),
+                ),
             );
+            for (const [oldColumnName, newColumnName] of hintedColumns) {
+                renamedColumns.set(oldColumnName, newColumnName);
+            }
+            for (const [oldColumnName, newColumnName] of renamedColumns) {
+                if (!IS_JSON_EQUAL(oldColumns.get(oldColumnName), newColumns.get(newColumnName))) {
+                    // the renamed column is compared under its new name from here on, e.g. to rebuild the table for a changed type
+                    oldColumns.set(newColumnName, oldColumns.get(oldColumnName));
+                    modifiedColumns.add(newColumnName);
+                }
+            }
 
             for (const [oldColumnName, newColumnName] of renamedColumns) {
                 containsRenamedColumns = true;
+                changes.push({
+                    kind: 'renameColumn',
+                    table: tableName,
+                    column: newColumnName,
+                    before: oldColumnName,
+                    after: newColumnName,
+                });
                 const sql = `ALTER TABLE "${tableName}" RENAME COLUMN "${oldColumnName}" TO "${newColumnName}"`;
                 upStatements.push(`await db.run("${unquoteSQL(sql)}")`);
-                downStatements.push(
+                downStatements.unshift(
                     `await db.run("ALTER TABLE \\"${tableName}\\" RENAME COLUMN \\"${newColumnName}\\" TO \\"${oldColumnName}\\"")`,
                 );
                 await oldDB.run(sql);
@@ -1550,7 +3792,7 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
                             `// Skipped removing column "${columnName}" of "${tableName}"`,
                         );
                     if (!onlyAmbiguousChanges)
-                        downStatements.push(
+                        downStatements.unshift(
                             `// Skipped adding column "${columnName}" of "${tableName}"`,
                         );
                     removedColumns.delete(columnName);
@@ -1559,6 +3801,46 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
                 }
             }
 
+            // table constraints aren't part of any column, so they are compared after the column renames are applied to the oldDB
+            const oldConstraints = parseTableDefinition(
+                await getTableSQL(oldDB, tableName),
+            ).constraints;
+            const newConstraints = parseTableDefinition(newTables.get(tableName)).constraints;
+            const addedConstraints = setDifference(newConstraints, oldConstraints);
+            const removedConstraints = setDifference(oldConstraints, newConstraints);
+
+            for (const columnName of removedColumns) {
+                changes.push({
+                    kind: 'removeColumn',
+                    table: tableName,
+                    column: columnName,
+                    before: oldColumns.get(columnName),
+                });
+            }
+            for (const columnName of addedColumns) {
+                changes.push({
+                    kind: 'addColumn',
+                    table: tableName,
+                    column: columnName,
+                    after: newColumns.get(columnName),
+                });
+            }
+            for (const columnName of modifiedColumns) {
+                changes.push({
+                    kind: 'modifyColumn',
+                    table: tableName,
+                    column: columnName,
+                    before: oldColumns.get(columnName),
+                    after: newColumns.get(columnName),
+                });
+            }
+            for (const constraint of removedConstraints) {
+                changes.push({ kind: 'removeConstraint', table: tableName, before: constraint });
+            }
+            for (const constraint of addedConstraints) {
+                changes.push({ kind: 'addConstraint', table: tableName, after: constraint });
+            }
+
             for (const columnName of addedColumns) {
                 const { notnull, dflt_value } = newColumns.get(columnName);
                 if (notnull && !dflt_value) {
@@ -1568,14 +3850,17 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
                 }
             }
 
-            let canUseAlterTable = modifiedColumns.size === 0; // if we can't, we'll have to use the 12 step process here: https://www.sqlite.org/lang_altertable.html
-            for (const columnName of addedColumns) {
-                const { fk } = newColumns.get(columnName);
-                canUseAlterTable = canUseAlterTable && !fk;
-            }
-            for (const columnName of removedColumns) {
-                const { fk } = oldColumns.get(columnName);
-                canUseAlterTable = canUseAlterTable && !fk;
+            let canUseAlterTable =
+                modifiedColumns.size === 0 &&
+                addedConstraints.size === 0 &&
+                removedConstraints.size === 0; // if we can't, we'll have to use the 12 step process here: https://www.sqlite.org/lang_altertable.html
+            // ALTER TABLE ADD COLUMN (also used to undo a DROP COLUMN) only adds the type, NOT NULL, DEFAULT, and PRIMARY KEY of a column
+            for (const { fk, check, collate, unique, generated } of [
+                ...[...addedColumns].map(columnName => newColumns.get(columnName)),
+                ...[...removedColumns].map(columnName => oldColumns.get(columnName)),
+            ]) {
+                canUseAlterTable =
+                    canUseAlterTable && !fk && !check && !collate && !unique && !generated;
             }
 
             if (onlyAmbiguousChanges) {
@@ -1587,7 +3872,7 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
                         notnull ? 'NOT NULL' : ''
                     } ${dflt_value ? `DEFAULT ${dflt_value}` : ''} ${pk ? 'PRIMARY KEY' : ''}`;
                     upStatements.push(`await db.run("${unquoteSQL(sql)}")`);
-                    downStatements.push(
+                    downStatements.unshift(
                         `await db.run("ALTER TABLE \\"${tableName}\\" DROP COLUMN \\"${columnName}\\"")`,
                     );
                     await oldDB.run(sql);
@@ -1597,7 +3882,7 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
                     const sql = `ALTER TABLE "${tableName}" DROP COLUMN "${columnName}"`;
                     upStatements.push(`await db.run("${unquoteSQL(sql)}")`);
                     const { type, notnull, dflt_value, pk } = oldColumns.get(columnName);
-                    downStatements.push(
+                    downStatements.unshift(
                         `await db.run("ALTER TABLE \\"${tableName}\\" ADD COLUMN \\"${columnName}\\" ${type} ${
                             notnull ? 'NOT NULL' : ''
                         } ${dflt_value ? `DEFAULT ${dflt_value}` : ''} ${
@@ -1616,41 +3901,74 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
                     tempTableName = `temp_${Math.random().toString(36).substring(2)}`;
                 } while (usedTableNames.has(tempTableName));
 
-                // === UP ===
-                {
-                    const createTempSQL = targetSQL.replace(tableName, tempTableName);
-                    const transferColumns = [...setDifference(newColumns.keys(), removedColumns)]
+                // the indices, triggers, and views to recreate since dropping the table drops or breaks them (step 3)
+                const dependents = await this.#getTableDependents(oldDB, tableName);
+
+                // only the columns that exist before and after the rebuild carry over (renamed columns already have their new names), except generated columns which can't be inserted into
+                const keptColumns = [...setDifference(newColumns.keys(), addedColumns)];
+                const transferColumns = isGenerated =>
+                    keptColumns
+                        .filter(s => !isGenerated(s))
                         .map(s => `"${s}"`)
                         .join(', ');
-                    const transferContentSQL = `INSERT INTO ${tempTableName} (${transferColumns}) SELECT ${transferColumns} FROM "${tableName}"`;
-                    const dropOldSQL = `DROP TABLE "${tableName}"`;
-                    const renameTempSQL = `ALTER TABLE ${tempTableName} RENAME TO "${tableName}"`;
-
-                    upStatements.push(`await db.run("${unquoteSQL(createTempSQL)}")`);
-                    upStatements.push(`await db.run("${unquoteSQL(transferContentSQL)}")`);
-                    upStatements.push(`await db.run("${unquoteSQL(dropOldSQL)}")`);
-                    upStatements.push(`await db.run("${unquoteSQL(renameTempSQL)}")`);
-
-                    await oldDB.run(createTempSQL);
-                    await oldDB.run(transferContentSQL);
-                    await oldDB.run(dropOldSQL);
-                    await oldDB.run(renameTempSQL);
+
+                // === UP ===
+                {
+                    const rebuildSQL = this.#getRebuildTableSQL(
+                        tableName,
+                        tempTableName,
+                        targetSQL,
+                        transferColumns(s => newColumns.get(s).generated),
+                        dependents,
+                    );
+                    for (const sql of rebuildSQL.rebuild) {
+                        upStatements.push(`await db.run("${unquoteSQL(sql)}")`);
+                        await oldDB.run(sql);
+                    }
+                    for (const [i, sql] of rebuildSQL.recreate.entries()) {
+                        const { type, name } = dependents[i];
+                        try {
+                            await oldDB.run(sql);
+                        } catch (err) {
+                            // indices on removed columns can't be recreated, the diff of the indices drops them
+                            const column = err.message.match(/no such column: (.+)$/)?.[1];
+                            const isRemovedColumn = [...removedColumns].some(
+                                c => c.toLowerCase() === column?.toLowerCase(),
+                            );
+                            if (type !== 'index' || !isRemovedColumn) {
+                                manualMigrationReasons.push(
+                                    `Could not recreate ${type} "${name}" after rebuilding table "${tableName}": ${err.message}`,
+                                );
+                            }
+                            continue;
+                        }
+                        upStatements.push(`await db.run("${unquoteSQL(sql)}")`);
+                    }
+                    upStatements.push(
+                        `// Check the rebuilt table "${tableName}" for foreign key violations`,
+                    );
+                    for (const sql of rebuildSQL.check) {
+                        upStatements.push(`await db.run("${unquoteSQL(sql)}")`);
+                        await oldDB.run(sql);
+                    }
                 }
 
                 // === DOWN ===
                 {
-                    const createTempSQL = currentSQL.replace(tableName, tempTableName);
-                    const transferColumns = [...setDifference(oldColumns.keys(), addedColumns)]
-                        .map(s => `"${s}"`)
-                        .join(', ');
-                    const transferContentSQL = `INSERT INTO ${tempTableName} (${transferColumns}) SELECT ${transferColumns} FROM "${tableName}"`;
-                    const dropOldSQL = `DROP TABLE "${tableName}"`;
-                    const renameTempSQL = `ALTER TABLE ${tempTableName} RENAME TO "${tableName}"`;
-
-                    downStatements.push(`await db.run("${unquoteSQL(createTempSQL)}")`);
-                    downStatements.push(`await db.run("${unquoteSQL(transferContentSQL)}")`);
-                    downStatements.push(`await db.run("${unquoteSQL(dropOldSQL)}")`);
-                    downStatements.push(`await db.run("${unquoteSQL(renameTempSQL)}")`);
+                    const rebuildSQL = this.#getRebuildTableSQL(
+                        tableName,
+                        tempTableName,
+                        currentSQL,
+                        transferColumns(s => (oldColumns.get(s) ?? newColumns.get(s)).generated),
+                        dependents,
+                    );
+                    downStatements.unshift(
+                        ...[...rebuildSQL.rebuild, ...rebuildSQL.recreate].map(
+                            sql => `await db.run("${unquoteSQL(sql)}")`,
+                        ),
+                        `// Check the rebuilt table "${tableName}" for foreign key violations`,
+                        ...rebuildSQL.check.map(sql => `await db.run("${unquoteSQL(sql)}")`),
+                    );
                 }
             }
 
@@ -1659,7 +3977,9 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
                 addedColumns.size === 0 &&
                 removedColumns.size === 0 &&
                 modifiedColumns.size === 0 &&
-                renamedColumns.size === 0
+                renamedColumns.size === 0 &&
+                addedConstraints.size === 0 &&
+                removedConstraints.size === 0
             ) {
                 modifiedTableNames.delete(tableName);
             }
@@ -1683,9 +4003,10 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
      * @param {string[]} upStatements the steps to migrate the database up are appended to this array
      * @param {string[]} downStatements the steps to migrate the database down are appended to this array
      * @param {string[]} manualMigrationReasons an array to append manual migration reasons to
+     * @param {Change[]} changes an array to append structured descriptions of the changes to
      * @param {(s: string) => Promise<string>} prompt a function to prompt the user for input
      * @returns {Promise<{ addedVirtualTables: string[], removedVirtualTables: string[] }>} the added and removed virtual tables
-     * @effects drops all virtual tables from the old database and new database; modifies the upStatements, downStatements, and manualMigrationReasons arrays
+     * @effects drops all virtual tables from the old database and new database; modifies the upStatements, downStatements, manualMigrationReasons, and changes arrays
      */
     async #makeVirtualTables(
         oldDB,
@@ -1694,6 +4015,7 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
         upStatements,
         downStatements,
         manualMigrationReasons,
+        changes,
         prompt,
     ) {
         const [oldVirtualTables, newVirtualTables] = await Promise.all([
@@ -1710,6 +4032,7 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
                 upStatements,
                 downStatements,
                 manualMigrationReasons,
+                changes,
                 prompt,
             );
 
@@ -1735,9 +4058,10 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
      * @param {string[]} upStatements the steps to migrate the database up are appended to this array
      * @param {string[]} downStatements the steps to migrate the database down are appended to this array
      * @param {string[]} manualMigrationReasons an array to append manual migration reasons to
+     * @param {Change[]} changes an array to append structured descriptions of the changes to
      * @param {(s: string) => Promise<string>} prompt a function to prompt the user for input
-     * @returns {Promise<{ added: string[], removed: string[] }>} the added and removed unalterables
-     * @effects modifies the upStatements, downStatements, and manualMigrationReasons arrays
+     * @returns {Promise<{ added: Set<string>, removed: Set<string>, renamed: Map<string, string> }>} the added and removed unalterables, and the map of old names to new names of the renamed views, triggers, and indices
+     * @effects modifies the upStatements, downStatements, manualMigrationReasons, and changes arrays
      */
     async #makeUnalterable(
         unalterables,
@@ -1748,11 +4072,29 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
         upStatements,
         downStatements,
         manualMigrationReasons,
+        changes,
         prompt,
     ) {
         const added = setDifference(newUnalterables.keys(), oldUnalterables.keys());
         const removed = setDifference(oldUnalterables.keys(), newUnalterables.keys());
         const modified = mapDifference(oldUnalterables, newUnalterables);
+
+        // an unchanged definition under a new name is a rename, which unlike a removal can't lose anything so it isn't prompted for
+        const { pairs: renamed } = bestUniquePairs(
+            unalterables === 'virtual tables' ? [] : removed,
+            added,
+            (oldName, newName) =>
+                getUnnamedSQL(oldUnalterables.get(oldName)) ===
+                getUnnamedSQL(newUnalterables.get(newName))
+                    ? 1
+                    : 0,
+            1,
+        );
+        for (const [oldName, newName] of renamed) {
+            removed.delete(oldName);
+            added.delete(newName);
+        }
+
         for (const name of modified) {
             added.add(name);
             removed.add(name);
@@ -1782,11 +4124,40 @@ ${downStatements.map(s => '    ' + s.trim() + ';').join('\n')}
                 throw new ValidationError(`Invalid action: ${action}`);
             }
         }
+        // views, triggers, and indices can't be renamed with ALTER, so a rename still drops and recreates them (rebuilding the index)
+        for (const [oldName] of renamed) {
+            upStatements.push(`await db.run("${dropSQL} \\"${oldName}\\"")`);
+            downStatements.push(`await db.run("${unquoteSQL(oldUnalterables.get(oldName))}")`);
+        }
         for (const name of added) {
             upStatements.push(`await db.run("${unquoteSQL(newUnalterables.get(name))}")`);
             downStatements.push(`await db.run("${dropSQL} \\"${name}\\"")`);
         }
+        for (const [, newName] of renamed) {
+            upStatements.push(`await db.run("${unquoteSQL(newUnalterables.get(newName))}")`);
+            downStatements.push(`await db.run("${dropSQL} \\"${newName}\\"")`);
+        }
+
+        const kind = UNALTERABLE_CHANGE_KINDS[unalterables];
+        for (const [oldName, newName] of renamed) {
+            changes.push({ kind: 'rename' + kind, name: newName, before: oldName, after: newName });
+        }
+        for (const name of removed) {
+            if (newUnalterables.has(name)) {
+                changes.push({
+                    kind: 'modify' + kind,
+                    name,
+                    before: oldUnalterables.get(name),
+                    after: newUnalterables.get(name),
+                });
+            } else {
+                changes.push({ kind: 'remove' + kind, name, before: oldUnalterables.get(name) });
+            }
+        }
+        for (const name of setDifference(added, oldUnalterables.keys())) {
+            changes.push({ kind: 'add' + kind, name, after: newUnalterables.get(name) });
+        }
 
-        return { added, removed };
+        return { added, removed, renamed };
     }
 }
@@ -30,6 +30,113 @@ export function parsePragmas(schema) {
     return pragmas;
 }
 
+/** Matches an identifier that is optionally quoted and prefixed with a schema name, capturing the unquoted name */
+const IDENTIFIER =
+    /^(?:(?:"[^"]+"|`[^`]+`|\[[^\]]+\]|[\w$]+)\.)?(?:"([^"]+)"|`([^`]+)`|\[([^\]]+)\]|([\w$]+))/;
+
+/** Matches a `-- sam:renamed-from <old name>` hint, capturing the (possibly quoted) old name */
+const RENAME_HINT = /^--\s*sam:renamed-from\s+(.+?)\s*$/;
+
+/** The keywords that start a table constraint rather than a column definition */
+const TABLE_CONSTRAINTS = ['constraint', 'primary', 'unique', 'check', 'foreign'];
+
+/**
+ * Parses the `-- sam:renamed-from <old name>` hints of a schema file. A hint renames the table or column defined on the same line, or, on a line of its own, on the next line.
+ * @param {string} schema the schema (string with semi-colon separated DDL SQL statements) to parse rename hints from
+ * @returns {{[newName: string]: string}} a map of new table names and `<table>.<column>` names to the names they were renamed from, e.g. `{ people: 'users', 'people.full_name': 'name' }`
+ */
+export function parseRenameHints(schema) {
+    const renames = {};
+    const unquote = text => {
+        const match = text.match(IDENTIFIER);
+        return match && match.slice(1).find(name => name !== undefined);
+    };
+    let table = null;
+    let depth = 0;
+    let hint = null;
+    for (const line of schema.split(/\r?\n/)) {
+        // blank out string literals and quoted names so their dashes, parentheses, and semicolons are not parsed
+        const masked = line.replace(/'[^']*'|"[^"]*"|`[^`]*`|\[[^\]]*\]/g, m =>
+            '_'.repeat(m.length),
+        );
+        const commentIX = masked.indexOf('--');
+        const code = (commentIX === -1 ? line : line.slice(0, commentIX)).trim();
+        const comment = commentIX === -1 ? '' : line.slice(commentIX).trim();
+        const oldName = comment.match(RENAME_HINT)?.[1];
+        if (oldName) hint = unquote(oldName);
+        if (!code) continue;
+
+        if (depth === 0) {
+            const match = code.match(
+                /^CREATE\s+(?:TEMP\w*\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(.*)$/i,
+            );
+            table = match ? unquote(match[1]) : null;
+            if (table && hint) renames[table] = hint;
+        } else if (depth === 1 && table) {
+            const column = unquote(code);
+            if (column && hint && !TABLE_CONSTRAINTS.includes(column.toLowerCase())) {
+                renames[`${table}.${column}`] = hint;
+            }
+        }
+        hint = null;
+
+        const codeMask = commentIX === -1 ? masked : masked.slice(0, commentIX);
+        depth += (codeMask.match(/\(/g) ?? []).length - (codeMask.match(/\)/g) ?? []).length;
+        if (depth <= 0 && codeMask.includes(';')) {
+            depth = 0;
+            table = null;
+        }
+    }
+    return renames;
+}
+
+/**
+ * Parses a SQL migration file into its pragmas, replaced migrations, transaction, and up/down SQL.
+ * @param {string} content the content of the migration file, split into sections by `-- pragmas`, `-- replaces`, `-- transaction`, `-- up`, and `-- down` header lines (anything before the first header is ignored)
+ * @returns {{ PRAGMAS: Object, REPLACES: string[], TRANSACTION?: string, up: string, down: string }} the pragmas set in the `-- pragmas` section, the `<id>_<name>` lines of the `-- replaces` section, the first line of the `-- transaction` section, and the SQL of the `-- up` and `-- down` sections
+ */
+export function parseSQLMigration(content) {
+    const sections = { pragmas: '', replaces: '', transaction: '', up: '', down: '' };
+    let section = null;
+    for (const line of content.split(/\r?\n/)) {
+        const header = line.match(SQL_MIGRATION_HEADER);
+        if (header) {
+            section = header[1];
+        } else if (section) {
+            sections[section] += line + '\n';
+        }
+    }
+
+    const PRAGMAS = {};
+    const pragmaRegex = /^\s*PRAGMA\s+(\w+)\s*=\s*(.+?)\s*;?\s*$/gim;
+    for (const [, pragma, value] of sections.pragmas.matchAll(pragmaRegex)) {
+        try {
+            PRAGMAS[pragma] = JSON.parse(value);
+        } catch {
+            PRAGMAS[pragma] = value;
+        }
+    }
+    const [REPLACES, [TRANSACTION]] = [sections.replaces, sections.transaction].map(section =>
+        section
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('--')),
+    );
+    return { PRAGMAS, REPLACES, TRANSACTION, up: sections.up.trim(), down: sections.down.trim() };
+}
+
+/**
+ * Checks if the content of a migration is in the SQL format rather than a JavaScript module.
+ * @param {string} content the content of the migration
+ * @returns {boolean} true if the content contains an `-- up` section header, false otherwise
+ */
+export function isSQLMigration(content) {
+    return content.split(/\r?\n/).some(line => line.match(SQL_MIGRATION_HEADER)?.[1] === 'up');
+}
+
+/** Matches the section headers of SQL migration files, e.g. `-- up` */
+const SQL_MIGRATION_HEADER = /^--\s*(up|down|pragmas|replaces|transaction)\s*$/;
+
 /**
  * Get the body of a CREATE TABLE statement.
  * @param {string} sql the normalized `sqlite_master.sql` column used to create a table
@@ -47,7 +154,173 @@ export function getCreateSQLBody(sql) {
     }
 }
 
-/** @typedef {{ type: string, notnull: number, dflt_value: string, pk: number, fk?: { table: string, column: string, on_update: string, on_delete: string, match: string } }} ColumnInfo */
+/**
+ * Get the definition of an index, view, or trigger without its name, so definitions can be compared regardless of their names.
+ * @param {string} sql the normalized `sqlite_master.sql` column used to create an index, view, or trigger
+ * @returns {string} the CREATE statement without the name, e.g. `CREATE INDEX ON users(name)`
+ */
+export function getUnnamedSQL(sql) {
+    return sql.replace(
+        /^(CREATE (?:UNIQUE )?(?:TEMP |TEMPORARY )?(?:INDEX|VIEW|TRIGGER) (?:IF NOT EXISTS )?)(?:"(?:[^"]|"")*"|[^\s(]+) ?/i,
+        '$1',
+    );
+}
+
+/**
+ * Splits SQL into tokens: words, quoted names and strings, parenthesized groups (kept whole), and other punctuation. Comments are dropped.
+ * @param {string} sql the SQL to tokenize
+ * @returns {string[]} the tokens
+ */
+function tokenizeSQL(sql) {
+    const tokens = [];
+    const closing = { "'": "'", '"': '"', '`': '`', '[': ']' };
+    let i = 0;
+    // skips past the quoted text or comment starting at j, returning the index after it
+    const skip = j => {
+        if (sql.startsWith('--', j)) {
+            const end = sql.indexOf('\n', j);
+            return end === -1 ? sql.length : end;
+        }
+        if (sql.startsWith('/*', j)) {
+            const end = sql.indexOf('*/', j);
+            return end === -1 ? sql.length : end + 2;
+        }
+        const close = closing[sql[j]];
+        j++;
+        while (j < sql.length) {
+            if (sql[j] === close && (close === ']' || sql[j + 1] !== close)) return j + 1;
+            j += sql[j] === close ? 2 : 1; // doubled quotes are escaped quotes
+        }
+        return j;
+    };
+    const isSkipped = j => sql[j] in closing || sql.startsWith('--', j) || sql.startsWith('/*', j);
+    while (i < sql.length) {
+        const char = sql[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (sql.startsWith('--', i) || sql.startsWith('/*', i)) {
+            i = skip(i);
+        } else if (char in closing) {
+            const end = skip(i);
+            tokens.push(sql.slice(i, end));
+            i = end;
+        } else if (char === '(') {
+            let depth = 0;
+            let j = i;
+            while (j < sql.length) {
+                if (isSkipped(j)) {
+                    j = skip(j);
+                    continue;
+                }
+                if (sql[j] === '(') depth++;
+                if (sql[j] === ')' && --depth === 0) break;
+                j++;
+            }
+            tokens.push(sql.slice(i, j + 1));
+            i = j + 1;
+        } else if (/[\w$,]/.test(char)) {
+            const word = sql.slice(i).match(/^(?:[\w$]+|,)/)[0];
+            tokens.push(word);
+            i += word.length;
+        } else {
+            // operators like `>=` are kept together
+            const operator =
+                sql.slice(i).match(/^[^\w$\s,'"`[(]+?(?=[\w$\s,'"`[(]|--|\/\*|$)/)?.[0] ?? char;
+            tokens.push(operator);
+            i += operator.length;
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Normalizes a SQL expression or constraint for comparison. Names and keywords are case insensitive, so everything but string literals is lowercased, and tokens are separated by single spaces.
+ * @param {string} sql the SQL to normalize, e.g. `CHECK (Age>=0)`
+ * @returns {string} the normalized SQL, e.g. `check (age >= 0)`
+ */
+function normalizeExpression(sql) {
+    return tokenizeSQL(sql)
+        .map(token => {
+            if (token.startsWith('(')) return `(${normalizeExpression(token.slice(1, -1))})`;
+            if (token.startsWith("'")) return token;
+            return token.replace(/^"(\w+)"$/, '$1').toLowerCase();
+        })
+        .join(' ')
+        .replace(/ ,/g, ',');
+}
+
+/**
+ * Unquotes a name token.
+ * @param {string} token the possibly quoted name, e.g. `"full name"`, `[full name]`, or `name`
+ * @returns {string} the name without quotes
+ */
+function unquoteName(token) {
+    const match = token.match(
+        /^(?:"((?:[^"]|"")*)"|`((?:[^`]|``)*)`|\[([^\]]*)\]|'((?:[^']|'')*)')$/,
+    );
+    if (!match) return token;
+    const [, double, backtick, bracket, single] = match;
+    return double?.replace(/""/g, '"') ?? backtick?.replace(/``/g, '`') ?? bracket ?? single;
+}
+
+/**
+ * Parses the parts of a CREATE TABLE statement that `PRAGMA table_xinfo` and `PRAGMA foreign_key_list` don't report: the CHECK, COLLATE, UNIQUE, and generated column constraints of each column and the table constraints.
+ * @param {string} sql the `sqlite_master.sql` column used to create the table
+ * @param {boolean} [ignoreCase=false] true if the column names should be lowercased, false otherwise
+ * @returns {{ columns: Map<string, ColumnConstraints>, constraints: Set<string> }} a map of column names to their constraints (only the ones that are set) and the set of normalized table constraints, e.g. `unique (name, age)`
+ */
+export function parseTableDefinition(sql, ignoreCase = false) {
+    const columns = new Map();
+    const constraints = new Set();
+    const body = tokenizeSQL(sql).find(token => token.startsWith('('));
+    if (!body) return { columns, constraints }; // e.g. CREATE TABLE ... AS SELECT
+
+    // split the body into its comma separated column definitions and table constraints
+    const definitions = [[]];
+    for (const token of tokenizeSQL(body.slice(1, -1))) {
+        if (token === ',') definitions.push([]);
+        else definitions[definitions.length - 1].push(token);
+    }
+
+    for (const [first, ...tokens] of definitions) {
+        if (first === undefined) continue;
+        if (TABLE_CONSTRAINTS.includes(first.toLowerCase())) {
+            constraints.add(normalizeExpression([first, ...tokens].join(' ')));
+            continue;
+        }
+        const name = unquoteName(first);
+        /** @type {ColumnConstraints} */
+        const column = {};
+        for (let i = 0; i < tokens.length; i++) {
+            switch (tokens[i].toUpperCase()) {
+                case 'CONSTRAINT':
+                case 'DEFAULT':
+                    i++; // skip the constraint name or default value
+                    break;
+                case 'CHECK':
+                    column.check = [...(column.check ?? []), normalizeExpression(tokens[++i])];
+                    break;
+                case 'COLLATE':
+                    column.collate = unquoteName(tokens[++i]).toUpperCase();
+                    break;
+                case 'UNIQUE':
+                    column.unique = true;
+                    break;
+                case 'AS': {
+                    const expression = normalizeExpression(tokens[++i]);
+                    const stored = tokens[i + 1]?.toUpperCase() === 'STORED';
+                    column.generated = { expression, stored };
+                    break;
+                }
+            }
+        }
+        columns.set(ignoreCase ? name.toLowerCase() : name, column);
+    }
+    return { columns, constraints };
+}
+
+/** @typedef {{ check?: string[], collate?: string, unique?: boolean, generated?: { expression: string, stored: boolean } }} ColumnConstraints */
+/** @typedef {{ type: string, notnull: number, dflt_value: string, pk: number, fk?: { table: string, column: string, on_update: string, on_delete: string, match: string } } & ColumnConstraints} ColumnInfo */
 /**
  *
  * @param {string} tableName name of the table to get column info for
@@ -56,11 +329,23 @@ export function getCreateSQLBody(sql) {
  * @returns {Promise<Map<string, ColumnInfo>>} a map of column names to their info
  */
 export async function getColumnInfo(tableName, db, ignoreCase = false) {
-    const info = await db.all(`PRAGMA table_info("${tableName}")`);
+    const info = await db.all(`PRAGMA table_xinfo("${tableName}")`);
     const foreignKeys = await db.all(`PRAGMA foreign_key_list("${tableName}")`);
+    const table = await db.get(
+        `SELECT sql FROM sqlite_master WHERE type='table' AND name = ? COLLATE NOCASE`,
+        tableName,
+    );
+    const { columns } = parseTableDefinition(table?.sql ?? '', true);
     const columnInfo = new Map();
-    for (const { name, type, notnull, dflt_value, pk } of info) {
-        columnInfo.set(ignoreCase ? name.toLowerCase() : name, { type, notnull, dflt_value, pk });
+    for (const { name, type, notnull, dflt_value, pk, hidden } of info) {
+        if (hidden === 1) continue; // hidden columns of virtual tables
+        columnInfo.set(ignoreCase ? name.toLowerCase() : name, {
+            type,
+            notnull,
+            dflt_value,
+            pk,
+            ...columns.get(name.toLowerCase()),
+        });
     }
     for (const { from: column, table, to, on_update, on_delete, match } of foreignKeys) {
         columnInfo.get(ignoreCase ? column.toLowerCase() : column).fk = {
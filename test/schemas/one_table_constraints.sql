@@ -0,0 +1,7 @@
+CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT COLLATE NOCASE,
+    age INTEGER CHECK (age >= 0),
+    birth_year INTEGER GENERATED ALWAYS AS (2026 - age) VIRTUAL,
+    UNIQUE (name, age)
+);
@@ -0,0 +1,10 @@
+CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT,
+    age TEXT,
+    parent_id INTEGER REFERENCES users (id)
+);
+CREATE INDEX users_name ON users (name);
+CREATE TRIGGER users_age AFTER UPDATE OF age ON users BEGIN SELECT 1; END;
+CREATE VIEW adults AS SELECT name FROM users WHERE age >= 18;
+CREATE VIEW adult_names AS SELECT name FROM adults;
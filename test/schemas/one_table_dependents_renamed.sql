@@ -0,0 +1,10 @@
+CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT,
+    age INTEGER,
+    parent_id INTEGER
+);
+CREATE INDEX idx_users_name ON users (name);
+CREATE TRIGGER users_age_updated AFTER UPDATE OF age ON users BEGIN SELECT 1; END;
+CREATE VIEW adults AS SELECT name FROM users WHERE age >= 18;
+CREATE VIEW grown_up_names AS SELECT name FROM adults;
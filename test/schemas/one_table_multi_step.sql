@@ -0,0 +1,6 @@
+CREATE TABLE people (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT,
+    age INTEGER,
+    email TEXT
+);
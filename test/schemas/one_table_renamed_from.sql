@@ -0,0 +1,6 @@
+-- sam:renamed-from users
+CREATE TABLE people (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    full_name TEXT NOT NULL DEFAULT '', -- sam:renamed-from name
+    age INTEGER
+);
@@ -0,0 +1,4 @@
+CREATE TABLE "o'neil" (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    age INTEGER
+);
@@ -0,0 +1,172 @@
+import { describe, it, beforeEach, after } from 'node:test'; // read about the builtin Node.js test framework here: https://nodejs.org/docs/latest-v18.x/api/test.html
+import assert from 'node:assert';
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CLI_PATH = path.join(__dirname, '../lib/cli.js');
+const CLI_DIR = path.join(__dirname, 'cli');
+
+const SCHEMA = `
+    CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);
+    CREATE TABLE posts (id INTEGER PRIMARY KEY, title TEXT);
+`;
+
+// the SAM_* variables of the environment running the tests would change the defaults of the CLI
+const ENV = Object.fromEntries(
+    Object.entries(process.env).filter(([key]) => !key.startsWith('SAM_')),
+);
+
+/**
+ * Runs `sam` in a child process with CLI_DIR as the working directory.
+ * @param {string[]} args the command line arguments
+ * @param {string[]} [answers=[]] the answers to type into the prompts, in order
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} the exit code and output of the process
+ */
+function sam(args, answers = []) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [CLI_PATH, ...args], {
+            cwd: CLI_DIR,
+            env: ENV,
+            timeout: 60000,
+        });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', data => (stdout += data));
+        child.stderr.on('data', data => {
+            stderr += data;
+            // the prompts end with a colon and wait for a line of input
+            if (String(data).endsWith(': ') && answers.length > 0) {
+                child.stdin.write(answers.shift() + '\n');
+            }
+        });
+        child.on('error', reject);
+        child.on('close', code => resolve({ code, stdout, stderr }));
+    });
+}
+
+await describe('sam', () => {
+    beforeEach(async () => {
+        fs.rmSync(CLI_DIR, { recursive: true, force: true });
+        fs.mkdirSync(CLI_DIR);
+        fs.writeFileSync(path.join(CLI_DIR, 'schema.sql'), SCHEMA);
+        fs.writeFileSync(path.join(CLI_DIR, 'data.db'), ''); // an empty file is an empty database
+    });
+
+    after(() => {
+        fs.rmSync(CLI_DIR, { recursive: true, force: true });
+    });
+
+    describe('arguments', () => {
+        it('should reject unknown flags', async () => {
+            const { code, stderr } = await sam(['status', '--bogus']);
+            assert.strictEqual(code, 2);
+            assert.match(stderr, /ValidationError/);
+            assert.match(stderr, /--bogus/);
+            assert.match(stderr, /sam status --help/);
+        });
+
+        it('should reject invalid flag values', async () => {
+            const { code, stderr } = await sam(['make', '--on-rename', 'MAYBE']);
+            assert.strictEqual(code, 2);
+            assert.match(stderr, /ValidationError/);
+            assert.match(stderr, /MAYBE/);
+        });
+
+        it('should reject a number of migrations to roll back that is not a positive integer', async () => {
+            for (const n of ['0', 'abc', '1.5']) {
+                const { code, stderr } = await sam(['rollback', n]);
+                assert.strictEqual(code, 2, `rollback ${n}`);
+                assert.match(stderr, /Must be a positive integer/);
+            }
+        });
+    });
+
+    describe('--json', () => {
+        it('should print errors as a JSON object on stdout', async () => {
+            const { code, stdout, stderr } = await sam(['rollback', 'abc', '--json']);
+            assert.strictEqual(code, 2);
+            const { error } = JSON.parse(stdout);
+            assert.strictEqual(error.name, 'ValidationError');
+            assert.match(error.message, /Must be a positive integer/);
+            assert.strictEqual(stderr, '');
+        });
+
+        it('should write prompts to stderr to keep stdout parseable', async () => {
+            assert.strictEqual((await sam(['make'])).code, 0);
+            assert.strictEqual((await sam(['migrate'])).code, 0);
+            fs.writeFileSync(
+                path.join(CLI_DIR, 'schema.sql'),
+                SCHEMA.replace('name TEXT', 'full_name TEXT'),
+            );
+
+            const { code, stdout, stderr } = await sam(['diff', '--json'], ['y']);
+            assert.strictEqual(code, 0);
+            assert.match(stderr, /rename/);
+            const changes = JSON.parse(stdout);
+            assert.deepStrictEqual(
+                changes.map(change => change.kind),
+                ['renameColumn'],
+            );
+        });
+    });
+
+    describe('exit codes', () => {
+        it('should exit with 3 when a manual migration is required', async () => {
+            assert.strictEqual((await sam(['make'])).code, 0);
+            assert.strictEqual((await sam(['migrate'])).code, 0);
+            fs.writeFileSync(
+                path.join(CLI_DIR, 'schema.sql'),
+                'CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT);',
+            );
+
+            const args = ['make', '--on-destructive-change', 'REQUIRE_MANUAL_MIGRATION'];
+            const { code, stderr } = await sam(args);
+            assert.strictEqual(code, 3);
+            assert.match(stderr, /ManualMigrationRequired/);
+        });
+
+        it('should exit with 4 when a migration is rolled back', async () => {
+            const args = ['migrate', '--migrations', '../invalid_migrations'];
+            const { code, stderr } = await sam(args);
+            assert.strictEqual(code, 4);
+            assert.match(stderr, /RolledBackTransaction/);
+        });
+
+        it('should exit with 5 when a dry run finds integrity errors', async () => {
+            const args = [
+                'migrate',
+                '--dry-run',
+                '--migrations',
+                '../foreign_key_violation_migration',
+            ];
+            const { code } = await sam(args);
+            assert.strictEqual(code, 5);
+        });
+
+        it('should exit with 6 when the lock is not released in time', async () => {
+            fs.writeFileSync(path.join(CLI_DIR, 'data.db.lock'), '{"pid":0}');
+            const { code, stderr } = await sam(['migrate', '--lock-timeout', '50']);
+            assert.strictEqual(code, 6);
+            assert.match(stderr, /LockTimeoutError/);
+        });
+
+        it('should exit with 7 when sam check finds problems', async () => {
+            fs.mkdirSync(path.join(CLI_DIR, 'migrations'));
+            assert.strictEqual((await sam(['make'])).code, 0);
+            const [file] = fs.readdirSync(path.join(CLI_DIR, 'migrations'));
+            fs.copyFileSync(
+                path.join(CLI_DIR, 'migrations', file),
+                path.join(CLI_DIR, 'migrations', file.replace(/^\d+/, '0002')),
+            );
+
+            const { code, stdout } = await sam(['check']);
+            assert.strictEqual(code, 7);
+            assert.match(stdout, /Missing migration ids: 0001/);
+            assert.strictEqual((await sam(['check', '--json'])).code, 7);
+        });
+    });
+});
@@ -1,6 +1,9 @@
 import { describe, it, before, beforeEach, after } from 'node:test'; // read about the builtin Node.js test framework here: https://nodejs.org/docs/latest-v18.x/api/test.html
 import assert from 'node:assert';
 
+import fs from 'node:fs';
+import path from 'node:path';
+
 import sqlite3 from 'sqlite3';
 import { Database } from '../lib/database.mjs';
 
@@ -413,6 +416,148 @@ describe('Database', () => {
         });
     });
 
+    describe('backup', () => {
+        const BACKUP_PATH = './test/backups/database_backup.db';
+        beforeEach(() => {
+            fs.rmSync(BACKUP_PATH, { force: true });
+            fs.mkdirSync(path.dirname(BACKUP_PATH), { recursive: true });
+        });
+        after(() => {
+            fs.rmSync(BACKUP_PATH, { force: true });
+        });
+
+        it('should copy the database into a file', async () => {
+            const db = await Database.connect(':memory:');
+            await db.exec(`
+                CREATE TABLE test (id INTEGER PRIMARY KEY, name TEXT);
+                INSERT INTO test (name) VALUES ('test');
+            `);
+            await db.backup(BACKUP_PATH);
+            await db.close();
+
+            const copy = await Database.connect(BACKUP_PATH);
+            assert.deepStrictEqual(await copy.all('SELECT * FROM test'), [{ id: 1, name: 'test' }]);
+            await copy.close();
+        });
+
+        it('should overwrite an existing database file', async () => {
+            const old = await Database.connect(BACKUP_PATH);
+            await old.run('CREATE TABLE old (id INTEGER PRIMARY KEY)');
+            await old.close();
+
+            const db = await Database.connect(':memory:');
+            await db.run('CREATE TABLE test (id INTEGER PRIMARY KEY)');
+            await db.backup(BACKUP_PATH);
+            await db.close();
+
+            const copy = await Database.connect(BACKUP_PATH);
+            const tables = await copy.all("SELECT name FROM sqlite_master WHERE type = 'table'");
+            assert.deepStrictEqual(tables, [{ name: 'test' }]);
+            await copy.close();
+        });
+
+        it('should copy the database in steps and report progress', async () => {
+            const db = await Database.connect(':memory:');
+            await db.exec(`
+                CREATE TABLE test (id INTEGER PRIMARY KEY, name TEXT);
+                WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 1000)
+                INSERT INTO test (name) SELECT printf('%0500d', i) FROM n;
+            `);
+            const progress = [];
+            await db.backup(BACKUP_PATH, { pagesPerStep: 10, onProgress: p => progress.push(p) });
+            await db.close();
+
+            assert.ok(progress.length > 1);
+            assert.strictEqual(progress.at(-1).remaining, 0);
+            assert.ok(progress.every(p => p.pageCount === progress[0].pageCount));
+
+            const copy = await Database.connect(BACKUP_PATH);
+            assert.deepStrictEqual(await copy.get('SELECT COUNT(*) AS count FROM test'), {
+                count: 1000,
+            });
+            await copy.close();
+        });
+    });
+
+    describe('transaction', () => {
+        it('should commit when the function resolves', async () => {
+            const db = await Database.connect(':memory:');
+            await db.run('CREATE TABLE test (id INTEGER PRIMARY KEY)');
+            const result = await db.transaction(async tx => {
+                await tx.run('INSERT INTO test (id) VALUES (1)');
+                return 'done';
+            }, 'IMMEDIATE');
+            assert.strictEqual(result, 'done');
+            assert.deepStrictEqual(await db.all('SELECT * FROM test'), [{ id: 1 }]);
+            await db.close();
+        });
+
+        it('should roll back when the function throws', async () => {
+            const db = await Database.connect(':memory:');
+            await db.run('CREATE TABLE test (id INTEGER PRIMARY KEY)');
+            await assert.rejects(
+                db.transaction(async tx => {
+                    await tx.run('INSERT INTO test (id) VALUES (1)');
+                    throw new Error('oops');
+                }),
+                { message: 'oops' },
+            );
+            assert.deepStrictEqual(await db.all('SELECT * FROM test'), []);
+            await db.close();
+        });
+
+        it('should only roll back the nested savepoint when a nested function throws', async () => {
+            const db = await Database.connect(':memory:');
+            await db.run('CREATE TABLE test (id INTEGER PRIMARY KEY)');
+            await db.transaction(async tx => {
+                await tx.run('INSERT INTO test (id) VALUES (1)');
+                await assert.rejects(
+                    tx.transaction(async tx => {
+                        await tx.run('INSERT INTO test (id) VALUES (2)');
+                        await tx.transaction(async tx =>
+                            tx.run('INSERT INTO test (id) VALUES (3)'),
+                        );
+                        throw new Error('oops');
+                    }),
+                );
+                await tx.transaction(async tx => tx.run('INSERT INTO test (id) VALUES (4)'));
+            }, 'EXCLUSIVE');
+            assert.deepStrictEqual(await db.all('SELECT * FROM test'), [{ id: 1 }, { id: 4 }]);
+            await db.close();
+        });
+
+        it('should error on an invalid mode', async () => {
+            const db = await Database.connect(':memory:');
+            await assert.rejects(db.transaction(async () => {}, 'LATER'));
+            await db.close();
+        });
+    });
+
+    describe('serialize and deserialize', () => {
+        it('should clone a database through a buffer', async () => {
+            const db = await Database.connect(':memory:');
+            await db.exec(`
+                CREATE TABLE test (id INTEGER PRIMARY KEY, name TEXT);
+                INSERT INTO test (name) VALUES ('test');
+            `);
+            const buffer = await db.serialize();
+            await db.close();
+            assert.strictEqual(buffer.subarray(0, 15).toString(), 'SQLite format 3');
+
+            const clone = await Database.deserialize(buffer);
+            assert.deepStrictEqual(await clone.all('SELECT * FROM test'), [
+                { id: 1, name: 'test' },
+            ]);
+            await clone.run("INSERT INTO test (name) VALUES ('clone')");
+            assert.strictEqual((await clone.all('SELECT * FROM test')).length, 2);
+            await clone.close();
+        });
+
+        it('should error when deserializing an invalid buffer', async () => {
+            await assert.rejects(Database.deserialize(Buffer.from('not a database')));
+        });
+    });
+
     describe('errors', () => {
         it('should not allow calling the constructor directly', () => {
             assert.throws(() => new Database());
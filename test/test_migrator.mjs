@@ -7,6 +7,7 @@ events.setMaxListeners(0); // Disable the max listener warning since it happens
 import readline from 'node:readline';
 
 import fs from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -58,13 +59,20 @@ const CLEAR_DB = `
 await describe('Migrator', () => {
     // Mock the migrate/make methods to suppress output
     const originalMigrate = Migrator.prototype.migrate;
-    Migrator.prototype.migrate = mock.fn(Migrator.prototype.migrate, async function (target) {
-        return originalMigrate.call(this, target, {}, () => {});
-    });
+    Migrator.prototype.migrate = mock.fn(
+        Migrator.prototype.migrate,
+        async function (target, options = {}) {
+            return originalMigrate.call(this, target, options, () => {});
+        },
+    );
     const originalMake = Migrator.prototype.make;
     Migrator.prototype.make = mock.fn(Migrator.prototype.make, async function (options) {
         return originalMake.call(this, options, () => {});
     });
+    const originalDiff = Migrator.prototype.diff;
+    Migrator.prototype.diff = mock.fn(Migrator.prototype.diff, async function (options) {
+        return originalDiff.call(this, options, () => {});
+    });
 
     describe('constructor', () => {
         before(async () => {
@@ -275,6 +283,143 @@ await describe('Migrator', () => {
             await assert.rejects(migrator.migrate('0007'), { name: 'ValidationError' });
             await assert.rejects(migrator.migrate('-0001'), { name: 'ValidationError' });
         });
+
+        it('should report the applied migrations and pragmas that were set', async () => {
+            const result = await migrator.migrate('0001');
+            assert.strictEqual(result.dry_run, false);
+            assert.strictEqual(result.target, '0001');
+            assert.deepStrictEqual(result.applied_migrations, [
+                { id: '0000', name: 'sample_migration' },
+                { id: '0001', name: 'set_pragmas' },
+            ]);
+            assert.deepStrictEqual(result.undone_migrations, []);
+            assert.strictEqual(result.pragmas.journal_mode, 'wal');
+            assert.deepStrictEqual(result.integrity_errors, []);
+            assert.deepStrictEqual(result.foreign_key_violations, []);
+        });
+
+        it('should not modify the database in a dry run', async () => {
+            await migrator.migrate('0000');
+            const result = await migrator.migrate('0003', { dryRun: true });
+            assert.strictEqual(result.dry_run, true);
+            assert.deepStrictEqual(
+                result.applied_migrations.map(m => m.id),
+                ['0001', '0002', '0003'],
+            );
+            assert.strictEqual(result.pragmas.journal_mode, 'wal');
+
+            const db = await Database.connect(VALID_OPTIONS.dbPath);
+            const rows = await db.all('SELECT * FROM migrations');
+            assert.strictEqual(rows.length, 1);
+            assert.rejects(db.get('SELECT * FROM users'));
+            const { journal_mode } = await db.get('PRAGMA journal_mode');
+            assert.strictEqual(journal_mode.toLowerCase(), 'delete');
+            await db.close();
+        });
+
+        it('should report the migrations that would be undone in a dry run', async () => {
+            await migrator.migrate('0003');
+            const result = await migrator.migrate('0001', { dryRun: true });
+            assert.deepStrictEqual(
+                result.undone_migrations.map(m => m.id),
+                ['0003', '0002'],
+            );
+            assert.deepStrictEqual(result.applied_migrations, []);
+
+            const db = await Database.connect(VALID_OPTIONS.dbPath);
+            const rows = await db.all('SELECT * FROM migrations');
+            assert.strictEqual(rows.length, 4);
+            await db.close();
+        });
+
+        it('should migrate to targets relative to the current migration', async () => {
+            await migrator.migrate('0003');
+            assert.strictEqual((await migrator.migrate('-1')).target, '0002');
+            assert.strictEqual((await migrator.status()).current_id, '0002');
+            assert.strictEqual((await migrator.migrate('+2')).target, '0004');
+            assert.strictEqual((await migrator.status()).current_id, '0004');
+            await assert.rejects(migrator.migrate('+3'), { name: 'ValidationError' });
+            await assert.rejects(migrator.migrate('-6'), { name: 'ValidationError' });
+            assert.strictEqual((await migrator.migrate('-5')).target, 'zero');
+            assert.strictEqual((await migrator.status()).current_id, 'zero');
+        });
+
+        it('should roll back the latest migrations', async () => {
+            await migrator.migrate('0003');
+            const result = await migrator.rollback(2, {}, () => {});
+            assert.deepStrictEqual(
+                result.undone_migrations.map(m => m.id),
+                ['0003', '0002'],
+            );
+            assert.strictEqual((await migrator.status()).current_id, '0001');
+            await migrator.rollback(undefined, {}, () => {});
+            assert.strictEqual((await migrator.status()).current_id, '0000');
+            await assert.rejects(
+                migrator.rollback(0, {}, () => {}),
+                { name: 'ValidationError' },
+            );
+            await assert.rejects(
+                migrator.rollback(2, {}, () => {}),
+                { name: 'ValidationError' },
+            );
+        });
+
+        it('should undo and reapply the latest migration when redoing', async () => {
+            await assert.rejects(
+                migrator.redo({}, () => {}),
+                { name: 'ValidationError' },
+            );
+            await migrator.migrate('0002');
+            const result = await migrator.redo({}, () => {});
+            assert.deepStrictEqual(result.undone_migrations, [
+                { id: '0002', name: 'create_tables_with_foreignkeys' },
+            ]);
+            assert.deepStrictEqual(result.applied_migrations, [
+                { id: '0002', name: 'create_tables_with_foreignkeys' },
+            ]);
+            const db = await Database.connect(VALID_OPTIONS.dbPath);
+            assert.strictEqual((await db.all('SELECT * FROM migrations')).length, 3);
+            await db.all('SELECT * FROM users');
+            await db.close();
+        });
+
+        it('should only update the migrations table when faking migrations', async () => {
+            await migrator.migrate('0001');
+            const db = await Database.connect(VALID_OPTIONS.dbPath);
+            // hotfix 0002 by hand
+            await db.exec(`
+                CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, age INTEGER);
+                CREATE TABLE foreignkeytousers (
+                    id INTEGER PRIMARY KEY,
+                    user_id INTEGER,
+                    FOREIGN KEY(user_id) REFERENCES users(id)
+                );
+            `);
+            await db.close();
+
+            const result = await migrator.migrate('0002', { fake: true });
+            assert.strictEqual(result.fake, true);
+            assert.deepStrictEqual(
+                result.applied_migrations.map(m => m.id),
+                ['0002'],
+            );
+            assert.strictEqual(result.has_tampered_data, false);
+            const status = await migrator.status();
+            assert.strictEqual(status.current_id, '0002');
+            assert.strictEqual(status.has_tampered_data, false);
+
+            const result2 = await migrator.migrate('0001', { fake: true });
+            assert.deepStrictEqual(
+                result2.undone_migrations.map(m => m.id),
+                ['0002'],
+            );
+            assert.strictEqual(result2.has_tampered_data, true);
+            const db2 = await Database.connect(VALID_OPTIONS.dbPath);
+            assert.strictEqual((await db2.all('SELECT * FROM migrations')).length, 2);
+            await db2.all('SELECT * FROM users');
+            await db2.close();
+            assert.strictEqual((await migrator.status()).has_tampered_data, true);
+        });
     });
 
     describe('branch change migrate()', () => {
@@ -379,9 +524,147 @@ await describe('Migrator', () => {
             await assert.rejects(migrator.migrate('zero'), { name: 'RolledBackTransaction' });
         });
 
-        it('should throw an IntegrityError on foreign_key violation', async () => {
+        it('should rollback on foreign_key violation', async () => {
+            const migrator = new Migrator(FOREIGN_KEY_VIOLATION_OPTIONS);
+            await assert.rejects(migrator.migrate('0000'), error => {
+                assert.strictEqual(error.name, 'RolledBackTransaction');
+                assert.strictEqual(error.cause.name, 'IntegrityError');
+                return true;
+            });
+
+            // only the audit log of the rolled back attempt remains
+            const db = await Database.connect(FOREIGN_KEY_VIOLATION_OPTIONS.dbPath);
+            const sqlmaster = await db.all('SELECT name FROM sqlite_master');
+            assert.deepStrictEqual(
+                sqlmaster.map(s => s.name),
+                ['migrations_log'],
+            );
+            await db.close();
+        });
+
+        it('should report foreign key violations instead of throwing in a dry run', async () => {
             const migrator = new Migrator(FOREIGN_KEY_VIOLATION_OPTIONS);
-            await assert.rejects(migrator.migrate('0000'), { name: 'IntegrityError' });
+            const result = await migrator.migrate('0000', { dryRun: true });
+            assert.ok(result.foreign_key_violations.length > 0);
+
+            const db = await Database.connect(VALID_OPTIONS.dbPath);
+            const sqlmaster = await db.all('SELECT * FROM sqlite_master');
+            assert.strictEqual(sqlmaster.length, 0);
+            await db.close();
+        });
+
+        it('should throw a RolledBackTransaction if a migration fails in a dry run', async () => {
+            const migrator = new Migrator(INVALID_OPTIONS);
+            await assert.rejects(migrator.migrate('0002', { dryRun: true }), {
+                name: 'RolledBackTransaction',
+            });
+        });
+    });
+
+    describe('migrate() with per-migration transactions', () => {
+        const writeMigration = (file, content) =>
+            fs.writeFileSync(path.join(MAKE_OPTIONS.migrationsPath, file), content);
+        const migration = (transaction, up, down = '') => `
+            export const PRAGMAS = {};
+            export const TRANSACTION = ${JSON.stringify(transaction)};
+            export async function up(db) { ${up} }
+            export async function down(db) { ${down} }
+        `;
+
+        beforeEach(async () => {
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.exec(CLEAR_DB);
+            await db.close();
+
+            fs.rmSync(MAKE_OPTIONS.migrationsPath, { recursive: true, force: true });
+            fs.mkdirSync(MAKE_OPTIONS.migrationsPath);
+        });
+
+        it('should run migrations without a transaction outside of it', async () => {
+            writeMigration(
+                '0000_wal.sql',
+                [
+                    '-- transaction',
+                    'none',
+                    '',
+                    '-- up',
+                    'PRAGMA journal_mode = WAL;',
+                    '',
+                    '-- down',
+                    'PRAGMA journal_mode = DELETE;',
+                ].join('\n'),
+            );
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await migrator.migrate();
+            let db = await Database.connect(MAKE_OPTIONS.dbPath);
+            assert.deepStrictEqual(await db.get('PRAGMA journal_mode'), { journal_mode: 'wal' });
+            await db.close();
+            assert.strictEqual((await migrator.status()).current_id, '0000');
+
+            await migrator.migrate('zero');
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            assert.deepStrictEqual(await db.get('PRAGMA journal_mode'), { journal_mode: 'delete' });
+            await db.close();
+        });
+
+        it('should check foreign keys after a last migration without a transaction', async () => {
+            writeMigration(
+                '0000_orphan.mjs',
+                migration(
+                    'none',
+                    `await db.run('CREATE TABLE parents (id INTEGER PRIMARY KEY)');
+                    await db.run('CREATE TABLE children (id INTEGER PRIMARY KEY, parent_id INTEGER REFERENCES parents (id))');
+                    await db.run('INSERT INTO children (parent_id) VALUES (42)');`,
+                ),
+            );
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await assert.rejects(migrator.migrate(), { name: 'IntegrityError' });
+        });
+
+        it('should keep migrations with their own transaction when a later migration fails', async () => {
+            writeMigration(
+                '0000_notes.mjs',
+                migration('own', "await db.run('CREATE TABLE notes (id INTEGER PRIMARY KEY)');"),
+            );
+            writeMigration(
+                '0001_tags.mjs',
+                migration('shared', "await db.run('CREATE TABLE tags (id INTEGER PRIMARY KEY)');"),
+            );
+            writeMigration('0002_broken.mjs', migration('shared', "await db.run('INVALID SQL');"));
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await assert.rejects(migrator.migrate(), error => {
+                assert.strictEqual(error.name, 'RolledBackTransaction');
+                assert.match(error.message, /partially migrated/);
+                return true;
+            });
+
+            const status = await migrator.status();
+            assert.strictEqual(status.current_id, '0000');
+            assert.strictEqual(status.has_tampered_data, false);
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            const tables = await db.all(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('notes', 'tags')",
+            );
+            assert.deepStrictEqual(tables, [{ name: 'notes' }]);
+            await db.close();
+        });
+
+        it('should skip migrations without a transaction in a dry run', async () => {
+            writeMigration('0000_vacuum.mjs', migration('none', "await db.run('VACUUM');"));
+            writeMigration(
+                '0001_notes.mjs',
+                migration('shared', "await db.run('CREATE TABLE notes (id INTEGER PRIMARY KEY)');"),
+            );
+            const migrator = new Migrator(MAKE_OPTIONS);
+            const result = await migrator.migrate('latest', { dryRun: true });
+            assert.strictEqual(result.applied_migrations.length, 2);
+            assert.strictEqual((await migrator.status()).current_id, 'zero');
+        });
+
+        it('should throw a ValidationError on an invalid TRANSACTION', async () => {
+            writeMigration('0000_invalid.mjs', migration('always', ''));
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await assert.rejects(migrator.migrate(), { name: 'ValidationError' });
         });
     });
 
@@ -409,9 +692,14 @@ await describe('Migrator', () => {
                 ...MAKE_OPTIONS,
                 schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
             });
-            await migrator.make();
+            const result = await migrator.make();
             const files = fs.readdirSync(MAKE_OPTIONS.migrationsPath);
             assert.strictEqual(files.length, 1);
+            assert.strictEqual(result.file_path, path.join(MAKE_OPTIONS.migrationsPath, files[0]));
+            assert.deepStrictEqual(
+                result.changes.map(change => change.kind),
+                ['addTable'],
+            );
         });
 
         it('should create a working up migration for one table', async () => {
@@ -452,7 +740,8 @@ await describe('Migrator', () => {
                 schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
             });
             await migrator2.make();
-            await migrator2.make();
+            const result = await migrator2.make();
+            assert.deepStrictEqual(result, { file_path: null, changes: [] });
             const files2 = fs.readdirSync(MAKE_OPTIONS.migrationsPath);
             assert.strictEqual(files2.length, 1);
         });
@@ -625,25 +914,55 @@ await describe('Migrator', () => {
             await db.close();
         });
 
-        it('should handle changing a column type', async () => {
+        it('should apply the renamed-from hints of the schema file without prompting', async () => {
             const migrator = new Migrator({
                 ...MAKE_OPTIONS,
                 schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
             });
             await migrator.make();
+            await migrator.migrate();
+            let db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.run("INSERT INTO users (name, age) VALUES ('Alice', 30)");
+            await db.close();
+
             const migrator2 = new Migrator({
                 ...MAKE_OPTIONS,
-                schemaPath: path.join(__dirname, 'schemas/one_table_change_column_type.sql'),
+                schemaPath: path.join(__dirname, 'schemas/one_table_renamed_from.sql'),
             });
-            await migrator2.make();
+            const { changes } = await migrator2.make({
+                onRename: Migrator.REQUIRE_MANUAL_MIGRATION,
+                onDestructiveChange: Migrator.REQUIRE_MANUAL_MIGRATION,
+            });
+            assert.deepStrictEqual(
+                changes.filter(change => change.kind.startsWith('rename')),
+                [
+                    { kind: 'renameTable', table: 'people', before: 'users', after: 'people' },
+                    {
+                        kind: 'renameColumn',
+                        table: 'people',
+                        column: 'full_name',
+                        before: 'name',
+                        after: 'full_name',
+                    },
+                ],
+            );
             await migrator2.migrate();
-            const db = await Database.connect(MAKE_OPTIONS.dbPath);
-            const rows = await db.all('SELECT id, name, age FROM users');
-            assert.strictEqual(rows.length, 0);
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            assert.deepStrictEqual(await db.all('SELECT id, full_name, age FROM people'), [
+                { id: 1, full_name: 'Alice', age: 30 },
+            ]);
+            await db.close();
+            assert.strictEqual((await migrator2.status()).has_schema_changes, false);
+
+            await migrator2.migrate('0000');
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            assert.deepStrictEqual(await db.all('SELECT id, name, age FROM users'), [
+                { id: 1, name: 'Alice', age: 30 },
+            ]);
             await db.close();
         });
 
-        it('should handle changing primary key', async () => {
+        it('should apply the renames option without prompting', async () => {
             const migrator = new Migrator({
                 ...MAKE_OPTIONS,
                 schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
@@ -651,118 +970,517 @@ await describe('Migrator', () => {
             await migrator.make();
             const migrator2 = new Migrator({
                 ...MAKE_OPTIONS,
-                schemaPath: path.join(__dirname, 'schemas/one_table_primarykey_change.sql'),
+                schemaPath: path.join(__dirname, 'schemas/one_table_column_rename.sql'),
             });
-            await migrator2.make();
+            await assert.rejects(migrator2.make({ renames: { 'users.username': 42 } }), {
+                name: 'ValidationError',
+            });
+            await migrator2.make({
+                onRename: Migrator.REQUIRE_MANUAL_MIGRATION,
+                renames: { 'users.username': 'name' },
+            });
+            await migrator.migrate('0000');
+            let db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.run("INSERT INTO users (name, age) VALUES ('Alice', 30)");
+            await db.close();
+
             await migrator2.migrate();
-            const db = await Database.connect(MAKE_OPTIONS.dbPath);
-            const rows = await db.all('SELECT id, name, age FROM users');
-            assert.strictEqual(rows.length, 0);
-            const info = await db.all(`PRAGMA table_info(users)`);
-            for (const columnInfo of info) {
-                if (columnInfo.name === 'name') assert(columnInfo.pk > 0);
-                else if (columnInfo.name === 'age') assert(columnInfo.pk > 0);
-                if (columnInfo.name === 'id') assert(columnInfo.pk === 0);
-            }
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            assert.deepStrictEqual(await db.all('SELECT id, username, age FROM users'), [
+                { id: 1, username: 'Alice', age: 30 },
+            ]);
             await db.close();
         });
 
-        it('should handle multiple tables with foreign keys', async () => {
+        it('should undo the steps of a table migration in reverse order', async () => {
             const migrator = new Migrator({
                 ...MAKE_OPTIONS,
-                schemaPath: path.join(__dirname, 'schemas/schema.sql'),
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
             });
             await migrator.make();
             await migrator.migrate();
-            const db = await Database.connect(MAKE_OPTIONS.dbPath);
-            await db.run('PRAGMA foreign_keys = ON');
-            await db.run('INSERT INTO users (id, name, age) VALUES (1, "test", 20)');
-            await db.run('INSERT INTO foreignkeytousers (id, user_id) VALUES (1, 1)');
-            await assert.rejects(
-                db.run('INSERT INTO foreignkeytousers (id, user_id) VALUES (2, 2)'),
-            );
+            let db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.run("INSERT INTO users (name, age) VALUES ('Alice', 30)");
+            await db.close();
+
+            // renames the table, then renames a column of it, then adds a column to it
+            const migrator2 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_multi_step.sql'),
+            });
+            await migrator2.make({ renames: { people: 'users', 'people.username': 'name' } });
+            await migrator2.migrate();
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            assert.deepStrictEqual(await db.all('SELECT id, username, age, email FROM people'), [
+                { id: 1, username: 'Alice', age: 30, email: null },
+            ]);
+            await db.close();
+
+            await migrator2.migrate('0000');
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            assert.deepStrictEqual(await db.all('SELECT * FROM users'), [
+                { id: 1, name: 'Alice', age: 30 },
+            ]);
             await db.close();
         });
 
-        it('should handle many migration files adding views, triggers, indices, and virtual tables', async () => {
+        it('should detect a column rename that also gained a default with its confidence', async t => {
             const migrator = new Migrator({
                 ...MAKE_OPTIONS,
-                schemaPath: path.join(__dirname, 'schemas/schema.sql'),
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
             });
             await migrator.make();
             await migrator.migrate();
+            let db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.run("INSERT INTO users (name, age) VALUES ('Alice', 30)");
+            await db.close();
 
             const migrator2 = new Migrator({
                 ...MAKE_OPTIONS,
-                schemaPath: path.join(__dirname, 'schemas/schema2_add_view.sql'),
+                schemaPath: path.join(
+                    __dirname,
+                    'schemas/one_table_column_rename_with_default.sql',
+                ),
             });
-            await migrator2.make();
+            const questions = [];
+            t.mock.method(readline, 'createInterface', () => {
+                return {
+                    question: (question, callback) => {
+                        questions.push(question);
+                        callback('y');
+                    },
+                    close: () => {},
+                };
+            });
+            await migrator2.make({ onRename: Migrator.PROMPT });
+            assert.strictEqual(questions.length, 1);
+            assert.match(
+                questions[0],
+                /column "name" seems to have been renamed to "username" \(78% confidence\)/,
+            );
             await migrator2.migrate();
-            const db = await Database.connect(MAKE_OPTIONS.dbPath);
-            const rows = await db.all('SELECT * FROM users_view');
-            assert.strictEqual(rows.length, 0);
-            await db.run('INSERT INTO users (id, name, age) VALUES (1, "test", 20)');
-            const rows2 = await db.all('SELECT * FROM users_view');
-            assert.strictEqual(rows2.length, 1);
-            assert.strictEqual(rows2[0].id, 1);
-            assert.strictEqual(rows2[0].name, 'test');
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            assert.deepStrictEqual(await db.all('SELECT id, username, age FROM users'), [
+                { id: 1, username: 'Alice', age: 30 },
+            ]);
             await db.close();
+            assert.strictEqual((await migrator2.status()).has_schema_changes, false);
+        });
 
-            const migrator3 = new Migrator({
+        it('should only accept renames with a confidence of at least the renameThreshold', async () => {
+            const migrator = new Migrator({
                 ...MAKE_OPTIONS,
-                schemaPath: path.join(__dirname, 'schemas/schema3_add_index.sql'),
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
             });
-            await migrator3.make();
-            await migrator3.migrate();
-            const db2 = await Database.connect(MAKE_OPTIONS.dbPath);
-            const indexes = await db2.all('PRAGMA index_list(users)');
-            assert.strictEqual(indexes.length, 1);
-            assert.strictEqual(indexes[0].name, 'users_name_index');
-            await db2.close();
-
-            const migrator4 = new Migrator({
+            await migrator.make();
+            const migrator2 = new Migrator({
                 ...MAKE_OPTIONS,
-                schemaPath: path.join(__dirname, 'schemas/schema4_add_trigger.sql'),
+                schemaPath: path.join(
+                    __dirname,
+                    'schemas/one_table_column_rename_with_default.sql',
+                ),
             });
-            await migrator4.make();
-            await migrator4.migrate();
-            const db3 = await Database.connect(MAKE_OPTIONS.dbPath);
-            await db3.run('INSERT INTO users (id, name, age) VALUES (2, "test", 20)');
-            const rows3 = await db3.all('SELECT * FROM users ORDER BY id ASC');
-            assert.strictEqual(rows3.length, 3);
-            assert.strictEqual(rows3[2].name, 'trigger');
-            await db3.close();
-
-            const migrator5 = new Migrator({
-                ...MAKE_OPTIONS,
-                schemaPath: path.join(__dirname, 'schemas/schema5_add_virtual_table.sql'),
+            await assert.rejects(migrator2.diff({ renameThreshold: 2 }), {
+                name: 'ValidationError',
             });
-            await migrator5.make();
-            await migrator5.migrate();
-            const db4 = await Database.connect(MAKE_OPTIONS.dbPath);
-            const tables = await db4.all(
-                'SELECT name FROM sqlite_master WHERE type = "table" AND name LIKE "users_fts%"',
+            let changes = await migrator2.diff({
+                onRename: Migrator.PROCEED,
+                onDestructiveChange: Migrator.PROCEED,
+                renameThreshold: 0.75,
+            });
+            assert.deepStrictEqual(
+                changes.map(change => change.kind),
+                ['renameColumn', 'modifyColumn'],
             );
-            assert.strictEqual(tables.length, 6);
-            await db4.close();
+            changes = await migrator2.diff({
+                onRename: Migrator.PROCEED,
+                onDestructiveChange: Migrator.PROCEED,
+                renameThreshold: 0.9,
+            });
+            assert.deepStrictEqual(changes.map(change => change.kind).sort(), [
+                'addColumn',
+                'removeColumn',
+            ]);
         });
 
-        it('should handle many changes with fewer migrations', async () => {
+        it('should not accept a dissimilar rename without a prompt', async () => {
             const migrator = new Migrator({
                 ...MAKE_OPTIONS,
-                schemaPath: path.join(__dirname, 'schemas/schema2_add_view.sql'),
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
             });
             await migrator.make();
+            await migrator.migrate();
+            let db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.run("INSERT INTO users (name, age) VALUES ('Alice', 30)");
+            await db.close();
 
             const migrator2 = new Migrator({
                 ...MAKE_OPTIONS,
-                schemaPath: path.join(__dirname, 'schemas/schema5_add_virtual_table.sql'),
+                schemaPath: path.join(__dirname, 'schemas/one_table_column_replaced.sql'),
             });
-            await migrator2.make();
-            await migrator2.migrate();
-
-            const db = await Database.connect(MAKE_OPTIONS.dbPath);
-            const rows = await db.all('SELECT * FROM users_view');
+            const changes = await migrator2.diff({
+                onRename: Migrator.PROCEED,
+                onDestructiveChange: Migrator.PROCEED,
+            });
+            assert.deepStrictEqual(changes.map(change => change.kind).sort(), [
+                'addColumn',
+                'removeColumn',
+            ]);
+            await migrator2.make({
+                onRename: Migrator.PROCEED,
+                onDestructiveChange: Migrator.PROCEED,
+            });
+            await migrator2.migrate();
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            assert.deepStrictEqual(await db.all('SELECT id, title, age FROM users'), [
+                { id: 1, title: '', age: 30 },
+            ]);
+            await db.close();
+        });
+
+        it('should handle changing a column type', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
+            });
+            await migrator.make();
+            const migrator2 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_change_column_type.sql'),
+            });
+            await migrator2.make();
+            await migrator2.migrate();
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            const rows = await db.all('SELECT id, name, age FROM users');
+            assert.strictEqual(rows.length, 0);
+            await db.close();
+        });
+
+        it('should handle changing primary key', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
+            });
+            await migrator.make();
+            const migrator2 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_primarykey_change.sql'),
+            });
+            await migrator2.make();
+            await migrator2.migrate();
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            const rows = await db.all('SELECT id, name, age FROM users');
+            assert.strictEqual(rows.length, 0);
+            const info = await db.all(`PRAGMA table_info(users)`);
+            for (const columnInfo of info) {
+                if (columnInfo.name === 'name') assert(columnInfo.pk > 0);
+                else if (columnInfo.name === 'age') assert(columnInfo.pk > 0);
+                if (columnInfo.name === 'id') assert(columnInfo.pk === 0);
+            }
+            await db.close();
+        });
+
+        it('should keep the indices, triggers, and views of a rebuilt table', async () => {
+            await new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_dependents.sql'),
+            }).make();
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(
+                    __dirname,
+                    'schemas/one_table_dependents_change_column_type.sql',
+                ),
+            });
+            await migrator.migrate();
+            let db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.run("INSERT INTO users (name, age) VALUES ('Alice', 30)");
+            await db.close();
+
+            await migrator.make();
+            await migrator.migrate();
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            const dependents = await db.all(
+                "SELECT type, name FROM sqlite_master WHERE type != 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name",
+            );
+            assert.deepStrictEqual(
+                dependents.map(d => [d.type, d.name]),
+                [
+                    ['view', 'adult_names'],
+                    ['view', 'adults'],
+                    ['trigger', 'users_age'],
+                    ['index', 'users_name'],
+                ],
+            );
+            assert.deepStrictEqual(await db.all('SELECT name FROM adult_names'), [
+                { name: 'Alice' },
+            ]);
+            await db.close();
+            assert.strictEqual((await migrator.status()).has_schema_changes, false);
+
+            await migrator.migrate('0000');
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            const index = await db.get("SELECT name FROM sqlite_master WHERE name = 'users_name'");
+            await db.close();
+            assert.deepStrictEqual(index, { name: 'users_name' });
+        });
+
+        it('should check a rebuilt table for foreign key violations', async () => {
+            await new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_dependents.sql'),
+            }).make();
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(
+                    __dirname,
+                    'schemas/one_table_dependents_change_column_type.sql',
+                ),
+            });
+            await migrator.migrate();
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.run("INSERT INTO users (name, age, parent_id) VALUES ('Alice', 30, 42)");
+            await db.close();
+
+            await migrator.make();
+            await assert.rejects(migrator.migrate(), error => {
+                assert.strictEqual(error.name, 'RolledBackTransaction');
+                assert.match(error.cause.message, /foreign key violations in users/);
+                return true;
+            });
+        });
+
+        it('should rebuild a table with a quote in its name', async () => {
+            await new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/quoted_table_name.sql'),
+            }).make();
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(
+                    __dirname,
+                    'schemas/quoted_table_name_change_column_type.sql',
+                ),
+            });
+            await migrator.migrate();
+            let db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.run(`INSERT INTO "o'neil" (age) VALUES (30)`);
+            await db.close();
+
+            await migrator.make({ onDestructiveChange: Migrator.PROCEED });
+            await migrator.migrate();
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            assert.deepStrictEqual(await db.all(`SELECT id, age FROM "o'neil"`), [
+                { id: 1, age: '30' },
+            ]);
+            await db.close();
+        });
+
+        it('should report renamed indices, triggers, and views as renames', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_dependents.sql'),
+            });
+            await migrator.make();
+            const migrator2 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_dependents_renamed.sql'),
+            });
+            await migrator2.migrate();
+
+            const { file_path, changes } = await migrator2.make({
+                onChangedIndex: Migrator.REQUIRE_MANUAL_MIGRATION,
+                onChangedView: Migrator.REQUIRE_MANUAL_MIGRATION,
+                onChangedTrigger: Migrator.REQUIRE_MANUAL_MIGRATION,
+            });
+            assert.deepStrictEqual(changes, [
+                {
+                    kind: 'renameView',
+                    name: 'grown_up_names',
+                    before: 'adult_names',
+                    after: 'grown_up_names',
+                },
+                {
+                    kind: 'renameTrigger',
+                    name: 'users_age_updated',
+                    before: 'users_age',
+                    after: 'users_age_updated',
+                },
+                {
+                    kind: 'renameIndex',
+                    name: 'idx_users_name',
+                    before: 'users_name',
+                    after: 'idx_users_name',
+                },
+            ]);
+            const content = fs.readFileSync(file_path, 'utf8');
+            assert.match(content, /DROP INDEX \\"users_name\\"/);
+            assert.match(content, /CREATE INDEX idx_users_name ON users/);
+            assert.doesNotMatch(content, /UPDATE sqlite_master/);
+
+            await migrator2.migrate();
+            let db = await Database.connect(MAKE_OPTIONS.dbPath);
+            const names = await db.all(
+                "SELECT name FROM sqlite_master WHERE type != 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name",
+            );
+            assert.deepStrictEqual(
+                names.map(({ name }) => name),
+                ['adults', 'grown_up_names', 'idx_users_name', 'users_age_updated'],
+            );
+            const plan = await db.all("EXPLAIN QUERY PLAN SELECT * FROM users WHERE name = 'a'");
+            assert.match(plan[0].detail, /USING INDEX idx_users_name/);
+            await db.close();
+            assert.strictEqual((await migrator2.status()).has_schema_changes, false);
+
+            await migrator2.migrate('0000');
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            const index = await db.get(
+                "SELECT name FROM sqlite_master WHERE type = 'index' AND name LIKE '%users_name'",
+            );
+            assert.deepStrictEqual(await db.all('PRAGMA integrity_check'), [
+                { integrity_check: 'ok' },
+            ]);
+            await db.close();
+            assert.deepStrictEqual(index, { name: 'users_name' });
+        });
+
+        it('should rebuild a table for changed constraints and generated columns', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
+            });
+            await migrator.make();
+            await migrator.migrate();
+            let db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.run("INSERT INTO users (name, age) VALUES ('Alice', 30)");
+            await db.close();
+
+            const migrator2 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_constraints.sql'),
+            });
+            const { file_path } = await migrator2.make();
+            assert.match(path.basename(file_path), /modify_users/);
+            await migrator2.migrate();
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            assert.deepStrictEqual(
+                await db.all("SELECT name, birth_year FROM users WHERE name = 'ALICE'"),
+                [{ name: 'Alice', birth_year: 1996 }],
+            );
+            await assert.rejects(
+                db.run("INSERT INTO users (name, age) VALUES ('Bob', -1)"),
+                /CHECK/,
+            );
+            await assert.rejects(
+                db.run("INSERT INTO users (name, age) VALUES ('alice', 30)"),
+                /UNIQUE/,
+            );
+            await db.close();
+            assert.strictEqual((await migrator2.status()).has_schema_changes, false);
+
+            await migrator2.migrate('0000');
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.run("INSERT INTO users (name, age) VALUES ('Bob', -1)");
+            assert.strictEqual((await db.all('SELECT * FROM users')).length, 2);
+            await db.close();
+        });
+
+        it('should handle multiple tables with foreign keys', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/schema.sql'),
+            });
+            await migrator.make();
+            await migrator.migrate();
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.run('PRAGMA foreign_keys = ON');
+            await db.run('INSERT INTO users (id, name, age) VALUES (1, "test", 20)');
+            await db.run('INSERT INTO foreignkeytousers (id, user_id) VALUES (1, 1)');
+            await assert.rejects(
+                db.run('INSERT INTO foreignkeytousers (id, user_id) VALUES (2, 2)'),
+            );
+            await db.close();
+        });
+
+        it('should handle many migration files adding views, triggers, indices, and virtual tables', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/schema.sql'),
+            });
+            await migrator.make();
+            await migrator.migrate();
+
+            const migrator2 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/schema2_add_view.sql'),
+            });
+            await migrator2.make();
+            await migrator2.migrate();
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            const rows = await db.all('SELECT * FROM users_view');
+            assert.strictEqual(rows.length, 0);
+            await db.run('INSERT INTO users (id, name, age) VALUES (1, "test", 20)');
+            const rows2 = await db.all('SELECT * FROM users_view');
+            assert.strictEqual(rows2.length, 1);
+            assert.strictEqual(rows2[0].id, 1);
+            assert.strictEqual(rows2[0].name, 'test');
+            await db.close();
+
+            const migrator3 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/schema3_add_index.sql'),
+            });
+            await migrator3.make();
+            await migrator3.migrate();
+            const db2 = await Database.connect(MAKE_OPTIONS.dbPath);
+            const indexes = await db2.all('PRAGMA index_list(users)');
+            assert.strictEqual(indexes.length, 1);
+            assert.strictEqual(indexes[0].name, 'users_name_index');
+            await db2.close();
+
+            const migrator4 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/schema4_add_trigger.sql'),
+            });
+            await migrator4.make();
+            await migrator4.migrate();
+            const db3 = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db3.run('INSERT INTO users (id, name, age) VALUES (2, "test", 20)');
+            const rows3 = await db3.all('SELECT * FROM users ORDER BY id ASC');
+            assert.strictEqual(rows3.length, 3);
+            assert.strictEqual(rows3[2].name, 'trigger');
+            await db3.close();
+
+            const migrator5 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/schema5_add_virtual_table.sql'),
+            });
+            await migrator5.make();
+            await migrator5.migrate();
+            const db4 = await Database.connect(MAKE_OPTIONS.dbPath);
+            const tables = await db4.all(
+                'SELECT name FROM sqlite_master WHERE type = "table" AND name LIKE "users_fts%"',
+            );
+            assert.strictEqual(tables.length, 6);
+            await db4.close();
+        });
+
+        it('should handle many changes with fewer migrations', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/schema2_add_view.sql'),
+            });
+            await migrator.make();
+
+            const migrator2 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/schema5_add_virtual_table.sql'),
+            });
+            await migrator2.make();
+            await migrator2.migrate();
+
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            const rows = await db.all('SELECT * FROM users_view');
             assert.strictEqual(rows.length, 0);
             await db.run('INSERT INTO users (id, name, age) VALUES (1, "test", 20)');
             const rows2 = await db.all('SELECT * FROM users_view');
@@ -1080,6 +1798,1091 @@ await describe('Migrator', () => {
             const files = fs.readdirSync(MAKE_OPTIONS.migrationsPath);
             assert.strictEqual(files.length, 1);
         });
+
+        it('should create working sql migration files', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/schema2_add_view.sql'),
+            });
+            await migrator.make({ migrationFormat: 'sql' });
+            const files = fs.readdirSync(MAKE_OPTIONS.migrationsPath);
+            assert.strictEqual(files.length, 1);
+            assert.ok(files[0].endsWith('.sql'));
+            const content = fs.readFileSync(
+                path.join(MAKE_OPTIONS.migrationsPath, files[0]),
+                'utf8',
+            );
+            assert.ok(content.includes('-- up\n'));
+            assert.ok(content.includes('-- down\n'));
+            assert.ok(content.includes('CREATE VIEW users_view AS'));
+
+            await migrator.migrate();
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.run('INSERT INTO users (id, name, age) VALUES (1, "test", 20)');
+            const rows = await db.all('SELECT * FROM users_view');
+            assert.strictEqual(rows.length, 1);
+            const [migration] = await db.all('SELECT * FROM migrations');
+            assert.strictEqual(migration.content, content);
+            await db.close();
+
+            const status = await migrator.status();
+            assert.strictEqual(status.has_schema_changes, false);
+            assert.strictEqual(status.current_id, '0000');
+
+            await migrator.migrate('zero');
+            const db2 = await Database.connect(MAKE_OPTIONS.dbPath);
+            const tables = await db2.all('SELECT name FROM sqlite_master WHERE type = "table"');
+            assert.deepStrictEqual(
+                tables.map(t => t.name),
+                ['migrations', 'migrations_log'],
+            );
+            await db2.close();
+        });
+
+        it('should mix sql and mjs migration files and undo removed sql migrations', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
+            });
+            await migrator.make();
+            const migrator2 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_column_rename.sql'),
+            });
+            await migrator2.make({ onRename: Migrator.PROCEED, migrationFormat: 'sql' });
+            await migrator2.migrate();
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.all('SELECT id, username, age FROM users');
+            await db.close();
+
+            const sqlFile = fs
+                .readdirSync(MAKE_OPTIONS.migrationsPath)
+                .find(file => file.endsWith('.sql'));
+            fs.rmSync(path.join(MAKE_OPTIONS.migrationsPath, sqlFile));
+            await migrator.migrate();
+            const db2 = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db2.all('SELECT id, name, age FROM users');
+            await db2.close();
+        });
+
+        it('should apply hand written sql migrations with pragmas', async () => {
+            fs.writeFileSync(
+                path.join(MAKE_OPTIONS.migrationsPath, '0000_hand_written.sql'),
+                [
+                    '-- pragmas',
+                    'PRAGMA user_version = 7;',
+                    '',
+                    '-- up',
+                    'CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT);',
+                    "INSERT INTO notes (body) VALUES ('-- not a section; header');",
+                    '',
+                    '-- down',
+                    'DROP TABLE notes;',
+                ].join('\n'),
+            );
+            const migrator = new Migrator(MAKE_OPTIONS);
+            const result = await migrator.migrate();
+            assert.strictEqual(result.pragmas.user_version, 7);
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            const rows = await db.all('SELECT body FROM notes');
+            assert.deepStrictEqual(rows, [{ body: '-- not a section; header' }]);
+            const { user_version } = await db.get('PRAGMA user_version');
+            assert.strictEqual(user_version, 7);
+            await db.close();
+
+            await migrator.migrate('zero');
+            const db2 = await Database.connect(MAKE_OPTIONS.dbPath);
+            await assert.rejects(db2.all('SELECT body FROM notes'));
+            await db2.close();
+        });
+
+        it('should let migrations use savepoints for partial data fixes', async () => {
+            fs.writeFileSync(
+                path.join(MAKE_OPTIONS.migrationsPath, '0000_partial_fix.mjs'),
+                `
+                export const PRAGMAS = {};
+                export async function up(db) {
+                    await db.run('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT NOT NULL)');
+                    await db.run("INSERT INTO notes (body) VALUES ('kept')");
+                    await db.transaction(async tx => {
+                        await tx.run("INSERT INTO notes (body) VALUES ('discarded')");
+                        await tx.run('INSERT INTO notes (body) VALUES (NULL)');
+                    }).catch(() => {});
+                }
+                export async function down(db) {
+                    await db.run('DROP TABLE notes');
+                }
+                `,
+            );
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await migrator.migrate();
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            assert.deepStrictEqual(await db.all('SELECT body FROM notes'), [{ body: 'kept' }]);
+            await db.close();
+        });
+
+        it('should create a sql migration file that errors if createIfNoChanges is true and no changes are made', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/empty.sql'),
+            });
+            await migrator.make({ createIfNoChanges: true, migrationFormat: 'sql' });
+            const files = fs.readdirSync(MAKE_OPTIONS.migrationsPath);
+            assert.strictEqual(files.length, 1);
+            assert.ok(files[0].endsWith('.sql'));
+            await assert.rejects(
+                () => migrator.migrate(),
+                error => {
+                    assert.strictEqual(error.name, 'RolledBackTransaction');
+                    assert.match(error.cause.message, /Migration 0000 is not yet implemented/);
+                    return true;
+                },
+            );
+        });
+
+        it('should create timestamp ids that sort after existing sequential ids', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
+            });
+            await migrator.make();
+            const migrator2 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_column_rename.sql'),
+                idStrategy: 'timestamp',
+            });
+            await migrator2.make({ onRename: Migrator.PROCEED });
+            const migrator3 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_change_column_type.sql'),
+                idStrategy: 'timestamp',
+            });
+            await migrator3.make({
+                onRename: Migrator.SKIP,
+                onDestructiveChange: Migrator.PROCEED,
+            });
+
+            const ids = fs
+                .readdirSync(MAKE_OPTIONS.migrationsPath)
+                .map(file => file.split('_')[0])
+                .sort();
+            assert.strictEqual(ids.length, 3);
+            assert.strictEqual(ids[0], '0000');
+            assert.match(ids[1], /^\d{14}$/);
+            assert.ok(BigInt(ids[2]) > BigInt(ids[1]));
+
+            await migrator3.migrate();
+            assert.strictEqual((await migrator3.status()).current_id, ids[2]);
+            await migrator3.migrate(ids[1]);
+            assert.strictEqual((await migrator3.status()).current_id, ids[1]);
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.all('SELECT id, username, age FROM users');
+            await db.close();
+        });
+
+        it('should create ids with a custom id generator', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
+                idStrategy: ids => `v${ids.length + 1}`,
+            });
+            await migrator.make();
+            const files = fs.readdirSync(MAKE_OPTIONS.migrationsPath);
+            assert.deepStrictEqual(files, ['v1_create_users.mjs']);
+            await migrator.migrate();
+            assert.strictEqual((await migrator.status()).current_id, 'v1');
+        });
+
+        it('should throw a ValidationError if a custom id does not sort after the latest id', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
+            });
+            await migrator.make();
+            const migrator2 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_column_rename.sql'),
+                idStrategy: () => '0000',
+            });
+            await assert.rejects(migrator2.make({ onRename: Migrator.PROCEED }), {
+                name: 'ValidationError',
+            });
+            assert.throws(() => new Migrator({ ...MAKE_OPTIONS, idStrategy: 'random' }), {
+                name: 'ValidationError',
+            });
+        });
+
+        it('should throw a ValidationError on an invalid migration format', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
+            });
+            await assert.rejects(migrator.make({ migrationFormat: 'js' }), {
+                name: 'ValidationError',
+            });
+        });
+    });
+
+    describe('diff()', () => {
+        beforeEach(async () => {
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.exec(CLEAR_DB);
+            await db.close();
+
+            fs.rmSync(MAKE_OPTIONS.migrationsPath, { recursive: true, force: true });
+            fs.mkdirSync(MAKE_OPTIONS.migrationsPath);
+        });
+
+        it('should return no changes for an empty schema', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/empty.sql'),
+            });
+            const changes = await migrator.diff();
+            assert.deepStrictEqual(changes, []);
+        });
+
+        it('should report added tables without creating a migration file', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
+            });
+            const changes = await migrator.diff();
+            assert.strictEqual(changes.length, 1);
+            assert.strictEqual(changes[0].kind, 'addTable');
+            assert.strictEqual(changes[0].table, 'users');
+            assert.strictEqual(fs.readdirSync(MAKE_OPTIONS.migrationsPath).length, 0);
+        });
+
+        it('should report no changes after a matching migration file is made', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/schema2_add_view.sql'),
+            });
+            await migrator.make();
+            const changes = await migrator.diff();
+            assert.deepStrictEqual(changes, []);
+        });
+
+        it('should report renamed columns', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
+            });
+            await migrator.make();
+
+            const migrator2 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_column_rename.sql'),
+            });
+            const changes = await migrator2.diff({ onRename: Migrator.PROCEED });
+            assert.deepStrictEqual(changes, [
+                {
+                    kind: 'renameColumn',
+                    table: 'users',
+                    column: 'username',
+                    before: 'name',
+                    after: 'username',
+                },
+            ]);
+        });
+
+        it('should report modified columns with their before and after state', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
+            });
+            await migrator.make();
+
+            const migrator2 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_change_column_type.sql'),
+            });
+            const changes = await migrator2.diff();
+            assert.strictEqual(changes.length, 1);
+            assert.strictEqual(changes[0].kind, 'modifyColumn');
+            assert.strictEqual(changes[0].column, 'age');
+            assert.strictEqual(changes[0].before.type, 'INTEGER');
+            assert.strictEqual(changes[0].after.type, 'TEXT');
+        });
+
+        it('should report changed CHECK, COLLATE, generated columns, and table constraints', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
+            });
+            await migrator.make();
+
+            const migrator2 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_constraints.sql'),
+            });
+            const changes = await migrator2.diff();
+            assert.deepStrictEqual(changes, [
+                {
+                    kind: 'addColumn',
+                    table: 'users',
+                    column: 'birth_year',
+                    after: {
+                        type: 'INTEGER',
+                        notnull: 0,
+                        dflt_value: null,
+                        pk: 0,
+                        generated: { expression: '(2026 - age)', stored: false },
+                    },
+                },
+                {
+                    kind: 'modifyColumn',
+                    table: 'users',
+                    column: 'name',
+                    before: { type: 'TEXT', notnull: 0, dflt_value: null, pk: 0 },
+                    after: { type: 'TEXT', notnull: 0, dflt_value: null, pk: 0, collate: 'NOCASE' },
+                },
+                {
+                    kind: 'modifyColumn',
+                    table: 'users',
+                    column: 'age',
+                    before: { type: 'INTEGER', notnull: 0, dflt_value: null, pk: 0 },
+                    after: {
+                        type: 'INTEGER',
+                        notnull: 0,
+                        dflt_value: null,
+                        pk: 0,
+                        check: ['(age >= 0)'],
+                    },
+                },
+                { kind: 'addConstraint', table: 'users', after: 'unique (name, age)' },
+            ]);
+        });
+
+        it('should report views', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/schema2_add_view.sql'),
+            });
+            const changes = await migrator.diff();
+            assert.deepStrictEqual(
+                changes.map(change => change.kind),
+                ['addTable', 'addTable', 'addView'],
+            );
+            assert.strictEqual(changes[2].name, 'users_view');
+        });
+    });
+
+    describe('check() and renumber()', () => {
+        const NOOP_MIGRATION = `
+            export const PRAGMAS = {};
+            export async function up(db) {}
+            export async function down(db) {}
+        `;
+        const writeMigration = file =>
+            fs.writeFileSync(path.join(MAKE_OPTIONS.migrationsPath, file), NOOP_MIGRATION);
+
+        beforeEach(async () => {
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.exec(CLEAR_DB);
+            await db.close();
+
+            fs.rmSync(MAKE_OPTIONS.migrationsPath, { recursive: true, force: true });
+            fs.mkdirSync(MAKE_OPTIONS.migrationsPath);
+        });
+
+        it('should report no problems for a linear history', async () => {
+            writeMigration('0000_first.mjs');
+            writeMigration('0001_second.mjs');
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await migrator.migrate();
+            const result = await migrator.check();
+            assert.deepStrictEqual(result, {
+                duplicate_ids: [],
+                missing_ids: [],
+                out_of_order_migrations: [],
+                ok: true,
+            });
+        });
+
+        it('should detect duplicate ids and refuse to migrate', async () => {
+            writeMigration('0000_first.mjs');
+            writeMigration('0001_main_branch.mjs');
+            writeMigration('0001_feature_branch.mjs');
+            const migrator = new Migrator(MAKE_OPTIONS);
+            const result = await migrator.check();
+            assert.strictEqual(result.ok, false);
+            assert.deepStrictEqual(result.duplicate_ids, [
+                { id: '0001', names: ['feature_branch', 'main_branch'] },
+            ]);
+            await assert.rejects(migrator.migrate(), { name: 'ValidationError' });
+        });
+
+        it('should detect missing ids and out of order migrations', async () => {
+            writeMigration('0000_first.mjs');
+            writeMigration('0002_third.mjs');
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await migrator.migrate();
+            writeMigration('0001_merged_late.mjs');
+            const result = await migrator.check();
+            assert.deepStrictEqual(result.missing_ids, []);
+            assert.deepStrictEqual(result.out_of_order_migrations, [
+                { id: '0001', name: 'merged_late' },
+            ]);
+
+            fs.rmSync(path.join(MAKE_OPTIONS.migrationsPath, '0001_merged_late.mjs'));
+            const result2 = await migrator.check();
+            assert.deepStrictEqual(result2.missing_ids, ['0001']);
+            assert.deepStrictEqual(result2.out_of_order_migrations, []);
+        });
+
+        it('should report missing ids at the width of the ids in use', async () => {
+            writeMigration('00010_first.mjs');
+            writeMigration('00013_fourth.mjs');
+            const result = await new Migrator(MAKE_OPTIONS).check();
+            assert.deepStrictEqual(result.missing_ids, ['00011', '00012']);
+        });
+
+        it('should not report missing ids between large non-contiguous ids', async () => {
+            writeMigration('0001_first.mjs');
+            writeMigration('1729350000_second.mjs');
+            writeMigration('1729353600_third.mjs');
+            const result = await new Migrator(MAKE_OPTIONS).check();
+            assert.deepStrictEqual(result.missing_ids, []);
+            assert.strictEqual(result.ok, true);
+
+            writeMigration('0004_fourth.mjs');
+            assert.deepStrictEqual((await new Migrator(MAKE_OPTIONS).check()).missing_ids, [
+                '0002',
+                '0003',
+            ]);
+            const custom = await new Migrator({
+                ...MAKE_OPTIONS,
+                idStrategy: () => Date.now(),
+            }).check();
+            assert.deepStrictEqual(custom.missing_ids, []);
+        });
+
+        it('should renumber divergent migrations after the applied ones', async () => {
+            writeMigration('0000_first.mjs');
+            writeMigration('0001_main_branch.mjs');
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await migrator.migrate();
+            writeMigration('0000_merged_late.mjs');
+            writeMigration('0001_feature_branch.mjs');
+
+            const renamed = await migrator.renumber();
+            assert.deepStrictEqual(renamed, [
+                { id: '0000', name: 'merged_late', new_id: '0002' },
+                { id: '0001', name: 'feature_branch', new_id: '0003' },
+            ]);
+            assert.deepStrictEqual(fs.readdirSync(MAKE_OPTIONS.migrationsPath).sort(), [
+                '0000_first.mjs',
+                '0001_main_branch.mjs',
+                '0002_merged_late.mjs',
+                '0003_feature_branch.mjs',
+            ]);
+            assert.strictEqual((await migrator.check()).ok, true);
+            await migrator.migrate();
+            assert.strictEqual((await migrator.status()).current_id, '0003');
+        });
+    });
+
+    describe('history()', () => {
+        const NOOP_MIGRATION = `export const PRAGMAS = {};
+export async function up(db) {}
+export async function down(db) {}
+`;
+        const migrationPath = file => path.join(MAKE_OPTIONS.migrationsPath, file);
+
+        beforeEach(async () => {
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.exec(CLEAR_DB);
+            await db.close();
+
+            fs.rmSync(MAKE_OPTIONS.migrationsPath, { recursive: true, force: true });
+            fs.mkdirSync(MAKE_OPTIONS.migrationsPath);
+        });
+
+        it('should list no migrations before migrating', async () => {
+            const migrator = new Migrator(MAKE_OPTIONS);
+            assert.deepStrictEqual(await migrator.history(), []);
+        });
+
+        it('should list the applied migrations and whether their files still match', async () => {
+            for (const file of ['0000_a.mjs', '0001_b.mjs', '0002_c.mjs']) {
+                fs.writeFileSync(migrationPath(file), NOOP_MIGRATION);
+            }
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await migrator.migrate();
+            fs.appendFileSync(migrationPath('0001_b.mjs'), '// edited\n');
+            fs.rmSync(migrationPath('0002_c.mjs'));
+
+            const history = await migrator.history();
+            assert.deepStrictEqual(
+                history.map(({ id, name, file_status }) => [id, name, file_status]),
+                [
+                    ['0000', 'a', 'unchanged'],
+                    ['0001', 'b', 'modified'],
+                    ['0002', 'c', 'missing'],
+                ],
+            );
+            assert.match(history[0].applied_at, /^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d\.\d{3}$/);
+            assert.strictEqual(history[0].content_hash.length, 64);
+            assert.strictEqual(history[0].content, undefined);
+        });
+
+        it('should include the applied content and a diff against the current file', async () => {
+            fs.writeFileSync(migrationPath('0000_a.mjs'), NOOP_MIGRATION);
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await migrator.migrate();
+            fs.writeFileSync(
+                migrationPath('0000_a.mjs'),
+                NOOP_MIGRATION.replace('up(db) {}', 'up(db) {\n    await db.run("SELECT 1");\n}'),
+            );
+
+            const [entry] = await migrator.history({ id: '0000', content: true, diff: true });
+            assert.strictEqual(entry.content, NOOP_MIGRATION);
+            assert.match(entry.diff, /^-export async function up\(db\) \{\}$/m);
+            assert.match(entry.diff, /^\+ {4}await db\.run\("SELECT 1"\);$/m);
+
+            await assert.rejects(migrator.history({ id: '0001' }), { name: 'ValidationError' });
+        });
+    });
+
+    describe('auditLog()', () => {
+        const NOOP_MIGRATION = `export const PRAGMAS = {};
+export async function up(db) {}
+export async function down(db) {}
+`;
+        const migrationPath = file => path.join(MAKE_OPTIONS.migrationsPath, file);
+
+        beforeEach(async () => {
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.exec(CLEAR_DB);
+            await db.close();
+
+            fs.rmSync(MAKE_OPTIONS.migrationsPath, { recursive: true, force: true });
+            fs.mkdirSync(MAKE_OPTIONS.migrationsPath);
+            fs.writeFileSync(migrationPath('0000_a.mjs'), NOOP_MIGRATION);
+            fs.writeFileSync(migrationPath('0001_b.mjs'), NOOP_MIGRATION);
+        });
+
+        it('should keep a record of applied and undone migrations', async () => {
+            const migrator = new Migrator(MAKE_OPTIONS);
+            assert.deepStrictEqual(await migrator.auditLog(), []);
+            await migrator.migrate();
+            await migrator.migrate('0000');
+            await migrator.migrate('0001', { fake: true });
+            await migrator.migrate('zero', { dryRun: true });
+
+            const log = await migrator.auditLog();
+            assert.deepStrictEqual(
+                log.map(({ seq, direction, id, outcome }) => [seq, direction, id, outcome]),
+                [
+                    [1, 'up', '0000', 'succeeded'],
+                    [2, 'up', '0001', 'succeeded'],
+                    [3, 'down', '0001', 'succeeded'],
+                    [4, 'up', '0001', 'faked'],
+                ],
+            );
+            assert.strictEqual(log[0].content_hash.length, 64);
+            assert.strictEqual(log[0].hostname, os.hostname());
+            assert.strictEqual(
+                log[0].sam_version,
+                JSON.parse(fs.readFileSync(path.join(__dirname, '../package.json'), 'utf8'))
+                    .version,
+            );
+            assert.strictEqual(log[0].error, null);
+            assert.deepStrictEqual(
+                (await migrator.auditLog({ id: '0000' })).map(e => e.seq),
+                [1],
+            );
+            assert.strictEqual((await migrator.status()).has_tampered_data, false);
+        });
+
+        it('should record failed and rolled back migrations', async () => {
+            fs.writeFileSync(
+                migrationPath('0001_b.mjs'),
+                NOOP_MIGRATION.replace('up(db) {}', 'up(db) {\n    throw new Error("boom");\n}'),
+            );
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await assert.rejects(migrator.migrate(), { name: 'RolledBackTransaction' });
+
+            const log = await migrator.auditLog();
+            assert.deepStrictEqual(
+                log.map(({ id, outcome, error }) => [id, outcome, error]),
+                [
+                    ['0000', 'rolled_back', null],
+                    ['0001', 'failed', 'boom'],
+                ],
+            );
+            assert.deepStrictEqual(await migrator.history(), []);
+        });
+    });
+
+    describe('squash()', () => {
+        beforeEach(async () => {
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.exec(CLEAR_DB);
+            await db.close();
+
+            fs.rmSync(MAKE_OPTIONS.migrationsPath, { recursive: true, force: true });
+            fs.mkdirSync(MAKE_OPTIONS.migrationsPath);
+
+            await new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
+            }).make();
+            await new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_column_rename.sql'),
+            }).make({ onRename: Migrator.PROCEED });
+            await new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_change_column_type.sql'),
+            }).make({ onRename: Migrator.SKIP, onDestructiveChange: Migrator.PROCEED });
+        });
+
+        it('should replace the range with a single migration that recreates the schema', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_change_column_type.sql'),
+            });
+            const squashed = await migrator.squash('0000', '0002', {}, () => {});
+            assert.strictEqual(squashed.id, '0002');
+            assert.deepStrictEqual(fs.readdirSync(MAKE_OPTIONS.migrationsPath), [
+                '0002_squashed_0000_to_0002.mjs',
+            ]);
+
+            const result = await migrator.migrate();
+            assert.deepStrictEqual(result.applied_migrations, [
+                { id: '0002', name: 'squashed_0000_to_0002' },
+            ]);
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            const columns = await db.all('PRAGMA table_info(users)');
+            await db.close();
+            assert.deepStrictEqual(
+                columns.map(c => [c.name, c.type]),
+                [
+                    ['id', 'INTEGER'],
+                    ['name', 'TEXT'],
+                    ['age', 'TEXT'],
+                ],
+            );
+            assert.strictEqual((await migrator.status()).has_schema_changes, false);
+            await migrator.migrate('zero');
+        });
+
+        it('should record the squashed migration without undoing the replaced migrations', async () => {
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await migrator.migrate();
+            let db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.run("INSERT INTO users (name, age) VALUES ('Alice', '30')");
+            await db.close();
+
+            await migrator.squash('0001', '0002', { name: 'squashed' }, () => {});
+            assert.deepStrictEqual(fs.readdirSync(MAKE_OPTIONS.migrationsPath).sort(), [
+                '0000_create_users.mjs',
+                '0002_squashed.mjs',
+            ]);
+            const status = await migrator.status();
+            assert.strictEqual(status.current_id, '0002');
+            assert.strictEqual(status.missing_migrations.length, 0);
+            assert.strictEqual(status.extra_migrations.length, 0);
+            assert.deepStrictEqual((await migrator.check()).missing_ids, []);
+
+            const result = await migrator.migrate();
+            assert.deepStrictEqual(result.undone_migrations, []);
+            assert.deepStrictEqual(result.applied_migrations, []);
+            assert.deepStrictEqual(result.squashed_migrations, [
+                {
+                    id: '0002',
+                    name: 'squashed',
+                    replaces: ['0001_modify_users', '0002_modify_users'],
+                },
+            ]);
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            assert.deepStrictEqual(await db.all('SELECT id, name FROM migrations ORDER BY id'), [
+                { id: '0000', name: 'create_users' },
+                { id: '0002', name: 'squashed' },
+            ]);
+            assert.deepStrictEqual(await db.all('SELECT name, age FROM users'), [
+                { name: 'Alice', age: '30' },
+            ]);
+            await db.close();
+
+            const result2 = await migrator.migrate();
+            assert.deepStrictEqual(result2.squashed_migrations, []);
+        });
+
+        it('should refuse a squashed migration whose replaced migrations were partially applied', async () => {
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await migrator.migrate('0001');
+            await migrator.squash('0001', '0002', { name: 'squashed' }, () => {});
+            await assert.rejects(migrator.migrate(), error => {
+                assert.strictEqual(error.name, 'ValidationError');
+                assert.match(error.message, /0002_squashed/);
+                assert.match(error.message, /0002_modify_users have not been applied/);
+                return true;
+            });
+            assert.strictEqual((await migrator.check()).ok, true);
+        });
+
+        it('should keep counting the squashed migrations for the next sequential id', async () => {
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/empty.sql'),
+            });
+            await migrator.squash('0001', '0002', { name: 'squashed' }, () => {});
+            await migrator.make({ onDestructiveChange: Migrator.PROCEED });
+            assert.deepStrictEqual(fs.readdirSync(MAKE_OPTIONS.migrationsPath).sort(), [
+                '0000_create_users.mjs',
+                '0002_squashed.mjs',
+                '0003_remove_users.mjs',
+            ]);
+        });
+
+        it('should write squashed sql migrations', async () => {
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await migrator.migrate();
+            await migrator.squash('0000', '0002', { migrationFormat: 'sql' }, () => {});
+            const files = fs.readdirSync(MAKE_OPTIONS.migrationsPath);
+            assert.deepStrictEqual(files, ['0002_squashed_0000_to_0002.sql']);
+            const content = fs.readFileSync(
+                path.join(MAKE_OPTIONS.migrationsPath, files[0]),
+                'utf8',
+            );
+            assert.match(content, /^-- replaces\n(.*\n)?0000_create_users$/m);
+
+            const result = await migrator.migrate();
+            assert.strictEqual(result.squashed_migrations.length, 1);
+            assert.strictEqual(result.applied_migrations.length, 0);
+        });
+
+        it('should throw a ValidationError on an invalid range', async () => {
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await assert.rejects(
+                migrator.squash('0002', '0000', {}, () => {}),
+                {
+                    name: 'ValidationError',
+                },
+            );
+            await assert.rejects(
+                migrator.squash('0000', '0009', {}, () => {}),
+                {
+                    name: 'ValidationError',
+                },
+            );
+            assert.strictEqual(fs.readdirSync(MAKE_OPTIONS.migrationsPath).length, 3);
+        });
+    });
+
+    describe('baseline()', () => {
+        beforeEach(async () => {
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.exec(CLEAR_DB);
+            await db.close();
+
+            fs.rmSync(MAKE_OPTIONS.migrationsPath, { recursive: true, force: true });
+        });
+
+        it('should record the existing schema as an applied migration without running it', async () => {
+            let db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.exec(fs.readFileSync(path.join(__dirname, 'schemas/one_table.sql'), 'utf8'));
+            await db.run("INSERT INTO users (name, age) VALUES ('Alice', 30)");
+            await db.close();
+
+            const migrator = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table.sql'),
+            });
+            const baseline = await migrator.baseline(undefined, {}, () => {});
+            assert.strictEqual(baseline.id, '0000');
+            assert.deepStrictEqual(fs.readdirSync(MAKE_OPTIONS.migrationsPath), [
+                '0000_baseline.mjs',
+            ]);
+
+            const status = await migrator.status();
+            assert.strictEqual(status.current_id, '0000');
+            assert.strictEqual(status.has_schema_changes, false);
+            assert.strictEqual(status.has_tampered_data, false);
+            assert.strictEqual(status.missing_migrations.length, 0);
+
+            const result = await migrator.migrate();
+            assert.deepStrictEqual(result.applied_migrations, []);
+
+            const migrator2 = new Migrator({
+                ...MAKE_OPTIONS,
+                schemaPath: path.join(__dirname, 'schemas/one_table_column_rename.sql'),
+            });
+            await migrator2.make({ onRename: Migrator.PROCEED });
+            await migrator2.migrate();
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            assert.deepStrictEqual(await db.all('SELECT username, age FROM users'), [
+                { username: 'Alice', age: 30 },
+            ]);
+            await db.close();
+        });
+
+        it('should create a working baseline migration for a fresh database', async () => {
+            let db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.exec(fs.readFileSync(path.join(__dirname, 'schemas/one_table.sql'), 'utf8'));
+            await db.close();
+
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await migrator.baseline('v1', { name: 'legacy', migrationFormat: 'sql' }, () => {});
+            assert.deepStrictEqual(fs.readdirSync(MAKE_OPTIONS.migrationsPath), ['v1_legacy.sql']);
+
+            await migrator.migrate('zero');
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            assert.strictEqual(
+                await db.get("SELECT name FROM sqlite_master WHERE name = 'users'"),
+                undefined,
+            );
+            await db.close();
+            await migrator.migrate();
+            db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.all('SELECT id, name, age FROM users');
+            await db.close();
+        });
+
+        it('should throw a ValidationError if the database can not be baselined', async () => {
+            const migrator = new Migrator(MAKE_OPTIONS);
+            await assert.rejects(
+                migrator.baseline(undefined, {}, () => {}),
+                {
+                    name: 'ValidationError',
+                },
+            );
+
+            const db = await Database.connect(MAKE_OPTIONS.dbPath);
+            await db.exec(fs.readFileSync(path.join(__dirname, 'schemas/one_table.sql'), 'utf8'));
+            await db.close();
+            await assert.rejects(
+                migrator.baseline('zero', {}, () => {}),
+                {
+                    name: 'ValidationError',
+                },
+            );
+            await migrator.baseline(undefined, {}, () => {});
+            await assert.rejects(
+                migrator.baseline('0001', {}, () => {}),
+                {
+                    name: 'ValidationError',
+                },
+            );
+        });
+    });
+
+    describe('migration lock', () => {
+        const LOCK_PATH = VALID_OPTIONS.dbPath + '.lock';
+
+        beforeEach(async () => {
+            const db = await Database.connect(VALID_OPTIONS.dbPath);
+            await db.exec(CLEAR_DB);
+            await db.close();
+
+            fs.rmSync(LOCK_PATH, { force: true });
+        });
+
+        it('should let concurrent migrations run one after the other', async () => {
+            const results = await Promise.all([
+                new Migrator(VALID_OPTIONS).migrate(),
+                new Migrator(VALID_OPTIONS).migrate(),
+            ]);
+            const applied = results.map(result => result.applied_migrations.length);
+            assert.deepStrictEqual(applied.sort(), [0, 7]);
+            assert.strictEqual(fs.existsSync(LOCK_PATH), false);
+        });
+
+        it('should throw a LockTimeoutError if the lock is not released in time', async () => {
+            fs.writeFileSync(LOCK_PATH, JSON.stringify({ pid: 0, hostname: 'elsewhere' }));
+            const migrator = new Migrator({ ...VALID_OPTIONS, lockTimeout: 50 });
+            await assert.rejects(migrator.migrate(), { name: 'LockTimeoutError' });
+            await assert.rejects(migrator.make(), { name: 'LockTimeoutError' });
+            await assert.rejects(migrator.renumber(), { name: 'LockTimeoutError' });
+            await assert.rejects(
+                migrator.restore(VALID_OPTIONS.dbPath, () => {}),
+                {
+                    name: 'LockTimeoutError',
+                },
+            );
+
+            assert.deepStrictEqual(await migrator.unlock(), { pid: 0, hostname: 'elsewhere' });
+            assert.strictEqual(await migrator.unlock(), null);
+            const result = await migrator.migrate();
+            assert.strictEqual(result.applied_migrations.length, 7);
+        });
+
+        it('should not remove a lock that was taken over by another process', async () => {
+            const other = JSON.stringify({ pid: 0, hostname: 'elsewhere' });
+            const migrator = new Migrator(VALID_OPTIONS);
+            // simulates `sam unlock` followed by another process acquiring the lock
+            migrator.once('migration:applied', () => fs.writeFileSync(LOCK_PATH, other));
+            await migrator.migrate();
+            assert.strictEqual(fs.readFileSync(LOCK_PATH, 'utf8'), other);
+        });
+
+        it('should throw a ValidationError if the lock timeout is invalid', async () => {
+            assert.throws(() => new Migrator({ ...VALID_OPTIONS, lockTimeout: -1 }), {
+                name: 'ValidationError',
+            });
+        });
+    });
+
+    describe('backup() and restore()', () => {
+        const BACKUP_OPTIONS = {
+            ...INVALID_OPTIONS,
+            backupDir: path.join(__dirname, 'backups/migrator'),
+            backupRetention: 2,
+        };
+
+        beforeEach(async () => {
+            const db = await Database.connect(BACKUP_OPTIONS.dbPath);
+            await db.exec(CLEAR_DB);
+            await db.close();
+
+            fs.rmSync(BACKUP_OPTIONS.backupDir, { recursive: true, force: true });
+        });
+
+        it('should take snapshots and only keep the latest ones', async () => {
+            const migrator = new Migrator(BACKUP_OPTIONS);
+            const snapshots = [];
+            for (let i = 0; i < 3; i++) {
+                snapshots.push(await migrator.backup(() => {}));
+            }
+            assert.deepStrictEqual(
+                fs.readdirSync(BACKUP_OPTIONS.backupDir).sort(),
+                snapshots.slice(1).map(p => path.basename(p)),
+            );
+        });
+
+        it('should restore a snapshot', async () => {
+            const migrator = new Migrator(BACKUP_OPTIONS);
+            await migrator.migrate('0001');
+            const snapshot = await migrator.backup(() => {});
+            await migrator.migrate('zero', { fake: true });
+
+            const restored = await migrator.restore(path.basename(snapshot), () => {});
+            assert.strictEqual(restored, snapshot);
+            assert.strictEqual((await migrator.status()).current_id, '0001');
+
+            await assert.rejects(
+                migrator.restore('missing.db', () => {}),
+                {
+                    name: 'ValidationError',
+                },
+            );
+        });
+
+        it('should restore the snapshot if the migration fails', async () => {
+            const migrator = new Migrator(BACKUP_OPTIONS);
+            await migrator.migrate('0001');
+            await assert.rejects(migrator.migrate('zero', { backup: true }), {
+                name: 'RolledBackTransaction',
+            });
+            assert.strictEqual(fs.readdirSync(BACKUP_OPTIONS.backupDir).length, 1);
+            assert.strictEqual((await migrator.status()).current_id, '0001');
+        });
+
+        it('should not restore the snapshot if the migration fails before changing the database', async () => {
+            fs.rmSync(MAKE_OPTIONS.migrationsPath, { recursive: true, force: true });
+            fs.mkdirSync(MAKE_OPTIONS.migrationsPath);
+            fs.writeFileSync(
+                path.join(MAKE_OPTIONS.migrationsPath, '0000_invalid.mjs'),
+                "export const TRANSACTION = 'always'; export async function up() {} export async function down() {}",
+            );
+            const migrator = new Migrator({ ...MAKE_OPTIONS, backupDir: BACKUP_OPTIONS.backupDir });
+            const restored = [];
+            migrator.on('backup:restored', payload => restored.push(payload));
+            await assert.rejects(migrator.migrate('latest', { backup: true }), {
+                name: 'ValidationError',
+            });
+            assert.strictEqual(fs.readdirSync(BACKUP_OPTIONS.backupDir).length, 1);
+            assert.deepStrictEqual(restored, []);
+        });
+
+        it('should throw a ValidationError if the retention is invalid', async () => {
+            assert.throws(() => new Migrator({ ...BACKUP_OPTIONS, backupRetention: -1 }), {
+                name: 'ValidationError',
+            });
+        });
+    });
+
+    describe('progress events', () => {
+        beforeEach(async () => {
+            const db = await Database.connect(VALID_OPTIONS.dbPath);
+            await db.exec(CLEAR_DB);
+            await db.close();
+        });
+
+        it('should emit an event for each migration', async () => {
+            const migrator = new Migrator(VALID_OPTIONS);
+            const events = [];
+            for (const event of ['migration:start', 'migration:applied', 'migration:undone']) {
+                migrator.on(event, payload => events.push({ event, ...payload }));
+            }
+
+            await migrator.migrate();
+            assert.strictEqual(events.length, 14);
+            assert.deepStrictEqual(events[0], {
+                event: 'migration:start',
+                id: '0000',
+                name: 'sample_migration',
+                direction: 'up',
+                fake: false,
+            });
+            assert.strictEqual(events[1].event, 'migration:applied');
+            assert.strictEqual(events[1].id, '0000');
+            assert.strictEqual(events[1].skipped, false);
+            assert.ok(events[1].duration_ms >= 0);
+
+            events.length = 0;
+            await migrator.rollback();
+            assert.deepStrictEqual(
+                events.map(({ event, direction }) => [event, direction]),
+                [
+                    ['migration:start', 'down'],
+                    ['migration:undone', undefined],
+                ],
+            );
+        });
+
+        it('should emit the integrity and foreign key check results', async () => {
+            const migrator = new Migrator(FOREIGN_KEY_VIOLATION_OPTIONS);
+            let checks;
+            migrator.on('integrity:result', payload => (checks = payload));
+
+            await migrator.migrate('latest', { dryRun: true });
+            assert.strictEqual(checks.ok, false);
+            assert.deepStrictEqual(checks.integrity_errors, []);
+            assert.ok(checks.foreign_key_violations.length > 0);
+        });
+
+        it('should log through the log function only for the duration of the call', async () => {
+            const migrator = new Migrator(VALID_OPTIONS);
+            let output = '';
+            await originalMigrate.call(migrator, 'latest', {}, s => (output += s));
+            assert.match(output, /Applying 0000_sample_migration\.\.\. /);
+            assert.match(output, /Migrations complete!/);
+            assert.strictEqual(migrator.listenerCount('migration:applied'), 0);
+        });
+
+        it('should only log the events of its own call when calls overlap', async () => {
+            const migrator = new Migrator({
+                ...VALID_OPTIONS,
+                backupDir: path.join(__dirname, 'backups/migrator'),
+            });
+            let migrateOutput = '';
+            let backupOutput = '';
+            let backup;
+            migrator.once('migration:start', () => {
+                backup = migrator.backup(s => (backupOutput += s));
+            });
+            await originalMigrate.call(migrator, 'latest', {}, s => (migrateOutput += s));
+            await backup;
+            assert.match(migrateOutput, /Migrations complete!/);
+            assert.doesNotMatch(migrateOutput, /Backed up the database/);
+            assert.match(backupOutput, /Backed up the database/);
+            assert.doesNotMatch(backupOutput, /Applying/);
+        });
     });
 
     describe('status()', () => {
@@ -3,7 +3,25 @@ export * as Errors from "./lib/errors.mjs";
 export { Database } from "./lib/database.mjs";
 export type MigrationOptions = import('./lib/migrator.mjs').MigrationOptions;
 export type MakeOptions = import('./lib/migrator.mjs').MakeOptions;
+export type SquashOptions = import('./lib/migrator.mjs').SquashOptions;
+export type BaselineOptions = import('./lib/migrator.mjs').BaselineOptions;
 export type MigrateUntrackedStateOptions = import('./lib/migrator.mjs').MigrateUntrackedStateOptions;
+export type MigrateOptions = import('./lib/migrator.mjs').MigrateOptions;
+export type MigrateResult = import('./lib/migrator.mjs').MigrateResult;
+export type MakeResult = import('./lib/migrator.mjs').MakeResult;
 export type Action = import('./lib/migrator.mjs').Action;
+export type MigrationFormat = import('./lib/migrator.mjs').MigrationFormat;
+export type IdStrategy = import('./lib/migrator.mjs').IdStrategy;
+export type MigrationTransaction = import('./lib/migrator.mjs').MigrationTransaction;
 export type Status = import('./lib/migrator.mjs').Status;
+export type CheckResult = import('./lib/migrator.mjs').CheckResult;
+export type HistoryOptions = import('./lib/migrator.mjs').HistoryOptions;
+export type HistoryEntry = import('./lib/migrator.mjs').HistoryEntry;
+export type AuditLogOptions = import('./lib/migrator.mjs').AuditLogOptions;
+export type AuditLogEntry = import('./lib/migrator.mjs').AuditLogEntry;
+export type Change = import('./lib/migrator.mjs').Change;
+export type MigratorEvents = import('./lib/migrator.mjs').MigratorEvents;
+export type BackupOptions = import('./lib/database.mjs').BackupOptions;
+export type BackupProgress = import('./lib/database.mjs').BackupProgress;
+export type TransactionMode = import('./lib/database.mjs').TransactionMode;
 export type Statement<R = any, P extends any[] = any[]> = import('./lib/database.mjs').Statement<R, P>;
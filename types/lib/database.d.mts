@@ -19,6 +19,14 @@ export class Database {
      * @see {@link sqlite3.Database}
      */
     static connect(filename: string, mode?: number, verbose?: boolean): Promise<Database>;
+    /**
+     * Creates an in-memory database from the contents of a database file, e.g. as returned by serialize().
+     * @param {Uint8Array} buffer the contents of a database file
+     * @param {boolean} [verbose=true] whether to print verbose error messages with stack traces and sql/params
+     * @returns {Promise<Database>} a promise that resolves to a Database instance connected to an in-memory copy of the database
+     * @throws {Error} if the buffer is not a valid database
+     */
+    static deserialize(buffer: Uint8Array, verbose?: boolean): Promise<Database>;
     /**
      * Stores the database connection.
      * @private
@@ -100,6 +108,30 @@ export class Database {
      * @see {@link sqlite3.Database#prepare}
      */
     prepare<Row_3 = any, Params extends unknown = any>(sql: string, ...params: Params | Params[]): Promise<Statement<Row_3, Params>>;
+    /**
+     * Copies the database into a file using SQLite's online backup API, so it is safe to use while the database is in use.
+     * @param {string} filename the path to the file to copy the database into. An existing database in the file is overwritten.
+     * @param {BackupOptions} [options={}] how many pages to copy per step and how to report progress {@link BackupOptions}
+     * @returns {Promise<void>} a promise that resolves when the backup is complete
+     * @throws {Error} if the backup fails
+     * @see {@link sqlite3.Database#backup}
+     */
+    backup(filename: string, options?: BackupOptions): Promise<void>;
+    /**
+     * Gets the contents of the database as they would be stored in a database file.
+     * @returns {Promise<Buffer>} a promise that resolves to the contents of the database, load them with Database.deserialize()
+     * @throws {Error} if the database cannot be read
+     */
+    serialize(): Promise<Buffer>;
+    /**
+     * Runs a function inside a transaction that is committed when the function resolves and rolled back when it throws. Nested calls use savepoints, so only the changes of the nested function are rolled back when it throws.
+     * @template T
+     * @param {(tx: Database) => Promise<T>} fn the function to run, it is passed this database connection
+     * @param {TransactionMode} [mode='DEFERRED'] how the outermost transaction acquires its locks, ignored for nested calls
+     * @returns {Promise<T>} a promise that resolves to the return value of fn once the transaction has been committed
+     * @throws {Error} the error thrown by fn after rolling back, or an error if the mode is invalid or the transaction cannot be committed
+     */
+    transaction<T>(fn: (tx: Database) => Promise<T>, mode?: TransactionMode): Promise<T>;
     /**
      * Closes the database connection.
      * @returns {Promise<void>} a promise that resolves when the database connection has been closed
@@ -107,6 +139,7 @@ export class Database {
      * @see {@link sqlite3.Database#close}
      */
     close(): Promise<void>;
+    #private;
 }
 /**
  * Represents a prepared statement. Async wrapper around the sqlite3.Statement class.
@@ -194,4 +227,28 @@ export type RunResult = {
      */
     changes: number;
 };
+export type BackupProgress = {
+    /**
+     * the number of pages left to copy
+     */
+    remaining: number;
+    /**
+     * the total number of pages in the source database
+     */
+    pageCount: number;
+};
+export type BackupOptions = {
+    /**
+     * the number of pages to copy per step, other connections can use the database in between steps. -1 copies all pages in one step
+     */
+    pagesPerStep?: number;
+    /**
+     * called after each step with the {@link BackupProgress }
+     */
+    onProgress?: (progress: BackupProgress) => void;
+};
 export type sqlite3 = typeof import("sqlite3");
+/**
+ * How an outermost transaction acquires its locks, see https://www.sqlite.org/lang_transaction.html
+ */
+export type TransactionMode = ('DEFERRED' | 'IMMEDIATE' | 'EXCLUSIVE');
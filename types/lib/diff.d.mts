@@ -24,16 +24,32 @@ export function objectDifference(objA: any, objB: any, valuesFromA?: boolean): {
  */
 export function mapDifference<K, V>(mapA: Map<K, V>, mapB: Map<K, V>, equal?: Function): Set<K>;
 /**
- * Mapping the keys in keysA to the keys in keysB that have mapA.get(keyA) === mapB.get(keyB). Chooses the first match.
- * @template K, V
- * @param {Map<K, V>} mapA the map to compare
- * @param {Iterable<K>} keysA the keys to compare
- * @param {Map<K, V>} mapB the map to compare against
- * @param {Iterable<K>} keysB the keys to compare against
- * @param {function} [equal=(a, b) => a === b] the equality function to use
- * @returns {Map<K, V>} a new map of keysA to keysB where the values are equal
+ * The Levenshtein distance between two strings, i.e. the least number of single character insertions, deletions, and substitutions that turn one into the other.
+ * @param {string} a the string to compare
+ * @param {string} b the string to compare against
+ * @returns {number} the edit distance
+ */
+export function editDistance(a: string, b: string): number;
+/**
+ * How similar two names are based on their edit distance, ignoring case.
+ * @param {string} a the name to compare
+ * @param {string} b the name to compare against
+ * @returns {number} the similarity from 0 (nothing in common) to 1 (equal)
+ */
+export function nameSimilarity(a: string, b: string): number;
+/**
+ * Pairs up the keys in keysA with the keys in keysB such that each key is used at most once, greedily choosing the pairs with the highest scores first. Ties go to the first pair.
+ * @template K
+ * @param {Iterable<K>} keysA the keys to pair up
+ * @param {Iterable<K>} keysB the keys to pair them up with
+ * @param {(a: K, b: K) => number} score a function scoring how well two keys match from 0 to 1
+ * @param {number} [minScore=0] the lowest score two keys can be paired up with
+ * @returns {{ pairs: Map<K, K>, scores: Map<K, number> }} the map of keysA to their paired keysB and the map of keysA to the score of their pair
  */
-export function mappedDifference<K, V>(mapA: Map<K, V>, keysA: Iterable<K>, mapB: Map<K, V>, keysB: Iterable<K>, equal?: Function): Map<K, V>;
+export function bestUniquePairs<K>(keysA: Iterable<K>, keysB: Iterable<K>, score: (a: K, b: K) => number, minScore?: number): {
+    pairs: Map<K, K>;
+    scores: Map<K, number>;
+};
 /**
  * Normalize SQL for comparison. This removes comments, normalizes whitespace and removes unnecessary quotes.
  * @private
@@ -47,6 +63,22 @@ export function normalize_sql(sql: string): string;
  * @returns {string} a copy of the sql string with quotes replaced by '\\"' and leading/trailing whitespace removed
  */
 export function unquoteSQL(sql: string): string;
+/**
+ * Converts a statement generated for a JavaScript migration file into its SQL equivalent.
+ * @param {string} statement the JavaScript statement, e.g. `await db.run("DROP TABLE \\"users\\"")` or `// Skipped removing table "users"`
+ * @returns {string | null} the SQL statement, e.g. `DROP TABLE "users";` or `-- Skipped removing table "users"`, or null if the statement can't be expressed in SQL
+ */
+export function jsToSQL(statement: string): string | null;
+/**
+ * Creates a unified diff of two texts, line by line.
+ * @param {string} oldText the text to compare
+ * @param {string} newText the text to compare against
+ * @param {string} [oldLabel='a'] the name of the old text in the diff header
+ * @param {string} [newLabel='b'] the name of the new text in the diff header
+ * @param {number} [context=3] the number of unchanged lines to show around each change
+ * @returns {string} the unified diff, empty if the texts have the same lines
+ */
+export function unifiedDiff(oldText: string, newText: string, oldLabel?: string, newLabel?: string, context?: number): string;
 /**
  * Gets the absolute path of a given path.
  * @param {string} pathstr
@@ -22,6 +22,12 @@ export class RolledBackTransaction extends Error {
 export class IntegrityError extends Error {
     constructor(message: any, ...params: any[]);
 }
+/**
+ * Error to be thrown when the migration lock held by another process is not released in time.
+ */
+export class LockTimeoutError extends Error {
+    constructor(message: any, ...params: any[]);
+}
 /**
  * Returned by the up() method of a migration to indicate that to apply the migration, a declarative diffing should be performed.
  */
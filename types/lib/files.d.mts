@@ -16,6 +16,8 @@ export function rmAsync(path: any, options: any): Promise<any>;
 export function mkdirAsync(path: any, options: any): Promise<any>;
 /** @see {@link fs.writeFile} */
 export function writeFileAsync(path: any, data: any, options: any): Promise<any>;
+/** @see {@link fs.rename} */
+export function renameAsync(oldPath: any, newPath: any): Promise<any>;
 /** @see {@link fs.readFile} */
 export function readdirAsync(path: any, options: any): Promise<any>;
 /** @see {@link fs.stat} */
@@ -0,0 +1,15 @@
+/**
+ * Describes a schema change in a human readable way.
+ * @param {Change} change the change to describe
+ * @returns {string} the description
+ */
+export function describeChange(change: Change): string;
+/**
+ * Subscribes a log function to the events of a migrator, formatting them as human readable progress output.
+ * @param {import('node:events').EventEmitter} emitter the migrator to subscribe to
+ * @param {(s: string) => void} log a function to log the formatted output through, e.g. `process.stdout.write`
+ * @returns {() => void} a function that unsubscribes the log function again
+ */
+export function subscribeLogger(emitter: import('node:events').EventEmitter, log: (s: string) => void): () => void;
+export type Change = import('./migrator.mjs').Change;
+export type MigratorEvents = import('./migrator.mjs').MigratorEvents;
@@ -1,7 +1,7 @@
 /**
- * A class to manage migrations for a SQLite database.
+ * A class to manage migrations for a SQLite database. Emits {@link MigratorEvents} while it works.
  */
-export class Migrator {
+export class Migrator extends EventEmitter<[never]> {
     /**
      * You'll be prompted via the commandline for how to proceed.
      * @type {Action}
@@ -37,29 +37,134 @@ export class Migrator {
     onlyTrackAmbiguousState: boolean;
     ignoreNameCase: boolean;
     hideWarnings: boolean;
+    idStrategy: string | ((ids: string[]) => string);
+    backupDir: any;
+    lockPath: string;
+    lockTimeout: number;
+    backupRetention: number;
     /**
      * Creates a new migration file that when applied will bring the latest migration file state to that of the current schema.
      * @param {MakeOptions} [keyargs={}] specifies how to handle renames/destructive changes and more {@link MakeOptions}
      * @param {function} log a function to log messages through. Default is `process.stdout.write`
      * @throws an appropriate {@link ValidationError} if the options or prompted input is invalid.
      * @throws an appropriate {@link ManualMigrationRequired} if a manual migration is required.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
      * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database, close the database, or remove temporary files.
      * @effects writes a new migration file to the migrations folder if no unexpected/validation errors occur and keyargs.createIfNoChanges is true or there are changes to be made
+     * @returns {Promise<MakeResult>} a {@link MakeResult} with the path to the created migration file and the changes it tracks
      */
-    make(keyargs?: MakeOptions, log?: Function): Promise<void>;
+    make(keyargs?: MakeOptions, log?: Function): Promise<MakeResult>;
+    /**
+     * Compares the latest migration file state to the current schema without creating a migration file.
+     * @param {MakeOptions} [keyargs={}] specifies how to handle renames/destructive changes {@link MakeOptions}
+     * @param {function} log a function to log messages through. Default is `process.stdout.write`
+     * @returns {Promise<Change[]>} the changes a call to make() would track in a new migration file
+     * @throws an appropriate {@link ValidationError} if the options or prompted input is invalid.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database or close the database.
+     */
+    diff(keyargs?: MakeOptions, log?: Function): Promise<Change[]>;
     /**
      * Migrates the database state to the given target. Automatically figures out if the migrations
      * in the migration folder have changed (e.g. changed git branch) and undoes and reapplies migrations as necessary.
-     * @param {string} target the migration to set the database state to, e.g., "0001" (a migration id), "zero" (undo all migrations) or "latest" (default)
-     * @param {MigrateUntrackedStateOptions} [diffargs={}] specifies how to handle renames/destructive changes and more if onlyTrackAmbiguousState is true {@link MigrateUntrackedStateOptions}
+     * @param {string} target the migration to set the database state to, e.g., "0001" (a migration id), "zero" (undo all migrations), "latest" (default), or relative to the current migration like "-1" (undo one migration) and "+2" (apply two migrations)
+     * @param {MigrateOptions} [keyargs={}] specifies whether to do a dry run and how to handle renames/destructive changes and more if onlyTrackAmbiguousState is true {@link MigrateOptions}
      * @param {function} log a function to log messages through. Default is `process.stdout.write`
      * @throws an appropriate {@link ValidationError} if the options or target is invalid.
-     * @throws an appropriate {@link RolledBackTransaction} if the migrations failed causing the transaction to be rolled back.
-     * @throws an appropriate {@link IntegrityError} if the integrity or foreign key checks fail after the migration.
+     * @throws an appropriate {@link RolledBackTransaction} if the migrations or the integrity/foreign key checks (caused by an {@link IntegrityError}) failed causing the transaction to be rolled back. Dry runs report failed checks instead.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
      * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database, close the database, or remove temporary files.
-     * @returns {Promise<void>} a promise that resolves when the migrations are complete or rejects if an error occurs
+     * @returns {Promise<MigrateResult>} a promise that resolves with a {@link MigrateResult} describing what was (or would have been) done when the migrations are complete or rejects if an error occurs
+     */
+    migrate(target?: string, keyargs?: MigrateOptions, log?: Function): Promise<MigrateResult>;
+    /**
+     * Undoes the latest applied migrations.
+     * @param {number} [n=1] the number of migrations to undo
+     * @param {MigrateOptions} [keyargs={}] the same options as migrate() {@link MigrateOptions}
+     * @param {function} log a function to log messages through. Default is `process.stdout.write`
+     * @throws an appropriate {@link ValidationError} if the options are invalid or there are fewer than n applied migrations.
+     * @throws an appropriate {@link RolledBackTransaction} if undoing the migrations failed causing the transaction to be rolled back.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database, close the database, or remove temporary files.
+     * @returns {Promise<MigrateResult>} a promise that resolves with a {@link MigrateResult} describing what was (or would have been) done
+     */
+    rollback(n?: number, keyargs?: MigrateOptions, log?: Function): Promise<MigrateResult>;
+    /**
+     * Undoes and reapplies the latest applied migration in a single transaction, e.g. to rerun a migration file while editing it.
+     * @param {MigrateOptions} [keyargs={}] the same options as migrate() {@link MigrateOptions}
+     * @param {function} log a function to log messages through. Default is `process.stdout.write`
+     * @throws an appropriate {@link ValidationError} if the options are invalid, no migrations are applied, or the applied migrations differ from the migration files.
+     * @throws an appropriate {@link RolledBackTransaction} if the migration failed causing the transaction to be rolled back.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database, close the database, or remove temporary files.
+     * @returns {Promise<MigrateResult>} a promise that resolves with a {@link MigrateResult} describing what was (or would have been) done
+     */
+    redo(keyargs?: MigrateOptions, log?: Function): Promise<MigrateResult>;
+    /**
+     * Checks the migration history for duplicate ids, gaps, and migration files that were added out of order relative to the applied migrations.
+     * @returns {Promise<CheckResult>} the problems found as a {@link CheckResult} object
+     * @throws an appropriate {@link ValidationError} if the options are invalid.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database, close the database, or remove temporary files.
+     */
+    check(): Promise<CheckResult>;
+    /**
+     * Moves the migration files with duplicate ids and the unapplied migration files that sort before the latest applied migration onto fresh ids after the latest migration, keeping the applied migrations in place.
+     * Of the migration files that share an id, the applied one (or else the first one by name) keeps the id.
+     * @returns {Promise<Array<{id: string, name: string, new_id: string}>>} the migration files that were renamed in the order they will now be applied
+     * @throws an appropriate {@link ValidationError} if the options are invalid or a new id can't be generated.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database, rename the files, or remove temporary files.
+     * @effects renames migration files in the migrations folder
+     */
+    renumber(): Promise<Array<{
+        id: string;
+        name: string;
+        new_id: string;
+    }>>;
+    /**
+     * Lists the applied migrations recorded in the migrations table and whether their migration files still match.
+     * @param {HistoryOptions} [keyargs={}] specifies which migration to list and whether to include its content/diff {@link HistoryOptions}
+     * @returns {Promise<HistoryEntry[]>} the applied migrations in the order they were applied as {@link HistoryEntry} objects
+     * @throws an appropriate {@link ValidationError} if the options are invalid or the given id has not been applied.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database or read the migration files.
      */
-    migrate(target?: string, diffargs?: MigrateUntrackedStateOptions, log?: Function): Promise<void>;
+    history(keyargs?: HistoryOptions): Promise<HistoryEntry[]>;
+    /**
+     * Lists the audit log, which records every time a migration was applied or undone, including the ones that failed or were rolled back.
+     * Unlike the migrations table, entries are never removed, so the audit log reconstructs what happened to the database over time.
+     * @param {AuditLogOptions} [keyargs={}] specifies which migration to list the entries of {@link AuditLogOptions}
+     * @returns {Promise<AuditLogEntry[]>} the entries in the order they were written as {@link AuditLogEntry} objects
+     * @throws an appropriate {@link ValidationError} if the options are invalid.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database.
+     */
+    auditLog(keyargs?: AuditLogOptions): Promise<AuditLogEntry[]>;
+    /**
+     * Replaces a range of migration files with a single migration file that takes the database from the state before the range to the state after it.
+     * Databases that have applied the whole range recognize the squashed migration by its list of replaced migrations and record it in their place without undoing and reapplying anything.
+     * Only the schema is carried over, data changes made by the replaced migrations (e.g. inserted rows) are not.
+     * @param {string} from the id of the first migration to squash
+     * @param {string} to the id of the last migration to squash, the squashed migration takes over this id
+     * @param {SquashOptions} [keyargs={}] specifies the name and format of the squashed migration file {@link SquashOptions}
+     * @param {function} log a function to log messages through. Default is `process.stdout.write`
+     * @returns {Promise<MigrationFile>} the squashed migration file
+     * @throws an appropriate {@link ValidationError} if the options or range are invalid.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to replay the migrations or write the migration file.
+     * @effects writes the squashed migration file and removes the replaced migration files from the migrations folder
+     */
+    squash(from: string, to: string, keyargs?: SquashOptions, log?: Function): Promise<MigrationFile>;
+    /**
+     * Creates a migration file from the current schema and pragmas of the database and records it as applied without running it.
+     * Use this to start tracking an existing database so that later calls to make() diff against its actual schema.
+     * @param {string} [id] the id of the baseline migration. Default is the first id generated by the id strategy
+     * @param {BaselineOptions} [keyargs={}] specifies the name and format of the baseline migration file {@link BaselineOptions}
+     * @param {function} log a function to log messages through. Default is `process.stdout.write`
+     * @returns {Promise<MigrationFile>} the baseline migration file
+     * @throws an appropriate {@link ValidationError} if the options or id are invalid, the database already has applied migrations, the database has no schema, or migration files exist that would have to be applied before the baseline.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database or write the migration file.
+     * @effects writes the baseline migration file to the migrations folder and inserts it into the migrations table
+     */
+    baseline(id?: string, keyargs?: BaselineOptions, log?: Function): Promise<MigrationFile>;
     /**
      * Gets the current migration state of the database.
      * @returns {Promise<Status>} the current migration state of the database as a {@link Status} object
@@ -67,18 +172,57 @@ export class Migrator {
      * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database, close the database, or remove temporary files.
      */
     status(): Promise<Status>;
+    /**
+     * Removes the migration lock, e.g. when the process that held it crashed. Only use this if no other process is migrating the database.
+     * @returns {Promise<{pid: number, hostname: string, acquired_at: string}|null>} the holder of the removed lock, null if the database was not locked
+     * @throws an appropriate {@link ValidationError} if the options are invalid.
+     * @effects removes the lock file next to the database file
+     */
+    unlock(): Promise<{
+        pid: number;
+        hostname: string;
+        acquired_at: string;
+    } | null>;
+    /**
+     * Takes a snapshot of the database using SQLite's online backup API and removes snapshots beyond the retention count.
+     * @param {function} log a function to log messages through. Default is `process.stdout.write`
+     * @returns {Promise<string>} the path to the snapshot
+     * @throws an appropriate {@link ValidationError} if the options are invalid.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to connect to the database or write the snapshot.
+     * @effects writes a new snapshot to the backup folder and removes the oldest snapshots if there are more than backupRetention
+     */
+    backup(log?: Function): Promise<string>;
+    /**
+     * Overwrites the database with a snapshot taken by backup() or migrate().
+     * @param {string} snapshot the path to the snapshot, either absolute or relative to the backup folder
+     * @param {function} log a function to log messages through. Default is `process.stdout.write`
+     * @returns {Promise<string>} the absolute path to the restored snapshot
+     * @throws an appropriate {@link ValidationError} if the options are invalid or the snapshot is not found.
+     * @throws an appropriate {@link LockTimeoutError} if another process holds the migration lock for longer than the lock timeout.
+     * @throws an appropriate {@link Error} if an unexpected error occurs, e.g., not being able to read the snapshot or write the database.
+     * @effects replaces the contents of the database file with the snapshot
+     */
+    restore(snapshot: string, log?: Function): Promise<string>;
     #private;
 }
 /**
  * The action to take when dealing with a detected rename or destructive change.
  */
 export type Action = ('PROMPT' | 'REQUIRE_MANUAL_MIGRATION' | 'PROCEED' | 'SKIP');
+/**
+ * The format of a migration file: a JavaScript module exporting `PRAGMAS`, `up`, and `down` or a SQL file with `-- pragmas`, `-- up`, and `-- down` sections.
+ */
+export type MigrationFormat = ('mjs' | 'sql');
+/**
+ * How a migration file is run, exported as `TRANSACTION` by the migration: `'shared'` in one transaction with the neighbouring shared migrations, `'own'` in its own transaction that is committed even if a later migration fails, or `'none'` outside of any transaction, e.g. to change the `journal_mode` or run `VACUUM INTO`.
+ */
+export type MigrationTransaction = ('shared' | 'own' | 'none');
 /**
  * An object representing a migration file.
  */
 export type MigrationFile = {
     /**
-     * The migration id (should be a unique stringified integer with optional leading zeros, e.g., "0001", "0002", etc., and represents the order of the migrations)
+     * The migration id (should be unique and represents the order of the migrations, e.g., "0001", "0002", etc. or a timestamp like "20261019153000". Integer ids are ordered by value and sort before any non-integer ids, which are ordered as strings)
      */
     id: string;
     /**
@@ -94,6 +238,10 @@ export type MigrationFile = {
      */
     content_path: string;
 };
+/**
+ * How to generate the id of a new migration file: `'sequential'` zero-padded numbers (e.g., "0005"), `'timestamp'` UTC timestamps (e.g., "20261019153000"), or a custom function that is passed the existing ids in ascending order and returns the next id.
+ */
+export type IdStrategy = ('sequential' | 'timestamp' | ((ids: string[]) => string));
 /**
  * The options for the migrator.
  */
@@ -130,6 +278,22 @@ export type MigrationOptions = {
      * True if table, column, index, virtual table, trigger, and view names should be case insensitive, false otherwise. Default is true if `process.env.SAM_IGNORE_NAME_CASE === 'true'` and false otherwise
      */
     ignoreNameCase?: boolean;
+    /**
+     * How to generate the ids of new migration files. Default is `process.env.SAM_ID_STRATEGY` if provided, otherwise `'sequential'`
+     */
+    idStrategy?: IdStrategy;
+    /**
+     * Path to the folder to store database snapshots in. Default is `process.env.SAM_BACKUP_DIR` if provided, otherwise a `backups` folder next to the database file
+     */
+    backupDir?: string;
+    /**
+     * How long to wait for another process to release the migration lock before throwing a {@link LockTimeoutError }, in milliseconds. Default is `process.env.SAM_LOCK_TIMEOUT` if provided, otherwise 10000
+     */
+    lockTimeout?: number;
+    /**
+     * How many snapshots to keep in the backup folder, older ones are removed when a new one is taken. 0 keeps all snapshots. Default is `process.env.SAM_BACKUP_RETENTION` if provided, otherwise 5
+     */
+    backupRetention?: number;
     /**
      * Path to the configuration file. Default is `process.env.SAM_CONFIG_PATH` if provided, otherwise `path.join(process.cwd(), '.samrc')`. The config file is a json file where the object keys are the same as the environment variables minus the SAM_ prefix. The provided keys act as defaults and are overridden by the environment variables if they exist.
      */
@@ -143,6 +307,10 @@ export type MakeOptions = {
      * How to handle autodetected column/table renames. Default is `process.env.SAM_ON_RENAME` if provided, otherwise `Migrator.PROMPT`
      */
     onRename?: Action;
+    /**
+     * The lowest confidence from 0 to 1 an autodetected rename is accepted with when onRename is `Migrator.PROCEED`, less likely renames are treated as a removal and an addition instead. The confidence is scored by the edit distance of the names and how similar the definitions are. Renames that keep the definition are always accepted. Default is `process.env.SAM_RENAME_THRESHOLD` if provided, otherwise 1
+     */
+    renameThreshold?: number;
     /**
      * How to handle irreversible changes like dropping tables/columns. Default is `process.env.SAM_ON_DESTRUCTIVE_CHANGE` if provided, otherwise `Migrator.PROMPT`
      */
@@ -167,6 +335,42 @@ export type MakeOptions = {
      * Whether to create a new migration file if a manual migration is required. Default is true if `process.env.SAM_CREATE_ON_MANUAL_MIGRATION === 'true'` and false otherwise
      */
     createOnManualMigration?: boolean;
+    /**
+     * The format of the created migration file, either `'mjs'` or `'sql'`. Default is `process.env.SAM_MIGRATION_FORMAT` if provided, otherwise `'mjs'`
+     */
+    migrationFormat?: MigrationFormat;
+    /**
+     * Renames to apply without prompting, as a map of new table names and `<table>.<column>` names to the names they were renamed from, e.g. `{ people: 'users', 'people.full_name': 'name' }`. Merged with (and takes precedence over) the `-- sam:renamed-from <old name>` hints in the schema file. Default is `{}`
+     */
+    renames?: {
+        [newName: string]: string;
+    };
+};
+/**
+ * The options for the migrator.squash() method.
+ */
+export type SquashOptions = {
+    /**
+     * The name of the squashed migration file. Default is `squashed_<from>_to_<to>`
+     */
+    name?: string;
+    /**
+     * The format of the squashed migration file, either `'mjs'` or `'sql'`. Default is `process.env.SAM_MIGRATION_FORMAT` if provided, otherwise `'mjs'`
+     */
+    migrationFormat?: MigrationFormat;
+};
+/**
+ * The options for the migrator.baseline() method.
+ */
+export type BaselineOptions = {
+    /**
+     * The name of the baseline migration file. Default is `baseline`
+     */
+    name?: string;
+    /**
+     * The format of the baseline migration file, either `'mjs'` or `'sql'`. Default is `process.env.SAM_MIGRATION_FORMAT` if provided, otherwise `'mjs'`
+     */
+    migrationFormat?: MigrationFormat;
 };
 /**
  * The options for the migrator.migrate() method when onlyTrackAmbiguousState is true.
@@ -176,6 +380,10 @@ export type MigrateUntrackedStateOptions = {
      * How to handle autodetected column/table renames. Default is `Migrator.REQUIRE_MANUAL_MIGRATION`
      */
     onRename?: Action;
+    /**
+     * The lowest confidence from 0 to 1 an autodetected rename is accepted with when onRename is `Migrator.PROCEED`. Default is `process.env.SAM_RENAME_THRESHOLD` if provided, otherwise 1
+     */
+    renameThreshold?: number;
     /**
      * How to handle irreversible changes like dropping tables/columns. Default is `Migrator.REQUIRE_MANUAL_MIGRATION`
      */
@@ -193,6 +401,123 @@ export type MigrateUntrackedStateOptions = {
      */
     onChangedTrigger?: Action;
 };
+/**
+ * Options for migrating the database.
+ */
+export type MigrateOptions = {
+    /**
+     * True if the migrations should be run inside a transaction that is always rolled back, reporting what would happen without modifying the database. Default is false
+     */
+    dryRun?: boolean;
+    /**
+     * True if only the migrations table should be updated as if the migrations had been applied/undone without running them, e.g. after a change was hotfixed by hand. Default is false
+     */
+    fake?: boolean;
+    /**
+     * True if a snapshot of the database should be taken before migrating and restored if the migration fails. Ignored for dry runs. Default is true if `process.env.SAM_BACKUP === 'true'` and false otherwise
+     */
+    backup?: boolean;
+    /**
+     * How to handle autodetected column/table renames when onlyTrackAmbiguousState is true. Default is `Migrator.REQUIRE_MANUAL_MIGRATION`
+     */
+    onRename?: Action;
+    /**
+     * The lowest confidence from 0 to 1 an autodetected rename is accepted with when onRename is `Migrator.PROCEED` and onlyTrackAmbiguousState is true. Default is `process.env.SAM_RENAME_THRESHOLD` if provided, otherwise 1
+     */
+    renameThreshold?: number;
+    /**
+     * How to handle irreversible changes like dropping tables/columns when onlyTrackAmbiguousState is true. Default is `Migrator.REQUIRE_MANUAL_MIGRATION`
+     */
+    onDestructiveChange?: Action;
+    /**
+     * How to handle dropped/changed views when onlyTrackAmbiguousState is true. Default is `Migrator.PROCEED`
+     */
+    onChangedView?: Action;
+    /**
+     * How to handle dropped/changed indices when onlyTrackAmbiguousState is true. Default is `Migrator.PROCEED`
+     */
+    onChangedIndex?: Action;
+    /**
+     * How to handle dropped/changed triggers when onlyTrackAmbiguousState is true. Default is `Migrator.PROCEED`
+     */
+    onChangedTrigger?: Action;
+};
+/**
+ * The outcome of a call to migrate().
+ */
+export type MigrateResult = {
+    /**
+     * True if the migrations were rolled back because this was a dry run, false otherwise
+     */
+    dry_run: boolean;
+    /**
+     * The migration id the database was (or would have been) migrated to, or "zero"
+     */
+    target: string;
+    /**
+     * The migrations that were (or would have been) undone, in the order they were undone
+     */
+    undone_migrations: Array<{
+        id: string;
+        name: string;
+    }>;
+    /**
+     * The migrations that were (or would have been) applied, in the order they were applied
+     */
+    applied_migrations: Array<{
+        id: string;
+        name: string;
+    }>;
+    /**
+     * The untracked schema changes that were (or would have been) applied when onlyTrackAmbiguousState is true
+     */
+    untracked_changes: Change[];
+    /**
+     * The pragmas that were (or would have been) set after the migrations
+     */
+    pragmas: any;
+    /**
+     * The errors reported by the integrity check, empty if it passed
+     */
+    integrity_errors: string[];
+    /**
+     * The violations reported by the foreign key check, empty if it passed
+     */
+    foreign_key_violations: any[];
+    /**
+     * The squashed migrations that were (or would have been) recorded in place of the applied migrations they replace
+     */
+    squashed_migrations: Array<{
+        id: string;
+        name: string;
+        replaces: string[];
+    }>;
+    /**
+     * True if the migrations were only recorded in (or removed from) the migrations table without being run, false otherwise
+     */
+    fake: boolean;
+    /**
+     * True if the database schema does not match the applied migrations after a fake migration (only checked when fake is true), false otherwise
+     */
+    has_tampered_data: boolean;
+    /**
+     * The path to the snapshot taken before migrating if the backup option is true and there was something to migrate, null otherwise
+     */
+    backup_path: string | null;
+};
+/**
+ * The outcome of a call to make().
+ */
+export type MakeResult = {
+    /**
+     * The path to the created migration file, null if no migration file was created
+     */
+    file_path: string | null;
+    /**
+     * The schema changes tracked in the created migration file (or that would have been if no file was created)
+     */
+    changes: Change[];
+};
 /**
  * The migration status of the database.
  */
@@ -236,3 +561,252 @@ export type Status = {
      */
     has_tampered_data: boolean;
 };
+/**
+ * The problems found in the migration history, e.g. after merging branches that both added migrations.
+ */
+export type CheckResult = {
+    /**
+     * The ids that are shared by multiple migration files
+     */
+    duplicate_ids: Array<{
+        id: string;
+        names: string[];
+    }>;
+    /**
+     * The sequential ids that are skipped between zero-padded ids of the same width, e.g. 0003 between 0002 and 0004 (only checked for the sequential id strategy, timestamps and custom ids are not expected to be contiguous)
+     */
+    missing_ids: string[];
+    /**
+     * The unapplied migration files that sort before the latest applied migration, e.g. added on a branch that was merged after newer migrations were applied
+     */
+    out_of_order_migrations: Array<{
+        id: string;
+        name: string;
+    }>;
+    /**
+     * True if no problems were found, false otherwise
+     */
+    ok: boolean;
+};
+/**
+ * The options for the migrator.history() method.
+ */
+export type HistoryOptions = {
+    /**
+     * Only list the applied migration with this id. Default is all applied migrations
+     */
+    id?: string;
+    /**
+     * True if the content of the migrations as it was applied should be included, false otherwise. Default is false
+     */
+    content?: boolean;
+    /**
+     * True if a diff of the applied content against the current migration file should be included, false otherwise. Default is false
+     */
+    diff?: boolean;
+};
+/**
+ * An applied migration as recorded in the migrations table.
+ */
+export type HistoryEntry = {
+    /**
+     * The migration id
+     */
+    id: string;
+    /**
+     * The migration name
+     */
+    name: string;
+    /**
+     * When the migration was applied as a UTC timestamp, e.g. "2026-10-19 15:30:00.123"
+     */
+    applied_at: string;
+    /**
+     * The hash of the migration content when it was applied
+     */
+    content_hash: string;
+    /**
+     * Whether the migration file with the same id still has the applied content, has been modified since, or is missing from the migrations folder
+     */
+    file_status: ('unchanged' | 'modified' | 'missing');
+    /**
+     * The content of the migration as it was applied, only included if the content option is true
+     */
+    content?: string;
+    /**
+     * A unified diff of the applied content against the current migration file, empty if they match and null if the file is missing. Only included if the diff option is true
+     */
+    diff?: string | null;
+};
+/**
+ * The options for the migrator.auditLog() method.
+ */
+export type AuditLogOptions = {
+    /**
+     * Only list the entries of the migration with this id. Default is the entries of all migrations
+     */
+    id?: string;
+};
+/**
+ * An entry of the audit log, written each time a migration is applied or undone (or fails to be).
+ */
+export type AuditLogEntry = {
+    /**
+     * The position of the entry in the audit log, increasing in the order the entries were written
+     */
+    seq: number;
+    /**
+     * When the entry was written as a UTC timestamp, e.g. "2026-10-19 15:30:00.123"
+     */
+    logged_at: string;
+    /**
+     * Whether the migration was applied (up) or undone (down)
+     */
+    direction: ('up' | 'down');
+    /**
+     * The migration id
+     */
+    id: string;
+    /**
+     * The migration name
+     */
+    name: string;
+    /**
+     * The hash of the migration content that was applied or undone
+     */
+    content_hash: string;
+    /**
+     * How long running the migration took in milliseconds, 0 if it was faked
+     */
+    duration_ms: number;
+    /**
+     * Whether the migration succeeded, was only recorded because the run was fake, threw, or succeeded but was rolled back because a later migration or check in the same run failed
+     */
+    outcome: ('succeeded' | 'faked' | 'failed' | 'rolled_back');
+    /**
+     * The error message if the migration failed, null otherwise
+     */
+    error: string | null;
+    /**
+     * The hostname of the machine that ran the migration
+     */
+    hostname: string | null;
+    /**
+     * The name of the user that ran the migration
+     */
+    username: string | null;
+    /**
+     * The version of sqlite-auto-migrator that ran the migration
+     */
+    sam_version: string | null;
+};
+/**
+ * A structured description of a single schema change.
+ */
+export type Change = {
+    /**
+     * The type of change
+     */
+    kind: ('addTable' | 'removeTable' | 'renameTable' | 'addColumn' | 'removeColumn' | 'renameColumn' | 'modifyColumn' | 'addConstraint' | 'removeConstraint' | 'addVirtualTable' | 'removeVirtualTable' | 'modifyVirtualTable' | 'addView' | 'removeView' | 'modifyView' | 'renameView' | 'addTrigger' | 'removeTrigger' | 'modifyTrigger' | 'renameTrigger' | 'addIndex' | 'removeIndex' | 'modifyIndex' | 'renameIndex');
+    /**
+     * The name of the affected table (after any rename)
+     */
+    table?: string;
+    /**
+     * The name of the affected column (after any rename)
+     */
+    column?: string;
+    /**
+     * The name of the affected virtual table, view, trigger or index (after any rename)
+     */
+    name?: string;
+    /**
+     * The state before the change: the old name for renames, a {@link ColumnInfo } object for columns, and the normalized SQL otherwise, e.g. `unique (name, age)` for table constraints
+     */
+    before?: any;
+    /**
+     * The state after the change, in the same format as `before`
+     */
+    after?: any;
+};
+/**
+ * The events a {@link Migrator } emits while it works, by name. The `log` function passed to its methods is subscribed to them for the duration of the call.
+ */
+export type MigratorEvents = {
+    /**
+     * a progress message, e.g. a section heading
+     */
+    message: {
+        level: ('info' | 'success' | 'warning' | 'error');
+        title: string;
+        text?: string;
+    };
+    /**
+     * :start a step of a longer operation, e.g. diffing the tables, has started
+     */
+    step: {
+        step: string;
+    };
+    /**
+     * :start a migration is about to be applied (up) or undone (down)
+     */
+    migration: {
+        id: string;
+        name: string;
+        direction: ('up' | 'down');
+        fake: boolean;
+    };
+    /**
+     * :change a schema change was detected, applied is true if it was applied to the database as an untracked change
+     */
+    diff: {
+        change: Change;
+        applied: boolean;
+    };
+    /**
+     * :set a pragma was set (or would have been set in a dry run), persistent is false if it needs to be set on each new connection
+     */
+    pragma: {
+        pragma: string;
+        value: any;
+        persistent: boolean;
+        dry_run: boolean;
+        duration_ms: number;
+    };
+    /**
+     * :result the results of the integrity and foreign key checks
+     */
+    integrity: {
+        integrity_errors: string[];
+        foreign_key_violations: any[];
+        ok: boolean;
+    };
+    /**
+     * the user answered a prompt
+     */
+    prompt: {
+        question: string;
+        answer: string;
+    };
+    /**
+     * :created a snapshot of the database was taken
+     */
+    backup: {
+        path: string;
+        duration_ms: number;
+    };
+    /**
+     * :created a migration file was written
+     */
+    file: {
+        id: string;
+        name: string;
+        path: string;
+    };
+};
+/**
+ * A function to emit {@link MigratorEvents } through.
+ */
+export type EmitFunction = (event: string, payload: any) => void;
+export type ColumnInfo = import('./parse.mjs').ColumnInfo;
+import { EventEmitter } from 'node:events';
@@ -11,13 +11,56 @@ export function getPragmas(db: Database): Promise<any>;
  * @returns {string[]} list of pragmas in the schema, e.g. `[ 'PRAGMA foreign_keys = ON;', 'PRAGMA journal_mode = WAL;' ]`
  */
 export function parsePragmas(schema: string): string[];
+/**
+ * Parses the `-- sam:renamed-from <old name>` hints of a schema file. A hint renames the table or column defined on the same line, or, on a line of its own, on the next line.
+ * @param {string} schema the schema (string with semi-colon separated DDL SQL statements) to parse rename hints from
+ * @returns {{[newName: string]: string}} a map of new table names and `<table>.<column>` names to the names they were renamed from, e.g. `{ people: 'users', 'people.full_name': 'name' }`
+ */
+export function parseRenameHints(schema: string): {
+    [newName: string]: string;
+};
+/**
+ * Parses a SQL migration file into its pragmas, replaced migrations, transaction, and up/down SQL.
+ * @param {string} content the content of the migration file, split into sections by `-- pragmas`, `-- replaces`, `-- transaction`, `-- up`, and `-- down` header lines (anything before the first header is ignored)
+ * @returns {{ PRAGMAS: Object, REPLACES: string[], TRANSACTION?: string, up: string, down: string }} the pragmas set in the `-- pragmas` section, the `<id>_<name>` lines of the `-- replaces` section, the first line of the `-- transaction` section, and the SQL of the `-- up` and `-- down` sections
+ */
+export function parseSQLMigration(content: string): {
+    PRAGMAS: any;
+    REPLACES: string[];
+    TRANSACTION?: string;
+    up: string;
+    down: string;
+};
+/**
+ * Checks if the content of a migration is in the SQL format rather than a JavaScript module.
+ * @param {string} content the content of the migration
+ * @returns {boolean} true if the content contains an `-- up` section header, false otherwise
+ */
+export function isSQLMigration(content: string): boolean;
 /**
  * Get the body of a CREATE TABLE statement.
  * @param {string} sql the normalized `sqlite_master.sql` column used to create a table
  * @returns {string} the body of the CREATE TABLE statement, e.g. `("id" INTEGER PRIMARY KEY AUTOINCREMENT, "name" TEXT NOT NULL)`
  */
 export function getCreateSQLBody(sql: string): string;
-/** @typedef {{ type: string, notnull: number, dflt_value: string, pk: number, fk?: { table: string, column: string, on_update: string, on_delete: string, match: string } }} ColumnInfo */
+/**
+ * Get the definition of an index, view, or trigger without its name, so definitions can be compared regardless of their names.
+ * @param {string} sql the normalized `sqlite_master.sql` column used to create an index, view, or trigger
+ * @returns {string} the CREATE statement without the name, e.g. `CREATE INDEX ON users(name)`
+ */
+export function getUnnamedSQL(sql: string): string;
+/**
+ * Parses the parts of a CREATE TABLE statement that `PRAGMA table_xinfo` and `PRAGMA foreign_key_list` don't report: the CHECK, COLLATE, UNIQUE, and generated column constraints of each column and the table constraints.
+ * @param {string} sql the `sqlite_master.sql` column used to create the table
+ * @param {boolean} [ignoreCase=false] true if the column names should be lowercased, false otherwise
+ * @returns {{ columns: Map<string, ColumnConstraints>, constraints: Set<string> }} a map of column names to their constraints (only the ones that are set) and the set of normalized table constraints, e.g. `unique (name, age)`
+ */
+export function parseTableDefinition(sql: string, ignoreCase?: boolean): {
+    columns: Map<string, ColumnConstraints>;
+    constraints: Set<string>;
+};
+/** @typedef {{ check?: string[], collate?: string, unique?: boolean, generated?: { expression: string, stored: boolean } }} ColumnConstraints */
+/** @typedef {{ type: string, notnull: number, dflt_value: string, pk: number, fk?: { table: string, column: string, on_update: string, on_delete: string, match: string } } & ColumnConstraints} ColumnInfo */
 /**
  *
  * @param {string} tableName name of the table to get column info for
@@ -68,6 +111,15 @@ export function getIndices(db: Database, ignoreCase?: boolean): Promise<Map<stri
  * @returns {Promise<Map<string, string>>} a map of virtual table names to their normalized `sqlite_master.sql` column used to create them
  */
 export function getVirtualTables(db: Database, ignoreCase?: boolean): Promise<Map<string, string>>;
+export type ColumnConstraints = {
+    check?: string[];
+    collate?: string;
+    unique?: boolean;
+    generated?: {
+        expression: string;
+        stored: boolean;
+    };
+};
 export type ColumnInfo = {
     type: string;
     notnull: number;
@@ -80,5 +132,5 @@ export type ColumnInfo = {
         on_delete: string;
         match: string;
     };
-};
+} & ColumnConstraints;
 import { Database } from './database.mjs';